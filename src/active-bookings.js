@@ -0,0 +1,121 @@
+'use-strict';
+
+/**
+ * Create the count of the bookings of a run against 'maxActiveBookings'
+ * 
+ * <p>Nothing is counted until the bookings held are listed, see limit.
+ * 
+ * Return the count, in format {started: false, max: 3, held: bookings held by no rule, slots: Map of rule name to
+ * {pending, booked}}.
+ */
+function create() {
+    return {started: false, max: undefined, held: 0, slots: new Map()};
+}
+
+/**
+ * Start counting the bookings against 'maxActiveBookings'
+ * 
+ * @param {Object} activeBookings the count of the run, see create.
+ * @param {number} max the most upcoming bookings allowed, or undefined to count nothing.
+ * @param {number} held number of upcoming bookings held by the account.
+ */
+function limit(activeBookings, max, held) {
+    activeBookings.started = true;
+    activeBookings.max = max;
+    activeBookings.held = held;
+    activeBookings.slots.clear();
+}
+
+/**
+ * Check whether a count of active bookings has a limit
+ * 
+ * Return true if 'maxActiveBookings' is set and the count started.
+ */
+function isLimited(activeBookings) {
+    return !!activeBookings && activeBookings.max !== undefined;
+}
+
+/**
+ * Give a rule the slot of a booking it already holds, so that its upgrades go on once the limit is reached
+ * 
+ * @param {Object} activeBookings the count of the run, see create.
+ * @param {string} rule optional name of the multiWeekdayOrder rule holding the booking.
+ */
+function assignHeldBooking(activeBookings, rule) {
+    if (isLimited(activeBookings) && !activeBookings.slots.has(rule)) {
+        activeBookings.held--;
+        activeBookings.slots.set(rule, {pending: 0, booked: true});
+    }
+}
+
+/**
+ * Check whether a rule can book under 'maxActiveBookings'
+ * 
+ * @param {Object} activeBookings the count of the run, see create.
+ * @param {string} rule optional name of the multiWeekdayOrder rule being booked.
+ * 
+ * Return true if the rule already has a slot or one is free.
+ */
+function hasSlot(activeBookings, rule) {
+    return !isLimited(activeBookings) || activeBookings.slots.has(rule) ||
+        activeBookings.held + activeBookings.slots.size < activeBookings.max;
+}
+
+/**
+ * Reserve the slot of a rule under 'maxActiveBookings' before sending a book request
+ * 
+ * <p>Each rule takes a single slot from its first book request on. Its other requests, as upgrades and parallel
+ * attempts, use the same slot, since the extra bookings are cancelled. The rules of multiWeekdayOrder book at the
+ * same time, so the slots are checked just before each request rather than against the bookings listed at start.
+ * 
+ * @param {Object} activeBookings the count of the run, see create.
+ * @param {string} rule optional name of the multiWeekdayOrder rule being booked.
+ * 
+ * Return true if the request can be sent, false if the slots are all taken by the bookings held and other rules.
+ */
+function reserveSlot(activeBookings, rule) {
+    if (!isLimited(activeBookings)) {
+        return true;
+    }
+
+    if (!hasSlot(activeBookings, rule)) {
+        return false;
+    }
+
+    let slot = activeBookings.slots.get(rule) || {pending: 0, booked: false};
+    slot.pending++;
+    activeBookings.slots.set(rule, slot);
+    return true;
+}
+
+/**
+ * Release the slot reserved for a book request once answered
+ * 
+ * <p>The slot is given back if the rule has neither booked nor other requests pending.
+ * 
+ * @param {Object} activeBookings the count of the run, see create.
+ * @param {string} rule optional name of the multiWeekdayOrder rule being booked.
+ * @param {boolean} booked true if the request succeeded.
+ */
+function releaseSlot(activeBookings, rule, booked) {
+    let slot = isLimited(activeBookings) && activeBookings.slots.get(rule);
+    if (!slot) {
+        return;
+    }
+
+    slot.pending--;
+    slot.booked = slot.booked || booked;
+    if (slot.pending === 0 && !slot.booked) {
+        activeBookings.slots.delete(rule);
+    }
+}
+
+module.exports = {
+    create: create,
+    limit: limit,
+    isLimited: isLimited,
+    assignHeldBooking: assignHeldBooking,
+    hasSlot: hasSlot,
+    reserveSlot: reserveSlot,
+    releaseSlot: releaseSlot
+}
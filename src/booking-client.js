@@ -0,0 +1,167 @@
+const util = require('util');
+
+const connection = require('./connection.js');
+const errors = require('./errors.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const ensureLoggedIn = util.promisify(connection.ensureLoggedIn);
+const getActivityTypeId = util.promisify(connection.getActivityTypeId);
+const listAvailableBookings = util.promisify(connection.listAvailableBookings);
+const sendBookRequest = util.promisify(connection.sendBookRequest);
+const queryBookInformation = util.promisify(connection.queryBookInformation);
+const listBookedSessions = util.promisify(connection.listBookedSessions);
+const cancelBooking = util.promisify(connection.cancelBooking);
+
+/**
+ * Promise based client for the booking site
+ *
+ * <p>Wraps the functions in connection.js, so that footbooker can be used from other Node tools:
+ *
+ * <pre>
+ * const client = new BookingClient({hostname: 'the.site.co.uk', activity: 'Football'});
+ * await client.login('email@host.com', 'password');
+ * const sessions = await client.listAvailable('2017-09-17');
+ * const booking = await client.book('2017-09-17T20:00');
+ * </pre>
+ *
+ * <p>Cookies are kept by connection.js for the whole process, so only one client should be logged in
+ * at a time.
+ */
+class BookingClient {
+    /**
+     * @param {Object} options object in structure:
+     * {
+     *      hostname: 'the.site.co.uk',
+     *      activity: 'Football',
+     *      cookieFile: 'settings/footbooker_cookies.json',
+     *      requestTimeout: 10000,
+     *      dryRun: false
+     * }
+     * 'activity' is optional and defaults to 'Football'. 'cookieFile' is optional, if given the session is kept
+     * in that file and reused by the next clients. 'requestTimeout' is optional, see connection.setRequestTimeout.
+     * 'dryRun' is optional, if true the bookings and cancellations are only simulated, see connection.setDryRun.
+     */
+    constructor(options) {
+        options = options || {};
+        this.hostname = options.hostname;
+        this.activity = options.activity || 'Football';
+        this.cookieFile = options.cookieFile;
+        this.requestTimeout = options.requestTimeout;
+        this.dryRun = !!options.dryRun;
+        this.activityId = undefined;
+    }
+
+    /**
+     * Log in, unless the session of a previous login is still valid
+     *
+     * <p>If the site does not accept the session anymore, the calls log in again with these credentials.
+     *
+     * <p>Also sets up the dry run of this client, which a previous dry run of a strategy may have left on.
+     *
+     * @param {string} username the username used to login, usually the e-mail address.
+     * @param {string} password the password.
+     *
+     * Resolve with the client itself.
+     */
+    async login(username, password) {
+        connection.setHostname(this.hostname);
+        connection.setRequestTimeout(this.requestTimeout);
+        connection.setDryRun(this.dryRun);
+        if (this.cookieFile) {
+            connection.useCookieFile(this.cookieFile);
+        }
+        await ensureLoggedIn(username, password);
+        return this;
+    }
+
+    /**
+     * Get the id of the activity of this client
+     *
+     * <p>The id is obtained once and kept.
+     *
+     * Resolve with the id as a string.
+     */
+    async getActivityId() {
+        if (!this.activityId) {
+            this.activityId = await getActivityTypeId(this.activity);
+        }
+        return this.activityId;
+    }
+
+    /**
+     * List the available sessions for a given date
+     *
+     * @param {string} date date string. If no time zone is provided, it is considered as local.
+     *
+     * Resolve with an array of sessions in the format returned by connection.listAvailableBookings.
+     */
+    async listAvailable(date) {
+        return listAvailableBookings(utils.dateAndTimeOrDateToDate(date), await this.getActivityId());
+    }
+
+    /**
+     * Book the session starting at a given date and time
+     *
+     * @param {string} dateAndTime the date and time string. If contains no time zone, it will be considered local.
+     *
+     * Resolve with the booking information, as returned by getBooking.
+     */
+    async book(dateAndTime) {
+        let isoDateAndTime = utils.localOrISOToISO(dateAndTime);
+        let session = (await this.listAvailable(isoDateAndTime)).find((availableSession) => {
+            return new Date(availableSession.startTime).toISOString() === isoDateAndTime;
+        });
+        if (!session) {
+            throw new errors.SlotTakenError('Required session ' + isoDateAndTime + ' is not available');
+        }
+
+        let guid = await this.bookSession(isoDateAndTime, session.guid);
+        return this.getBooking(guid);
+    }
+
+    /**
+     * Book a session given its guid
+     *
+     * @param {string} date date string of the session. If no time zone is provided, it is considered as local.
+     * @param {string} sessionGuid guid of the session, obtained in listAvailable.
+     *
+     * Resolve with the guid of the booking.
+     */
+    async bookSession(date, sessionGuid) {
+        return sendBookRequest(utils.dateAndTimeOrDateToDate(date), sessionGuid, await this.getActivityId());
+    }
+
+    /**
+     * Get the information of a booking
+     *
+     * @param {string} guid guid of the booking.
+     *
+     * Resolve with the information in the format returned by connection.queryBookInformation.
+     */
+    async getBooking(guid) {
+        return queryBookInformation(guid);
+    }
+
+    /**
+     * List all booked sessions
+     *
+     * Resolve with an array in the format returned by connection.listBookedSessions.
+     */
+    async listBookings() {
+        return listBookedSessions();
+    }
+
+    /**
+     * Cancel a booking
+     *
+     * @param {string} guid guid of the booking.
+     * @param {string} reason reason why booking is being canceled.
+     */
+    async cancel(guid, reason) {
+        return cancelBooking(guid, reason);
+    }
+}
+
+module.exports = BookingClient;
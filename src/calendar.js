@@ -0,0 +1,221 @@
+const http = require('http');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const ledger = require('./ledger.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const calendarDefaults = {
+    name: 'Footbooker',
+    stateFile: 'settings/calendar_state.json',
+    port: 8082,
+    // Only the local host by default, since the feed shows the bookings to anyone reaching it
+    host: '127.0.0.1',
+    cacheTime: 300000
+};
+
+/**
+ * Format a date and time as an iCalendar UTC date and time
+ *
+ * @param {string|Date} dateAndTime the date and time, e.g. '2017-09-18T07:00:00.0000000Z'.
+ *
+ * Return a string like '20170918T070000Z'.
+ */
+function toICalendarDateTime(dateAndTime) {
+    return new Date(dateAndTime).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a text value of iCalendar
+ */
+function escapeText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line of iCalendar
+ *
+ * <p>Lines longer than 75 octets are split, each continuation starting with a space.
+ *
+ * Return the folded line, without the final line break.
+ */
+function foldLine(line) {
+    let parts = [];
+    let current = '';
+    for (let character of line) {
+        let limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + character) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += character;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Build the lines of the event of a booking
+ *
+ * @param {Object} booking booking in the format returned by connection.listBookedSessions, with in addition
+ * 'cancelled' set to true for cancelled bookings and 'cancelledAt' to when they were found cancelled.
+ * @param {string} stamp the DTSTAMP of the calendar.
+ *
+ * Return an array of lines.
+ */
+function formatEvent(booking, stamp) {
+    let lines = [
+        'BEGIN:VEVENT',
+        // Stable, so that calendars update the same event on every export
+        'UID:' + booking.Guid + '@footbooker',
+        'DTSTAMP:' + stamp,
+        'DTSTART:' + toICalendarDateTime(booking.StartDateTime),
+        'DTEND:' + toICalendarDateTime(booking.EndDateTime),
+        'SUMMARY:' + escapeText(booking.ActivityName || 'Booking'),
+        'STATUS:' + (booking.cancelled ? 'CANCELLED' : 'CONFIRMED'),
+        // Raised when cancelled, so calendars replace the confirmed event
+        'SEQUENCE:' + (booking.cancelled ? 1 : 0)
+    ];
+    if (booking.Description) {
+        lines.push('DESCRIPTION:' + escapeText(booking.Description));
+    }
+    if (booking.cancelledAt) {
+        lines.push('LAST-MODIFIED:' + toICalendarDateTime(booking.cancelledAt));
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build an iCalendar (RFC 5545) calendar of bookings
+ *
+ * @param {array} bookings bookings in the format returned by connection.listBookedSessions. Cancelled ones
+ * have 'cancelled' set to true, see formatEvent.
+ * @param {Object} options optional object in format {name: 'Footbooker'}.
+ *
+ * Return the content of the .ics file.
+ */
+function formatCalendar(bookings, options) {
+    options = Object.assign({}, calendarDefaults, options);
+    let stamp = toICalendarDateTime(new Date());
+    let lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//footbooker//footbooker//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' + escapeText(options.name)
+    ];
+    bookings.forEach((booking) => {
+        lines = lines.concat(formatEvent(booking, stamp));
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Find the bookings which were cancelled
+ *
+ * <p>The site only lists the active bookings, so the bookings seen before are kept in a state file. Bookings
+ * still to start which are not listed anymore were cancelled, e.g. in the site. Bookings replaced by a better
+ * one are also taken from the ledger, even if they were never seen.
+ *
+ * @param {array} bookings the active bookings, as returned by connection.listBookedSessions.
+ * @param {Object} options object in format {stateFile: 'path', ledgerFile: 'path'}.
+ *
+ * Return the bookings with the cancelled ones added, in order of start, cancelled ones having 'cancelled'
+ * set to true and 'cancelledAt' to when they were found cancelled.
+ */
+function addCancelledBookings(bookings, options) {
+    options = Object.assign({}, calendarDefaults, options);
+    let now = new Date();
+    let state = utils.loadStateFile(options.stateFile, {bookings: {}});
+    let active = {};
+    bookings.forEach((booking) => active[booking.Guid] = true);
+
+    ledger.readRuns(options.ledgerFile).forEach((run) => {
+        let previous = run.previousBooking;
+        if (previous && previous.Guid && run.previousCancelled && !state.bookings[previous.Guid]) {
+            state.bookings[previous.Guid] = Object.assign({cancelled: true, cancelledAt: run.finishedAt}, previous);
+        }
+    });
+    Object.keys(state.bookings).forEach((guid) => {
+        let known = state.bookings[guid];
+        if (!active[guid] && !known.cancelled && new Date(known.StartDateTime) > now) {
+            known.cancelled = true;
+            known.cancelledAt = now.toISOString();
+        }
+    });
+    bookings.forEach((booking) => {
+        state.bookings[booking.Guid] = Object.assign({}, booking);
+    });
+
+    utils.saveStateFile(options.stateFile, state);
+
+    return Object.keys(state.bookings).map((guid) => state.bookings[guid]).sort((a, b) => {
+        return new Date(a.StartDateTime) - new Date(b.StartDateTime);
+    });
+}
+
+/**
+ * Serve a calendar as a feed which calendar applications can subscribe to
+ *
+ * <p>The calendar is built at most once every 'cacheTime' milliseconds, whatever the number of subscribers.
+ * Every path answers with the calendar, e.g. 'http://localhost:8082/footbooker.ics'.
+ *
+ * @param {function} buildCalendar async function resolving with the content of the .ics file.
+ * @param {Object} options optional object in format {cacheTime: 300000}.
+ *
+ * Return the http.Server, not listening yet. It is meant to listen on 'host', see calendarDefaults.
+ */
+function createFeedServer(buildCalendar, options) {
+    options = Object.assign({}, calendarDefaults, options);
+    let cached;
+    let builtAt = 0;
+    let building;
+
+    let getCalendar = () => {
+        if (cached !== undefined && Date.now() - builtAt < options.cacheTime) {
+            return Promise.resolve(cached);
+        }
+        if (!building) {
+            building = buildCalendar().then((calendar) => {
+                cached = calendar;
+                builtAt = Date.now();
+                building = undefined;
+                return calendar;
+            }, (err) => {
+                building = undefined;
+                throw err;
+            });
+        }
+        return building;
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, {'Allow': 'GET, HEAD'});
+            return res.end();
+        }
+
+        getCalendar().then((calendar) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Length': Buffer.byteLength(calendar)
+            });
+            res.end(req.method === 'HEAD' ? undefined : calendar);
+        }, (err) => {
+            log.log('error', 'Could not build the calendar feed: ' + err.message);
+            res.writeHead(502, {'Content-Type': 'text/plain'});
+            res.end('Could not get the bookings: ' + err.message);
+        });
+    });
+}
+
+module.exports = {
+    calendarDefaults: calendarDefaults,
+    formatCalendar: formatCalendar,
+    addCancelledBookings: addCancelledBookings,
+    createFeedServer: createFeedServer
+}
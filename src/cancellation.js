@@ -0,0 +1,192 @@
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const utils = require('./utils.js');
+
+'use-strict';
+
+const cancellationDefaults = {
+    stateFile: 'settings/cancellation_state.json',
+    cancelBy: 86400000
+};
+
+/**
+ * Select the upcoming bookings matching a filter
+ *
+ * <p>Only the bookings starting after now can be cancelled, so the others are always left out. Every condition
+ * of the filter is optional:
+ * <ul>
+ *     <li>from: date, bookings starting that day or after.</li>
+ *     <li>to: date, bookings starting that day or before.</li>
+ *     <li>weekday: weekday of the bookings, see utils.getWeekdayIndex.</li>
+ *     <li>activity: name of the activity of the bookings, e.g. 'Football'.</li>
+ *     <li>exceptNext: number of the next bookings matching the rest of the filter to keep.</li>
+ * </ul>
+ *
+ * @param {array} bookings bookings in the format returned by connection.listBookedSessions.
+ * @param {Object} filter object in format {from: '2017-10-01', to: '2017-10-31', weekday: 'Monday',
+ * activity: 'Football', exceptNext: 2}.
+ * @param {number} now optional current time in milliseconds, Date.now() by default.
+ *
+ * Return a new array with the bookings selected, earliest first.
+ */
+function selectBookings(bookings, filter, now) {
+    now = now === undefined ? Date.now() : now;
+    // Whole local days, whatever the time given with the dates
+    let from = filter.from !== undefined ? new Date(filter.from.substr(0, 10) + 'T00:00:00') : undefined;
+    let to = filter.to !== undefined ? new Date(filter.to.substr(0, 10) + 'T23:59:59.999') : undefined;
+    let weekdayIndex = filter.weekday !== undefined ? utils.getWeekdayIndex(filter.weekday) : undefined;
+    let selected = bookings.filter((booking) => {
+        let start = new Date(booking.StartDateTime);
+        return start.getTime() > now &&
+            (from === undefined || start >= from) &&
+            (to === undefined || start <= to) &&
+            (weekdayIndex === undefined || start.getDay() === weekdayIndex) &&
+            (filter.activity === undefined || utils.isSameActivity(booking.ActivityName, filter.activity));
+    }).sort((a, b) => new Date(a.StartDateTime) - new Date(b.StartDateTime));
+    return selected.slice(filter.exceptNext || 0);
+}
+
+/**
+ * Cancel bookings one after the other
+ *
+ * <p>Failures are kept in the results, so that every booking gets a chance to be cancelled.
+ *
+ * @param {BookingClient} client a logged in client.
+ * @param {array} bookings bookings in the format returned by connection.listBookedSessions.
+ * @param {string} reason reason why cancelling.
+ *
+ * Resolve with an array in format [{booking: {...}, error: Error if it could not be cancelled}].
+ */
+async function cancelBookings(client, bookings, reason) {
+    let results = [];
+    for (let booking of bookings) {
+        try {
+            await client.cancel(booking.Guid, reason);
+            log.log('info', 'Booking ' + booking.Guid + ' at ' + booking.StartDateTime + ' cancelled');
+            results.push({booking: booking});
+        } catch (err) {
+            log.log('warn', 'Could not cancel booking ' + booking.Guid + ', please cancel manually: ' + err);
+            results.push({booking: booking, error: err});
+        }
+    }
+    return results;
+}
+
+/**
+ * Load the bookings marked as unwanted
+ *
+ * @param {string} stateFile path of the state file.
+ *
+ * Return the state in format {unwanted: {guid: {StartDateTime, ActivityName, markedAt}}}, empty if the file does
+ * not exist yet.
+ */
+function loadState(stateFile) {
+    return utils.loadStateFile(stateFile, {unwanted: {}});
+}
+
+/**
+ * Get the time before which a booking has to be cancelled
+ *
+ * @param {Object} booking booking with 'StartDateTime'.
+ * @param {number} cancelBy milliseconds before the start of the booking by which it has to be cancelled.
+ *
+ * Return the deadline as a Date.
+ */
+function getDeadline(booking, cancelBy) {
+    return new Date(new Date(booking.StartDateTime).getTime() - cancelBy);
+}
+
+/**
+ * Mark bookings as unwanted, to be cancelled by their deadline, see cancelDue
+ *
+ * @param {string} stateFile path of the state file.
+ * @param {array} bookings bookings in the format returned by connection.listBookedSessions.
+ *
+ * Return the new state.
+ */
+function markUnwanted(stateFile, bookings) {
+    let state = loadState(stateFile);
+    bookings.forEach((booking) => {
+        state.unwanted[booking.Guid] = {
+            StartDateTime: booking.StartDateTime,
+            ActivityName: booking.ActivityName,
+            markedAt: new Date().toISOString()
+        };
+    });
+    utils.saveStateFile(stateFile, state);
+    return state;
+}
+
+/**
+ * Get the unwanted bookings whose deadline has come
+ *
+ * <p>Useful for knowing whether cancelDue has anything to do, without connecting to the site.
+ *
+ * @param {Object} state the state, as returned by loadState.
+ * @param {number} cancelBy milliseconds before the start of a booking by which it has to be cancelled.
+ * @param {number} now optional current time in milliseconds, Date.now() by default.
+ *
+ * Return an array of the guids of the bookings, earliest first.
+ */
+function getDueGuids(state, cancelBy, now) {
+    now = now === undefined ? Date.now() : now;
+    return Object.keys(state.unwanted).filter((guid) => {
+        return getDeadline(state.unwanted[guid], cancelBy).getTime() <= now;
+    }).sort((a, b) => new Date(state.unwanted[a].StartDateTime) - new Date(state.unwanted[b].StartDateTime));
+}
+
+/**
+ * Cancel the unwanted bookings whose deadline has come
+ *
+ * <p>A booking marked as unwanted is cancelled once less than 'cancelBy' milliseconds are left before it starts,
+ * so that it is released in time to avoid the late cancellation penalties of the venue. Bookings which are not
+ * booked anymore, or already started, are forgotten.
+ *
+ * @param {BookingClient} client a logged in client.
+ * @param {Object} options object in format {stateFile: 'path', cancelBy: 86400000, reason: 'Any reason',
+ * dryRun: true to only find the bookings}, each one optional except 'reason'.
+ *
+ * Resolve with the results of the cancellations, as returned by cancelBookings. In a dry run, no booking is
+ * cancelled nor forgotten and the results only have the bookings.
+ */
+async function cancelDue(client, options) {
+    options = Object.assign({}, cancellationDefaults, options);
+    let state = loadState(options.stateFile);
+    let now = Date.now();
+    if (getDueGuids(state, options.cancelBy, now).length === 0) {
+        return [];
+    }
+
+    let booked = {};
+    (await client.listBookings()).forEach((booking) => {
+        booked[booking.Guid] = booking;
+    });
+    let due = getDueGuids(state, options.cancelBy, now).filter((guid) => {
+        return booked[guid] && new Date(booked[guid].StartDateTime).getTime() > now;
+    }).map((guid) => booked[guid]);
+    if (options.dryRun) {
+        return due.map((booking) => ({booking: booking}));
+    }
+
+    let results = await cancelBookings(client, due, options.reason);
+    Object.keys(state.unwanted).forEach((guid) => {
+        let result = results.find((result) => result.booking.Guid === guid);
+        let gone = !booked[guid] || new Date(booked[guid].StartDateTime).getTime() <= now;
+        if (gone || (result && !result.error)) {
+            delete state.unwanted[guid];
+        }
+    });
+    utils.saveStateFile(options.stateFile, state);
+    return results;
+}
+
+module.exports = {
+    cancellationDefaults: cancellationDefaults,
+    selectBookings: selectBookings,
+    cancelBookings: cancelBookings,
+    loadState: loadState,
+    getDeadline: getDeadline,
+    markUnwanted: markUnwanted,
+    getDueGuids: getDueGuids,
+    cancelDue: cancelDue
+}
@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const util = require('util');
+
+const calendar = require('./calendar.js');
+const cancellation = require('./cancellation.js');
+const credentialsLoader = require('./credentials.js');
+const dryRunReport = require('./dry-run.js');
+const footbooker = require('./footbooker.js');
+const ledger = require('./ledger.js');
+const notifier = require('./notifier.js');
+const roster = require('./roster.js');
+const settingsLoader = require('./settings.js');
+const settingsValidator = require('./settings-validator.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const valueOptions = ['settings', 'reason', 'activity', 'limit', 'output', 'port', 'host', 'from', 'to', 'weekday',
+    'except-next'];
+
+const bookingColumns = [
+    {title: 'Guid', value: (booking) => booking.Guid},
+    {title: 'Start', value: (booking) => utils.isoToLocal(booking.StartDateTime)},
+    {title: 'End', value: (booking) => utils.isoToLocal(booking.EndDateTime)},
+    {title: 'Activity', value: (booking) => booking.ActivityName}
+];
+
+// Outcomes of the rules of multiWeekdayOrder, either a booking or an error
+const ruleColumns = [
+    {title: 'Rule', value: (outcome) => outcome.Rule},
+    {title: 'Start', value: (outcome) => outcome.StartDateTime ? utils.isoToLocal(outcome.StartDateTime) : ''},
+    {title: 'Activity', value: (outcome) => outcome.ActivityName || ''},
+    {title: 'Error', value: (outcome) => outcome.Error ? outcome.ErrorKind + ': ' + outcome.Error : ''}
+];
+
+const cancellationColumns = [
+    {title: 'Guid', value: (result) => result.booking.Guid},
+    {title: 'Start', value: (result) => utils.isoToLocal(result.booking.StartDateTime)},
+    {title: 'Activity', value: (result) => result.booking.ActivityName},
+    {title: 'Cancelled', value: (result) => result.error ? 'no, ' + result.error.message : 'yes'}
+];
+
+const rosterColumns = [
+    {title: 'Guid', value: (session) => session.booking.Guid},
+    {title: 'Start', value: (session) => utils.isoToLocal(session.booking.StartDateTime)},
+    {title: 'Going', value: (session) => session.going.length + '/' + session.quorum},
+    {title: 'Players going', value: (session) => session.going.join(', ')},
+    {title: 'Pending', value: (session) => session.pending.join(', ')},
+    {title: 'Decided', value: (session) => session.outcome || 'by ' + session.deadline.toLocaleString()}
+];
+
+/**
+ * Parse the command line arguments
+ *
+ * <p>Options are given as '--name value' or '--name=value'. Options not in valueOptions are flags.
+ *
+ * @param {array} argv the arguments, without 'node' and the script path.
+ *
+ * Return an object in format {command: 'name', args: ['positional'], options: {name: 'value' or true}}.
+ */
+function parseArguments(argv) {
+    let positional = [];
+    let options = {};
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg.indexOf('--') !== 0) {
+            positional.push(arg);
+            continue;
+        }
+
+        let name = arg.substr(2);
+        let value = true;
+        let equals = name.indexOf('=');
+        if (equals >= 0) {
+            value = name.substr(equals + 1);
+            name = name.substr(0, equals);
+        } else if (valueOptions.indexOf(name) >= 0) {
+            if (i + 1 >= argv.length) {
+                throw new Error('Option --' + name + ' requires a value');
+            }
+            value = argv[++i];
+        }
+        options[name] = value;
+    }
+    return {command: positional[0], args: positional.slice(1), options: options};
+}
+
+/**
+ * Format rows as a text table
+ *
+ * @param {array} rows the objects to show, one per line.
+ * @param {array} columns array of columns in format [{title: 'Title', value: (row) => 'text'}].
+ *
+ * Return the table as a string.
+ */
+function formatTable(rows, columns) {
+    let lines = [columns.map((column) => column.title)]
+        .concat(rows.map((row) => columns.map((column) => String(column.value(row)))));
+    let widths = columns.map((column, index) => {
+        return Math.max.apply(null, lines.map((line) => line[index].length));
+    });
+    return lines.map((line) => {
+        return line.map((cell, index) => cell + ' '.repeat(widths[index] - cell.length)).join('  ').trimRight();
+    }).join('\n');
+}
+
+/**
+ * Print the result of a command
+ *
+ * @param {Object|array} data the result, a single object or an array of rows.
+ * @param {array} columns the table columns, as in formatTable.
+ * @param {Object} options the command line options, JSON is printed if 'json' is set.
+ */
+function output(data, columns, options) {
+    if (options.json) {
+        return console.log(JSON.stringify(data, null, 2));
+    }
+
+    let rows = Array.isArray(data) ? data : [data];
+    if (rows.length === 0) {
+        return console.log('Nothing found');
+    }
+    return console.log(formatTable(rows, columns));
+}
+
+/**
+ * Build the filter of the bookings to cancel from the command line options
+ *
+ * @param {Object} options the command line options, with any of 'from', 'to', 'weekday', 'activity' and
+ * 'except-next'.
+ *
+ * Return the filter, as expected by cancellation.selectBookings. Throws if no condition is given, so that all
+ * the bookings are never cancelled by mistake, or if one is not valid.
+ */
+function getCancellationFilter(options) {
+    let filter = {};
+    ['from', 'to'].forEach((name) => {
+        if (typeof options[name] === 'string') {
+            if (isNaN(new Date(options[name]).getTime())) {
+                throw new Error('--' + name + ' expects a date like 2017-10-11 but got "' + options[name] + '"');
+            }
+            filter[name] = options[name];
+        }
+    });
+    if (typeof options.weekday === 'string') {
+        try {
+            utils.getWeekdayIndex(options.weekday);
+        } catch (err) {
+            throw new Error('--weekday expects a weekday like Monday but got "' + options.weekday + '"');
+        }
+        filter.weekday = options.weekday;
+    }
+    if (typeof options.activity === 'string') {
+        filter.activity = options.activity;
+    }
+    if (typeof options['except-next'] === 'string') {
+        filter.exceptNext = Number(options['except-next']);
+        if (!Number.isInteger(filter.exceptNext) || filter.exceptNext < 0) {
+            throw new Error('--except-next expects a number of bookings but got "' + options['except-next'] + '"');
+        }
+    }
+    if (Object.keys(filter).length === 0) {
+        throw new Error('Give at least one of --from, --to, --weekday, --activity or --except-next');
+    }
+    return filter;
+}
+
+/**
+ * Get the roster settings
+ *
+ * @param {Object} settings the settings object.
+ *
+ * Return the roster settings with their defaults. Throws if there is no roster in the settings.
+ */
+function getRosterSettings(settings) {
+    if (!settings.roster) {
+        throw new Error('There is no roster in the settings, see "roster" in the README');
+    }
+    return Object.assign({}, roster.rosterDefaults, settings.roster);
+}
+
+/**
+ * Start serving until stopped
+ *
+ * <p>The server only listens on the host of the settings, the local one by default, unless '--host' is given.
+ *
+ * @param {http.Server} server the server, not listening yet.
+ * @param {Object} options the options of the command line, with 'port' and 'host' if given.
+ * @param {Object} serverSettings the settings of the server, with the default 'port' and 'host'.
+ *
+ * Resolve with the url served, e.g. 'http://127.0.0.1:8082/'.
+ */
+async function serve(server, options, serverSettings) {
+    let port = options.port ? Number(options.port) : serverSettings.port;
+    let host = typeof options.host === 'string' ? options.host : serverSettings.host;
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    let address = server.address();
+    return 'http://' + (address.family === 'IPv6' ? '[' + address.address + ']' : address.address) + ':' +
+        address.port + '/';
+}
+
+/**
+ * Build a client logged in with the settings credentials
+ *
+ * @param {Object} settings the settings object.
+ *
+ * Resolve with the BookingClient.
+ */
+async function login(settings) {
+    let credentials = await util.promisify(credentialsLoader.resolveCredentials)(settings.credentials);
+    let client = new footbooker.BookingClient({
+        hostname: settings.hostname,
+        activity: settings.activity,
+        cookieFile: settings.cookieFile,
+        requestTimeout: settings.requestTimeout
+    });
+    return client.login(credentials.login, credentials.password);
+}
+
+/**
+ * Build the calendar of the bookings
+ *
+ * @param {Object} settings the settings object.
+ *
+ * Resolve with the content of the .ics file, cancelled bookings included.
+ */
+async function buildCalendar(settings) {
+    let client = await login(settings);
+    let options = Object.assign({}, settings.calendar, {ledgerFile: settings.ledgerFile});
+    let bookings = calendar.addCancelledBookings(await client.listBookings(), options);
+    return calendar.formatCalendar(bookings, options);
+}
+
+const commands = {
+    available: {
+        usage: 'available <date>',
+        description: 'List the sessions still available in a date',
+        run: async (args, options, settings) => {
+            if (!args[0]) {
+                throw new Error('A date is required, e.g. 2017-10-11');
+            }
+            let client = await login(settings);
+            let sessions = await client.listAvailable(args[0]);
+            return output(sessions, [
+                {title: 'Guid', value: (session) => session.guid},
+                {title: 'Start', value: (session) => utils.isoToLocal(session.startTime)},
+                {title: 'End', value: (session) => utils.isoToLocal(session.endTime)}
+            ], options);
+        }
+    },
+    bookings: {
+        usage: 'bookings',
+        description: 'List all booked sessions',
+        run: async (args, options, settings) => {
+            let client = await login(settings);
+            return output(await client.listBookings(), bookingColumns, options);
+        }
+    },
+    info: {
+        usage: 'info <guid>',
+        description: 'Show the information of a booking',
+        run: async (args, options, settings) => {
+            if (!args[0]) {
+                throw new Error('The guid of the booking is required');
+            }
+            let client = await login(settings);
+            return output(await client.getBooking(args[0]), bookingColumns, options);
+        }
+    },
+    book: {
+        usage: 'book <dateAndTime>',
+        description: 'Book the session starting at a date and time, e.g. 2017-10-11T20:00',
+        run: async (args, options, settings) => {
+            if (!args[0]) {
+                throw new Error('A date and time is required, e.g. 2017-10-11T20:00');
+            }
+            let client = await login(settings);
+            return output(await client.book(args[0]), bookingColumns, options);
+        }
+    },
+    cancel: {
+        usage: 'cancel <guid> [--reason <reason>]',
+        description: 'Cancel a booking, with the reasonToCancel of the settings unless --reason is given',
+        run: async (args, options, settings) => {
+            if (!args[0]) {
+                throw new Error('The guid of the booking is required');
+            }
+            let client = await login(settings);
+            await client.cancel(args[0], typeof options.reason === 'string' ? options.reason : settings.reasonToCancel);
+            return output({Guid: args[0], Cancelled: true}, [
+                {title: 'Guid', value: (result) => result.Guid},
+                {title: 'Cancelled', value: (result) => result.Cancelled}
+            ], options);
+        }
+    },
+    'cancel-bookings': {
+        usage: 'cancel-bookings [--from <date>] [--to <date>] [--weekday <weekday>] [--except-next <n>] ' +
+            '[--dry-run | --mark] [--yes]',
+        description: 'Cancel the upcoming bookings matching the filters, after confirmation unless --yes is given. ' +
+            'With --mark, they are only marked as unwanted, to be cancelled by their deadline',
+        run: async (args, options, settings) => {
+            let filter = getCancellationFilter(options);
+            let client = await login(settings);
+            let bookings = cancellation.selectBookings(await client.listBookings(), filter);
+            if (bookings.length === 0 || options['dry-run']) {
+                if (bookings.length && !options.json) {
+                    console.log('Would cancel ' + bookings.length + ' bookings:');
+                }
+                return output(bookings, bookingColumns, options);
+            }
+
+            let cancellationSettings = Object.assign({}, cancellation.cancellationDefaults, settings.cancellation);
+            if (options.mark) {
+                cancellation.markUnwanted(cancellationSettings.stateFile, bookings);
+                return output(bookings, bookingColumns.concat({
+                    title: 'Cancel by',
+                    value: (booking) => cancellation.getDeadline(booking, cancellationSettings.cancelBy).toLocaleString()
+                }), options);
+            }
+
+            if (!options.yes) {
+                console.log(formatTable(bookings, bookingColumns));
+                let answer = await util.promisify(credentialsLoader.prompt)('Cancel these ' + bookings.length +
+                    ' bookings? (y/N) ', {});
+                if (!/^y(es)?$/i.test(answer.trim())) {
+                    return console.log('Nothing cancelled');
+                }
+            }
+            let reason = typeof options.reason === 'string' ? options.reason : settings.reasonToCancel;
+            return output(await cancellation.cancelBookings(client, bookings, reason), cancellationColumns, options);
+        }
+    },
+    'cancel-due': {
+        usage: 'cancel-due [--dry-run]',
+        description: 'Cancel the bookings marked as unwanted whose cancellation deadline has come',
+        run: async (args, options, settings) => {
+            let client = await login(settings);
+            let results = await cancellation.cancelDue(client, Object.assign({}, settings.cancellation, {
+                reason: settings.reasonToCancel,
+                dryRun: !!options['dry-run']
+            }));
+            if (options['dry-run']) {
+                return output(results.map((result) => result.booking), bookingColumns, options);
+            }
+            return output(results, cancellationColumns, options);
+        }
+    },
+    roster: {
+        usage: 'roster',
+        description: 'List the upcoming bookings with the answers of the players',
+        run: async (args, options, settings) => {
+            let rosterSettings = getRosterSettings(settings);
+            let client = await login(settings);
+            return output(roster.listSessions(await client.listBookings(), rosterSettings), rosterColumns, options);
+        }
+    },
+    rsvp: {
+        usage: 'rsvp <guid> <player> <yes|no>',
+        description: 'Record whether a player of the roster is going to a booked session',
+        run: async (args, options, settings) => {
+            let rosterSettings = getRosterSettings(settings);
+            if (args.length < 3) {
+                throw new Error('The guid of the booking, the player and yes or no are required');
+            }
+            let client = await login(settings);
+            let summary = roster.rsvp(rosterSettings, await client.listBookings(), args[0], args[1], args[2]);
+            return output(summary, [
+                {title: 'Going', value: (summary) => summary.going.length + '/' + summary.quorum},
+                {title: 'Players going', value: (summary) => summary.going.join(', ')},
+                {title: 'Pending', value: (summary) => summary.pending.join(', ')}
+            ], options);
+        }
+    },
+    'roster-check': {
+        usage: 'roster-check [--dry-run]',
+        description: 'Release the bookings which did not reach the quorum by their deadline, and notify the team',
+        run: async (args, options, settings) => {
+            let rosterSettings = getRosterSettings(settings);
+            let client = await login(settings);
+            let decisions = await roster.checkQuorum(client, Object.assign(rosterSettings, {
+                reason: settings.reasonToCancel,
+                notifications: settings.notifications,
+                dryRun: !!options['dry-run']
+            }));
+            return output(decisions, rosterColumns.concat({
+                title: 'Error',
+                value: (decision) => decision.error ? decision.error.message : ''
+            }), options);
+        }
+    },
+    'roster-serve': {
+        usage: 'roster-serve [--port <port>] [--host <host>]',
+        description: 'Serve the roster so that players can answer over HTTP until stopped',
+        run: async (args, options, settings) => {
+            let rosterSettings = getRosterSettings(settings);
+            let server = roster.createRosterServer(async () => {
+                return (await login(settings)).listBookings();
+            }, rosterSettings);
+            let url = await serve(server, options, rosterSettings);
+            console.log('Roster served on ' + url + ', answer with POST /rsvp');
+        }
+    },
+    run: {
+        usage: 'run [--dry-run]',
+        description: 'Run the strategy of the settings, like npm start, only simulating bookings with --dry-run',
+        requireStrategy: true,
+        run: async (args, options, settings) => {
+            if (options['dry-run']) {
+                let unsubscribeReport = dryRunReport.subscribe(footbooker.events);
+                try {
+                    // The report tells why nothing would be booked, if so
+                    return await footbooker.promises.run(Object.assign({}, settings, {dryRun: true}))
+                        .catch(() => undefined);
+                } finally {
+                    unsubscribeReport();
+                }
+            }
+
+            let unsubscribeNotifier = notifier.subscribe(footbooker.events, settings.notifications);
+            let unsubscribeLedger = ledger.subscribe(footbooker.events, settings.ledgerFile);
+            try {
+                let result = await footbooker.promises.run(settings);
+                return output(result, Array.isArray(result) ? ruleColumns : bookingColumns, options);
+            } finally {
+                unsubscribeNotifier();
+                unsubscribeLedger();
+            }
+        }
+    },
+    calendar: {
+        usage: 'calendar [--output <file>]',
+        description: 'Export the bookings as an iCalendar (.ics) file, or print it',
+        run: async (args, options, settings) => {
+            let content = await buildCalendar(settings);
+            if (typeof options.output !== 'string') {
+                return process.stdout.write(content);
+            }
+            fs.writeFileSync(options.output, content);
+            return console.log('Calendar written to ' + options.output);
+        }
+    },
+    feed: {
+        usage: 'feed [--port <port>] [--host <host>]',
+        description: 'Serve the bookings as a calendar feed until stopped',
+        run: async (args, options, settings) => {
+            let feedOptions = Object.assign({}, calendar.calendarDefaults, settings.calendar);
+            let server = calendar.createFeedServer(() => buildCalendar(settings), feedOptions);
+            let url = await serve(server, options, feedOptions);
+            console.log('Calendar feed served on ' + url + 'footbooker.ics');
+        }
+    },
+    history: {
+        usage: 'history [--limit <runs>]',
+        description: 'List the recorded runs, latest first',
+        run: async (args, options, settings) => {
+            let runs = ledger.readRuns(settings.ledgerFile).reverse();
+            if (options.limit) {
+                runs = runs.slice(0, Number(options.limit));
+            }
+            return output(runs, [
+                {title: 'Started', value: (run) => utils.isoToLocal(run.startedAt)},
+                {title: 'Strategy', value: (run) => run.strategy},
+                {title: 'Outcome', value: (run) => run.outcome},
+                {title: 'Booked', value: (run) => run.booking ? utils.isoToLocal(run.booking.StartDateTime) : '-'},
+                {title: 'Choice', value: (run) => typeof run.rank === 'number' ? run.rank + 1 : '-'},
+                {title: 'Tries', value: (run) => run.attempts.reduce((tries, attempt) => tries + attempt.tries, 0)},
+                {title: 'Took (ms)', value: (run) => run.latencies.toBooking !== undefined ? run.latencies.toBooking : '-'},
+                {title: 'Error', value: (run) => run.error || ''}
+            ], options);
+        }
+    },
+    stats: {
+        usage: 'stats',
+        description: 'Show how often the first choice was booked, per weekday and per time',
+        run: async (args, options, settings) => {
+            let stats = ledger.computeStats(ledger.readRuns(settings.ledgerFile));
+            if (options.json) {
+                return output(stats, [], options);
+            }
+
+            let percentage = (count, total) => total ? Math.round(100 * count / total) + '%' : '-';
+            let countColumns = (title) => [
+                {title: title, value: (group) => group.key},
+                {title: 'Runs', value: (group) => group.runs},
+                {title: 'Booked', value: (group) => group.booked + ' (' + percentage(group.booked, group.runs) + ')'},
+                {title: 'First choice', value: (group) => {
+                    return group.firstChoice + ' (' + percentage(group.firstChoice, group.runs) + ')';
+                }}
+            ];
+            console.log(stats.total.runs + ' runs, ' + stats.total.booked + ' booked (' +
+                percentage(stats.total.booked, stats.total.runs) + '), ' + stats.total.firstChoice +
+                ' got the first choice (' + percentage(stats.total.firstChoice, stats.total.runs) + ')\n');
+            output(stats.perWeekday, countColumns('Weekday'), options);
+            console.log();
+            output(stats.perTime, countColumns('First choice time'), options);
+            console.log();
+            return output(stats.perRank, [
+                {title: 'Choice booked', value: (group) => group.key},
+                {title: 'Runs', value: (group) => group.runs + ' (' + percentage(group.runs, stats.total.runs) + ')'}
+            ], options);
+        }
+    },
+    validate: {
+        usage: 'validate [file]',
+        description: 'Check a settings file without connecting to the site',
+        skipValidation: true,
+        run: async (args, options, settings) => {
+            if (args[0]) {
+                settings = settingsLoader.loadSettings(args[0]);
+            }
+            let problems = settingsValidator.validateSettings(settings, {requireStrategy: !settings.daemon});
+            if (options.json) {
+                console.log(JSON.stringify(problems, null, 2));
+            } else if (problems.length === 0) {
+                console.log('Settings are valid');
+            } else {
+                console.log(settingsValidator.formatProblems(problems));
+            }
+            if (problems.length) {
+                throw new Error(problems.length + ' problem(s) found in the settings');
+            }
+        }
+    }
+};
+
+/**
+ * Print the usage of the command line interface
+ */
+function printUsage() {
+    console.log('Usage: footbooker <command> [--settings <path>] [--activity <name>] [--json]\n');
+    console.log(formatTable(Object.keys(commands).map((name) => commands[name]), [
+        {title: 'Command', value: (command) => command.usage},
+        {title: 'Description', value: (command) => command.description}
+    ]));
+}
+
+/**
+ * Run the command line interface
+ *
+ * @param {array} argv the arguments, without 'node' and the script path.
+ *
+ * Resolve once the command is done.
+ */
+async function main(argv) {
+    let parsed = parseArguments(argv);
+    let command = commands[parsed.command];
+    if (!command || parsed.options.help) {
+        printUsage();
+        if (!command && parsed.command) {
+            throw new Error('Unknown command "' + parsed.command + '"');
+        }
+        return;
+    }
+
+    let settings = settingsLoader.loadSettings(command.skipValidation && parsed.args[0] ?
+        parsed.args[0] : parsed.options.settings);
+    if (typeof parsed.options.activity === 'string') {
+        settings.activity = parsed.options.activity;
+    }
+
+    if (!command.skipValidation) {
+        let problems = settingsValidator.validateSettings(settings, {requireStrategy: !!command.requireStrategy});
+        if (problems.length) {
+            throw new Error('Invalid settings:\n' + settingsValidator.formatProblems(problems));
+        }
+    }
+    return command.run(parsed.args, parsed.options, settings);
+}
+
+module.exports = {
+    parseArguments: parseArguments,
+    formatTable: formatTable,
+    main: main
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
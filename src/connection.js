@@ -1,39 +1,92 @@
+const async = require('async');
+const http = require('http');
 const https = require('https');
 
+const CookieJar = require('./cookie-jar.js');
+const errors = require('./errors.js');
+const serverClock = require('./server-clock.js');
+const utils = require('./utils.js');
+
 'use-strict';
 
-const footballId = '50ba1b7a-67f4-4c8d-a575-7dc8b5a43a30';
+const loginPath = '/Services/Commercial/api/security/validatelogin.json';
+const sessionCookie = '.viciniteeFoms';
+const defaultRequestTimeout = 10000;
 
-let cookies = {};
+let cookieJar = new CookieJar();
+let cookieFile;
+let protocol = https;
 let hostname;
+let port;
+let requestTimeout = defaultRequestTimeout;
+// Credentials of the last login, used to log in again when the session expires
+let credentials;
+// Callbacks waiting for the login again in progress, if any
+let pendingRelogin;
+// When set, bookings and cancellations are simulated, see setDryRun
+let dryRun = false;
+// Names of the activities by id, and sessions listed and bookings simulated by guid, used by the dry run
+let activityNames = {};
+let listedSessions = {};
+let simulatedBookings = {};
 
 /**
  * Set the cookies for a given response if there are any
  * 
+ * <p>The cookies are saved to the cookie file, if any, whenever they change.
+ * 
  * @param {Object} res the response received in the https request.
+ * @param {string} path the path the request was sent to.
+ */
+function setCookies(res, path) {
+    if (cookieJar.setCookies(res.headers['set-cookie'], hostname, path)) {
+        saveCookies();
+    }
+}
+
+/**
+ * Save the cookies to the cookie file, if any
  */
-function setCookies(res) {
-    if (res.headers['set-cookie']) {
-        res.headers['set-cookie']
-            .map((s) => s.split(';')[0])
-            .map((s) => s.split('='))
-            .map((a) => {cookies[a[0]] = a[1]});
+function saveCookies() {
+    if (cookieFile) {
+        cookieJar.save(cookieFile);
     }
 }
 
 /**
- * Get all previously set cookies in string format
+ * Get the cookies to be sent to a path, in string format
+ * 
+ * @param {string} path the path the request is sent to.
+ * 
+ * Return the cookies of the jar valid for the path.
+ */
+function getCookies(path) {
+    return cookieJar.getCookieHeader(hostname, path, protocol === https);
+}
+
+/**
+ * Keep the cookies in a file, so that the session can be reused by the next runs
+ * 
+ * <p>The cookies already in the file, if any, replace the current ones.
+ * 
+ * @param {string} file path of the cookie file, see CookieJar.save.
+ */
+function useCookieFile(file) {
+    cookieJar = CookieJar.load(file);
+    cookieFile = file;
+}
+
+/**
+ * Check whether there is a session of an account for the current host
+ * 
+ * <p>The site may still consider the session expired, in which case the calls log in again.
  * 
- * Return all the previously set cookies in this connection.
+ * @param {string} username the username the session has to be logged in with.
+ * 
+ * Return true if a session cookie is set and not expired, and it was obtained logging in as the given user.
  */
-function getCookies() {
-  let result = "";
-  for (let key in cookies) {
-    if (!cookies.hasOwnProperty(key)) continue;
-    let value = cookies[key];
-    result += `${key}=${value}; `
-  }
-  return result;
+function hasSession(username) {
+    return !!cookieJar.get(sessionCookie, hostname, protocol === https) && cookieJar.isAccount(hostname, username);
 }
 
 /**
@@ -41,10 +94,50 @@ function getCookies() {
  * 
  * <p>When in production, it should be the real site, when testing, a mock host.
  * 
- * @param {string} host the hostname to connect to.
+ * <p>A url like 'http://localhost:8080' can also be given, to connect to a server without https or
+ * in a different port, such as the one in mock-server.js.
+ * 
+ * @param {string} host the hostname or url to connect to.
  */
 function setHostname(host) {
-    hostname = host;
+    if (host.indexOf('://') < 0) {
+        protocol = https;
+        hostname = host;
+        port = undefined;
+        return;
+    }
+
+    let url = new URL(host);
+    protocol = url.protocol === 'http:' ? http : https;
+    hostname = url.hostname;
+    port = url.port || undefined;
+}
+
+/**
+ * Set the time after which a request is given up
+ * 
+ * @param {number} timeout time in milliseconds from sending the request until the whole response is received,
+ * the default one if not given.
+ */
+function setRequestTimeout(timeout) {
+    requestTimeout = timeout || defaultRequestTimeout;
+}
+
+/**
+ * Simulate the bookings and cancellations instead of sending them
+ * 
+ * <p>Everything else still reaches the site, e.g. logging in and listing the available sessions, so that the
+ * strategies pick the sessions they would book given the current availability. Simulated bookings have a guid
+ * starting with 'dry-run-' and are returned by queryBookInformation and listBookedSessions with 'DryRun' set.
+ * Their sessions are taken for the rest of the run, so listAvailableBookings does not return them anymore.
+ * 
+ * @param {boolean} enabled whether to simulate.
+ */
+function setDryRun(enabled) {
+    dryRun = !!enabled;
+    if (!dryRun) {
+        simulatedBookings = {};
+    }
 }
 
 /**
@@ -52,22 +145,49 @@ function setHostname(host) {
  * 
  * <p>Existing cookies are passed to the request and new cookies are set.
  * 
+ * <p>The Date header of the response is recorded to estimate the server clock.
+ * 
+ * <p>If the whole response is not received within the request timeout, the request is aborted with a
+ * TransportError, so that a hung connection cannot stall the booking.
+ * 
  * @param {string} path the path to send the request.
  * @param {string} method the method used (e.g. 'GET', 'POST').
  * @param {string} payload the payload to be sent in string format (use JSON.stringify).
  * 
- * Return the response body, in string format, and sets new cookies.
+ * Return the response body, in string format, and the status code, and sets new cookies. Network errors are
+ * TransportErrors.
  */
 function sendRequest(path, method, payload, callback) {
-    let req = https.request({
+    let sentAt = Date.now();
+    let finished = false;
+    let finish = (err, body, statusCode) => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        return callback(err, body, statusCode);
+    };
+    let fail = (err) => {
+        return finish(new errors.TransportError('Request to ' + path + ' failed: ' + err.message, err));
+    };
+
+    let req = protocol.request({
         hostname: hostname,
+        port: port,
         path: path,
         method: method,
         headers: {
-            cookie: getCookies()
+            cookie: getCookies(path)
         }
     }, (res) => {
-        setCookies(res);
+        serverClock.record(res.headers.date, sentAt, Date.now());
+        try {
+            setCookies(res, path);
+        } catch (err) {
+            res.resume();
+            return finish(err);
+        }
 
         let body = [];
         res.on('data', (chunk) => {
@@ -75,16 +195,16 @@ function sendRequest(path, method, payload, callback) {
         });
         res.on('end', () => {
             body = Buffer.concat(body).toString();
-            return callback(null, body);
-        });
-        res.on('error', (err) => {
-            return callback(err);
+            return finish(null, body, res.statusCode);
         });
+        res.on('error', fail);
     });
 
-    req.on('error', (err) => {
-        return callback(err);
-    });
+    req.on('error', fail);
+    let timer = setTimeout(() => {
+        finish(new errors.TransportError('Request to ' + path + ' timed out after ' + requestTimeout + 'ms'));
+        req.destroy();
+    }, requestTimeout);
 
     if (payload) {
         req.write(payload);
@@ -93,6 +213,78 @@ function sendRequest(path, method, payload, callback) {
     req.end();
 }
 
+/**
+ * Log in again with the credentials of the last login
+ * 
+ * <p>Calls made while logging in again wait for it instead of logging in themselves.
+ */
+function relogin(callback) {
+    if (pendingRelogin) {
+        return pendingRelogin.push(callback);
+    }
+
+    pendingRelogin = [callback];
+    cookieJar.clear(hostname);
+    return async.series([
+        getInitialCookies,
+        (callback) => login(credentials.username, credentials.password, callback)
+    ], (err) => {
+        let callbacks = pendingRelogin;
+        pendingRelogin = undefined;
+        callbacks.forEach((callback) => callback(err));
+    });
+}
+
+/**
+ * Send a POST request to an endpoint of the API
+ * 
+ * <p>If the site answers that the session is unauthorised, e.g. because it expired, it logs in again with
+ * the credentials of the last login and the request is sent once more. If it still is, or logging in again
+ * fails, the error is an AuthFailedError.
+ * 
+ * <p>Responses which are not JSON, e.g. an error page of a proxy, are TransportErrors.
+ * 
+ * @param {string} path the path of the endpoint.
+ * @param {string} payload the payload to be sent in string format (use JSON.stringify).
+ * 
+ * Return the parsed response, e.g. {Code: 200, Data: ...}.
+ */
+function sendApiRequest(path, payload, callback) {
+    let send = (retried) => {
+        return sendRequest(path, 'POST', payload, (err, body, statusCode) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (err) {
+                data = undefined;
+            }
+
+            // Expected message if not logged in or the session expired: {Code: 401, Message: 'Unauthorised'}
+            let unauthorised = statusCode === 401 || (data && data.Code === 401);
+            if (unauthorised && path !== loginPath && credentials && !retried) {
+                return relogin((err) => {
+                    if (err) {
+                        return callback(errors.kindOf(err) === errors.kinds.Transport ? err :
+                            new errors.AuthFailedError('Could not log in again: ' + err.message));
+                    }
+                    return send(true);
+                });
+            }
+
+            if (data === undefined) {
+                return callback(new errors.TransportError('Unexpected response from ' + path + ' with status ' +
+                    statusCode));
+            }
+            return callback(null, data);
+        });
+    };
+    return send(false);
+}
+
 /**
  * Get and set the initial cookies
  *
@@ -115,56 +307,79 @@ function getInitialCookies(callback) {
  * @param {string} password the password.
  */
 function login(username, password, callback) {
-    return sendRequest(
-        '/Services/Commercial/api/security/validatelogin.json',
-        'POST',
+    return sendApiRequest(
+        loginPath,
         JSON.stringify({
             Email: username,
             Password: password,
             PersistCookie: true
         }),
-        (err, body) => {
+        (err, data) => {
             if (err) {
                 return callback(err);
             }
 
-            let data = JSON.parse(body);
-            
             // Expected failure message:
             // {Code: 401, Message: 'Email or password was not recognised, please try again'}
             if (data.Code !== 200) {
-                return callback(new Error('Login failed: ' + JSON.stringify(data)));
+                return callback(errors.fromResponse('Login failed', data));
             }
 
             // Expected sucess message: {Code:200, Message: 'Success'}
+            credentials = {username: username, password: password};
+            cookieJar.setAccount(hostname, username);
+            saveCookies();
             return callback();
         }
     );
 }
 
+/**
+ * Log in unless there is already a session
+ * 
+ * <p>A session of the same account, e.g. loaded from the cookie file, is reused without getting the initial cookies
+ * nor logging in. If the site does not accept it anymore, the first call logs in again with the given credentials.
+ * The session of another account is discarded, so that nothing is booked for the wrong account.
+ * 
+ * @param {string} username the username used to login, usually the e-mail address.
+ * @param {string} password the password.
+ */
+function ensureLoggedIn(username, password, callback) {
+    if (hasSession(username)) {
+        credentials = {username: username, password: password};
+        return callback();
+    }
+
+    cookieJar.clear(hostname);
+    return async.series([
+        getInitialCookies,
+        (callback) => login(username, password, callback)
+    ], (err) => callback(err));
+}
+
 
 /**
- * Get sport id
+ * Get the id of an activity type
  *
  * <p>Id should be immutable, no need to get it every time.
  * 
  * <p>All cookies have to be already set.
  * 
+ * @param {string} activityName the name of the activity as shown in the site, e.g. 'Football' or
+ * 'Football half court', whatever the case, see utils.isSameActivity.
+ * 
  * Return the id as a string.
  */
-function getFootballId(callback) {
-    return sendRequest(
+function getActivityTypeId(activityName, callback) {
+    return sendApiRequest(
         '/Services/Commercial/api/muga/listactivitytypes.json',
-        'POST',
         null,
-        (err, body) => {
+        (err, data) => {
             if (err) {
                 return callback(err);
             } else {
-                let data = JSON.parse(body);
-
                 if (data.Code !== 200) {
-                    return callback(new Error('Get football id failed: ' + JSON.stringify(data)));
+                    return callback(errors.fromResponse('Get activity type id failed', data));
                 }
                 
                 // Expected response:
@@ -180,53 +395,93 @@ function getFootballId(callback) {
                 //         {Guid: 'c2ad46e9-58c3-4b54-9c20-8306deead2a6', Name: 'Netball half court (8 or less players)'}
                 //     ]
                 // }
-                let footballId;
-                data.Data.forEach((sport) => {
-                    if (sport.Name === 'Football') {
-                        footballId = sport.Guid;
+                let activityId;
+                data.Data.forEach((activity) => {
+                    activityNames[activity.Guid] = activity.Name;
+                    if (utils.isSameActivity(activity.Name, activityName)) {
+                        activityId = activity.Guid;
                     }
                 });
 
-                if (footballId) {
-                    return callback(null, footballId);
+                if (activityId) {
+                    return callback(null, activityId);
                 }
 
-                return callback(new Error('Get football id failed: could not find Football in ' + JSON.stringify(data.Data)));
+                let validNames = data.Data.map((activity) => '"' + activity.Name + '"').join(', ');
+                return callback(new errors.InvalidParametersError('Get activity type id failed: could not find "' +
+                    activityName + '", valid activities are ' + validNames));
             }
         }
     );
 }
 
+/**
+ * Get football id
+ *
+ * <p>Same as getActivityTypeId for 'Football'.
+ * 
+ * Return the id as a string.
+ */
+function getFootballId(callback) {
+    return getActivityTypeId('Football', callback);
+}
+
+/**
+ * Send requests to improve the estimation of the server clock
+ *
+ * <p>Requests are spread over different fractions of a second, since the Date header of the responses
+ * has a resolution of one second. It takes a little longer than one second per sample.
+ *
+ * @param {number} samples number of requests to be sent.
+ */
+function syncServerClock(samples, callback) {
+    let interval = 1000 + Math.round(1000 / samples);
+    let count = 0;
+    let sendSample = () => {
+        return sendRequest('/Services/Commercial/api/muga/listactivitytypes.json', 'POST', null, (err) => {
+            if (err) {
+                return callback(err);
+            }
+
+            count++;
+            if (count >= samples) {
+                return callback();
+            }
+            return setTimeout(sendSample, interval);
+        });
+    };
+    return sendSample();
+}
+
 /**
  * Obtain a list of available bookings for a given date
  * 
  * <p>All cookies have to be already set.
  * 
  * @param {string} dateString date in ISO string format. Must be like '2017-09-17T00:00:00.000Z'.
+ * @param {string} activityId id of the activity, obtained in getActivityTypeId.
  * 
- * Return an array of available sessions in format [{guid: 'string guid', startTime: 'start date and time in ISO'}].
+ * Return an array of available sessions in format
+ * [{guid: 'string guid', startTime: 'start date and time in ISO', endTime: 'end date and time in ISO'}].
  */
-function listAvailableBookings(dateString, callback) {
-    return sendRequest(
+function listAvailableBookings(dateString, activityId, callback) {
+    return sendApiRequest(
         '/Services/Commercial/api/muga/ListAvailableSessions.json',
-        'POST',
         JSON.stringify({
             BookingDate: dateString,
-            ActivityTypeGuid: footballId
+            ActivityTypeGuid: activityId
         }),
-        (err, body) => {
+        (err, data) => {
             if (err) {
                 return callback(err);
             }
 
-            let data = JSON.parse(body);
-
             // Expected error message if date is too far:
             // {Code: 500, Message: 'Unknown Error Occurred'}
             // Expected error message if string is not a date ISO or sport id not found:
             // {Code: 500, Message: 'The parameters specified are not valid'}
             if (data.Code !== 200) {
-                return callback(new Error('List available bookings failed: ' + JSON.stringify(data)));
+                return callback(errors.fromResponse('List available bookings failed', data, errors.kinds.NotYetOpen));
             }
 
             // Expected success message:
@@ -241,8 +496,9 @@ function listAvailableBookings(dateString, callback) {
             // }
             let availables = [];
             data.Data.forEach((session) => {
-                if (session.Availability >= 0) {
-                    availables.push({guid: session.Guid, startTime: session.StartDateTime});
+                listedSessions[session.Guid] = {session: session, activityId: activityId};
+                if (session.Availability >= 0 && !simulatedBookings[getSimulatedGuid(session.Guid)]) {
+                    availables.push({guid: session.Guid, startTime: session.StartDateTime, endTime: session.EndDateTime});
                 }
             });
             return callback(null, availables);
@@ -255,27 +511,36 @@ function listAvailableBookings(dateString, callback) {
  * 
  * <p>All cookies have to be already set.
  * 
+ * <p>If no proper response is received, e.g. the request timed out, the site may still have made the booking, so
+ * the booked sessions are checked before failing, see findBookingOfSession. Retrying straight away would
+ * otherwise find the session taken, by that very booking, and book another one.
+ * 
  * @param {string} dateString date in ISO string format. Must be like '2017-09-17T00:00:00.000Z'.
  * @param {string} sessionGuid string obtained in listAvailableBookings.
+ * @param {string} activityId id of the activity, obtained in getActivityTypeId.
  * 
  * Return the guid of the booking as a string.
  */
-function sendBookRequest(dateString, sessionGuid, callback) {
-    return sendRequest(
+function sendBookRequest(dateString, sessionGuid, activityId, callback) {
+    if (dryRun) {
+        return simulateBooking(sessionGuid, activityId, callback);
+    }
+
+    return sendApiRequest(
         '/Services/Commercial/api/muga/AddBooking.json',
-        'POST',
         JSON.stringify({
-            ActivityTypeGuid: footballId,
+            ActivityTypeGuid: activityId,
             Date: dateString,
             SessionGuid: sessionGuid
         }),
-        (err, body) => {
+        (err, data) => {
             if (err) {
+                if (errors.kindOf(err) === errors.kinds.Transport) {
+                    return findBookingOfSession(sessionGuid, err, callback);
+                }
                 return callback(err);
             }
 
-            let data = JSON.parse(body);
-            
             // Expected error message if slot is not available:
             // {Code: 500, Message: 'Sorry, There is no space left to complete the booking. Please refresh the page and try again'}
             // Expected error message if sport id, session id or date string is wrong:
@@ -283,7 +548,7 @@ function sendBookRequest(dateString, sessionGuid, callback) {
             // Expected error message if date is too far:
             // {Code: 500, Message: 'Unknown Error Occurred'}
             if (data.Code !== 200) {
-                return callback(new Error('Send book request failed: ' + JSON.stringify(data)));
+                return callback(errors.fromResponse('Send book request failed', data, errors.kinds.NotYetOpen));
             }
 
             // Expected success message:
@@ -293,6 +558,40 @@ function sendBookRequest(dateString, sessionGuid, callback) {
     );
 }
 
+/**
+ * Find the booking made for a session by a book request without proper response
+ * 
+ * <p>All cookies have to be already set.
+ * 
+ * @param {string} sessionGuid string obtained in listAvailableBookings.
+ * @param {Error} requestError the TransportError of the book request.
+ * 
+ * Return the guid of the booking of the session, if it was made. Otherwise, or if the bookings cannot be listed,
+ * the error is the one of the book request.
+ */
+function findBookingOfSession(sessionGuid, requestError, callback) {
+    let listed = listedSessions[sessionGuid];
+    if (!listed) {
+        return callback(requestError);
+    }
+
+    return listBookedSessions((err, bookings) => {
+        if (err) {
+            return callback(requestError);
+        }
+
+        let start = new Date(listed.session.StartDateTime).getTime();
+        let booking = bookings.find((booking) => {
+            return new Date(booking.StartDateTime).getTime() === start &&
+                utils.isSameActivity(booking.ActivityName, activityNames[listed.activityId]);
+        });
+        if (!booking) {
+            return callback(requestError);
+        }
+        return callback(null, booking.Guid);
+    });
+}
+
 /**
  * Query book information
  * 
@@ -311,21 +610,22 @@ function sendBookRequest(dateString, sessionGuid, callback) {
  * }
  */
 function queryBookInformation(guid, callback) {
-    return sendRequest(
+    if (simulatedBookings[guid]) {
+        return process.nextTick(() => callback(null, Object.assign({}, simulatedBookings[guid])));
+    }
+
+    return sendApiRequest(
         '/Services/Commercial/api/muga/GetBookingInformation.json',
-        'POST',
         JSON.stringify({Guid: guid}),
-        (err, body) => {
+        (err, data) => {
             if (err) {
                 return callback(err);
             }
-            
-            let data = JSON.parse(body);
 
             // Expected error message if invalid guid:
             // {Code: 500, Message: 'The parameters specified are not valid'}
             if (data.Code !== 200) {
-                return callback(new Error('Query book information failed: ' + JSON.stringify(data)));
+                return callback(errors.fromResponse('Query book information failed', data));
             }
 
             // Expected success message:
@@ -361,21 +661,18 @@ function queryBookInformation(guid, callback) {
  * }]
  */
 function listBookedSessions(callback) {
-    return sendRequest(
+    return sendApiRequest(
         '/Services/Commercial/api/muga/list.json',
-        'POST',
         JSON.stringify({
             BookingDate: null
         }),
-        (err, body) => {
+        (err, data) => {
             if (err) {
                 return callback(err);
             }
 
-            let data = JSON.parse(body);
-            
             if (data.Code !== 200) {
-                return callback(new Error('List booked sessions failed: ' + JSON.stringify(data)));
+                return callback(errors.fromResponse('List booked sessions failed', data));
             }
 
             // Expected success message:
@@ -400,7 +697,8 @@ function listBookedSessions(callback) {
             //         }
             //     ]
             // }
-            return callback(null, data.Data);
+            let simulated = Object.keys(simulatedBookings).map((guid) => Object.assign({}, simulatedBookings[guid]));
+            return callback(null, data.Data.concat(simulated));
         }
     );
 }
@@ -414,24 +712,25 @@ function listBookedSessions(callback) {
  * @param {string} reason reason why booking is being canceled.
  */
 function cancelBooking(guid, reason, callback) {
-    return sendRequest(
+    if (dryRun) {
+        return simulateCancellation(guid, callback);
+    }
+
+    return sendApiRequest(
         '/Services/Commercial/api/muga/cancelBooking.json',
-        'POST',
         JSON.stringify({
             Guid: guid,
             reason: reason
         }),
-        (err, body) => {
+        (err, data) => {
             if (err) {
                 return callback(err);
             }
 
-            let data = JSON.parse(body);
-
             // Expected error message if invalid guid:
             // {Code: 500, Message: 'Unknown Error Occurred'}
             if (data.Code !== 200) {
-                return callback(new Error('Cancel booking failed: ' + JSON.stringify(data)));
+                return callback(errors.fromResponse('Cancel booking failed', data, errors.kinds.InvalidParameters));
             }
 
             // Expected success message:
@@ -441,11 +740,75 @@ function cancelBooking(guid, reason, callback) {
     );
 }
 
+/**
+ * Get the guid of the simulated booking of a session, see setDryRun
+ * 
+ * @param {string} sessionGuid string obtained in listAvailableBookings.
+ * 
+ * Return the guid, a session having at most one simulated booking.
+ */
+function getSimulatedGuid(sessionGuid) {
+    return 'dry-run-' + sessionGuid;
+}
+
+/**
+ * Simulate the booking of a session, see setDryRun
+ * 
+ * <p>It fails as the site would if the session was not available when listed or was already booked in the run.
+ * 
+ * @param {string} sessionGuid string obtained in listAvailableBookings.
+ * @param {string} activityId id of the activity, obtained in getActivityTypeId.
+ * 
+ * Return the guid of the simulated booking as a string.
+ */
+function simulateBooking(sessionGuid, activityId, callback) {
+    let listed = listedSessions[sessionGuid];
+    if (!listed) {
+        return process.nextTick(() => {
+            return callback(new errors.InvalidParametersError('Dry run: session ' + sessionGuid + ' was not listed'));
+        });
+    }
+    let guid = getSimulatedGuid(sessionGuid);
+    if (listed.session.Availability < 0 || simulatedBookings[guid]) {
+        return process.nextTick(() => {
+            return callback(new errors.SlotTakenError('Dry run: session ' + sessionGuid + ' is not available'));
+        });
+    }
+
+    simulatedBookings[guid] = {
+        Guid: guid,
+        StartDateTime: listed.session.StartDateTime,
+        EndDateTime: listed.session.EndDateTime,
+        ActivityName: activityNames[activityId || listed.activityId],
+        Description: null,
+        PersonGuid: null,
+        DryRun: true
+    };
+    return process.nextTick(() => callback(null, guid));
+}
+
+/**
+ * Simulate the cancellation of a booking, either a simulated or a real one, see setDryRun
+ * 
+ * @param {string} guid guid of the booking.
+ */
+function simulateCancellation(guid, callback) {
+    delete simulatedBookings[guid];
+    return process.nextTick(() => callback());
+}
+
 module.exports = {
     setHostname: setHostname,
+    setDryRun: setDryRun,
+    setRequestTimeout: setRequestTimeout,
+    useCookieFile: useCookieFile,
+    hasSession: hasSession,
     getInitialCookies: getInitialCookies,
     login: login,
+    ensureLoggedIn: ensureLoggedIn,
+    getActivityTypeId: getActivityTypeId,
     getFootballId: getFootballId,
+    syncServerClock: syncServerClock,
     listAvailableBookings: listAvailableBookings,
     sendBookRequest: sendBookRequest,
     queryBookInformation: queryBookInformation,
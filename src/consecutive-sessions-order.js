@@ -0,0 +1,311 @@
+const async = require('async');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const connection = require('./connection.js');
+const errors = require('./errors.js');
+const release = require('./release.js');
+const core = require('./strategy-core.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Try to book a block of consecutive sessions given a list of availability
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Sessions are booked one after the other. If any of them fails, the ones already booked are
+ * cancelled, so either the whole block is booked or nothing is. The ones which could not be cancelled are given
+ * in the 'notCancelled' of the error, see core.cancelBookings, and kept in the run, see core.reportNotCancelled.
+ * 
+ * @param {array} blockDateAndTimes array of strings with the start date and time of each session of the block.
+ * If contains no time zone, it will be considered local.
+ * @param {Object} availableSessions available sessions for the given date, in format:
+ * [{guid: 'string guid', startTime: 'start date and time in ISO'}].
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options {reasonToCancel: reason used when cancelling a partially booked block, run: run of the
+ * strategy booking}, see core.getBookingOptions.
+ * 
+ * Return an array of strings with the guids of the bookings, in the order of the sessions, if suceeded.
+ */
+function tryToBookBlockGivenAvailability(blockDateAndTimes, availableSessions, activityId, options, callback) {
+    let booked = [];
+    return async.eachSeries(blockDateAndTimes, (dateAndTime, callback) => {
+        return core.tryToBookGivenAvailability(dateAndTime, availableSessions, activityId, options.run, (err, guid) => {
+            if (err) {
+                return callback(err);
+            }
+
+            booked.push({Guid: guid, StartDateTime: utils.localOrISOToISO(dateAndTime)});
+            return callback();
+        });
+    }, (err) => {
+        if (!err) {
+            return callback(null, booked.map((booking) => booking.Guid));
+        }
+
+        if (booked.length === 0) {
+            return callback(err);
+        }
+
+        // Roll back the partial block
+        log.log('info', 'Block only partially booked, cancelling ' + booked.map((booking) => booking.Guid).join(', '));
+        return core.cancelBookings(booked, options.reasonToCancel, (cancelErr, notCancelled) => {
+            if (notCancelled.length) {
+                err.notCancelled = notCancelled;
+                core.reportNotCancelled(options.run, notCancelled);
+            }
+            return callback(err);
+        });
+    });
+}
+
+/**
+ * Get the start of the sessions of a block
+ * 
+ * @param {string} dateString date string. If no time zone is provided, it is considered as local.
+ * @param {string} time start time of the block. If no time zone, it is considered as local.
+ * @param {number} sessions number of sessions in a block.
+ * @param {number} interval minutes between the start of two consecutive sessions.
+ * 
+ * Return an array of strings with the date and time of each session, in ISO format.
+ */
+function getBlockDateAndTimes(dateString, time, sessions, interval) {
+    let isoDateAndTime = utils.datePlusTimeToDateAndTime(dateString, time);
+    let blockDateAndTimes = [];
+    for (let i = 0; i < sessions; i++) {
+        blockDateAndTimes.push(utils.addMinutes(isoDateAndTime, i * interval));
+    }
+    return blockDateAndTimes;
+}
+
+/**
+ * Try to book blocks of consecutive sessions for the given date in the given start time order
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Blocks with any session already unavailable are skipped without booking anything.
+ * 
+ * @param {string} dateString date string. If no time zone is provided, it is considered as local.
+ * @param {array} timeBookingPreference array of strings with the start time of the block. If no time zone,
+ * it is considered as local. e.g. ["20:00", "19:00"].
+ * @param {number} sessions number of sessions in a block.
+ * @param {number} interval minutes between the start of two consecutive sessions.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options {reasonToCancel, run}, see tryToBookBlockGivenAvailability.
+ * 
+ * Return an array of strings with the guids of the bookings, in the order of the sessions, if suceeded.
+ * Otherwise the errors of the tries are combined, see errors.combine.
+ */
+function tryToBookBlockInOrderSameDate(dateString, timeBookingPreference, sessions, interval, activityId,
+    options, callback) {
+    let isoDateString = utils.dateAndTimeOrDateToDate(dateString);
+    return async.waterfall([
+        (callback) => {
+            return connection.listAvailableBookings(isoDateString, activityId, callback);
+        },
+        (availableSessions, callback) => {
+            let bookedGuids;
+            let failures = [];
+            return async.eachSeries(timeBookingPreference, (time, callback) => {
+                if (bookedGuids) {
+                    // Already booked
+                    return callback();
+                }
+
+                let blockDateAndTimes = getBlockDateAndTimes(isoDateString, time, sessions, interval);
+                let isoDateAndTime = blockDateAndTimes[0];
+
+                let unavailable = blockDateAndTimes.filter((dateAndTime) => {
+                    return !core.getAvailableSessionGuid(dateAndTime, availableSessions);
+                });
+                if (unavailable.length) {
+                    let err = new errors.SlotTakenError('Block starting at ' + isoDateAndTime + ' is not available: ' +
+                        unavailable.join(', ') + ' already taken');
+                    log.log('info', err.message);
+                    failures.push(err);
+                    return callback();
+                }
+
+                log.log('info', 'Trying to book block ' + blockDateAndTimes.join(', '));
+                return tryToBookBlockGivenAvailability(blockDateAndTimes, availableSessions, activityId,
+                    options, (err, guids) => {
+                        if (err) {
+                            // If not succeeded, try next
+                            log.log('info', 'Booking block starting at ' + isoDateAndTime + ' failed: ' + err);
+                            failures.push(err);
+                            return callback();
+                        }
+
+                        bookedGuids = guids;
+                        log.log('info', 'Booking block starting at ' + isoDateAndTime + ' succeeded: ' +
+                            guids.join(', '));
+                        return callback();
+                    });
+            }, (err) => {
+                if (err) {
+                    // Should never happen here since errors in partial functions are ignored
+                    log.log('error', err);
+                    return callback(err);
+                }
+
+                if (!bookedGuids) {
+                    // Passed by all tries but none was successful
+                    return callback(errors.combine('None of the block bookings was successful', failures));
+                }
+
+                return callback(null, bookedGuids);
+            });
+        }
+    ], callback);
+}
+
+/**
+ * Query the information of a block of bookings
+ * 
+ * <p>All cookies have to be already set.
+ * 
+ * @param {array} guids array of strings with the guids of the bookings, in the order of the sessions.
+ * 
+ * Return the combined information in format:
+ * {
+ *      Guids: ['e852a824-d429-4748-ac7d-be29f48470f8', '8b525b11-b02a-4317-89d0-69491265c603'],
+ *      StartDateTime: '2017-09-18T19:00:00.0000000Z',
+ *      EndDateTime: '2017-09-18T20:45:00.0000000Z',
+ *      ActivityName: 'Football',
+ *      Sessions: [the information of each booking as returned by queryBookInformation]
+ * }
+ */
+function queryBlockInformation(guids, callback) {
+    return async.mapSeries(guids, connection.queryBookInformation, (err, sessions) => {
+        if (err) {
+            return callback(err);
+        }
+
+        return callback(null, {
+            Guids: guids,
+            StartDateTime: sessions[0].StartDateTime,
+            EndDateTime: sessions[sessions.length - 1].EndDateTime,
+            ActivityName: sessions[0].ActivityName,
+            Sessions: sessions
+        });
+    });
+}
+
+/**
+ * Perform consecutiveSessionsOrder strategy
+ * 
+ * <p>Books a block of consecutive sessions in the next occurrence of the weekday, trying the block start
+ * times in order. A block is only kept if all of its sessions could be booked.
+ * 
+ * <p>A 'date' can also be given in consecutiveSessionsOrder to book it instead of the date found from the weekday.
+ * 
+ * @param {Object} settings object in expected structure:
+ * {
+ *      credentials: {
+ *          login: 'email@host.com',
+ *          password: 'password'
+ *      },
+ *      hostname: 'the.site.co.uk',
+ *      activity: 'Football',
+ *      reasonToCancel: 'Any reason',
+ *      consecutiveSessionsOrder: {
+ *          weekday: 'Wednesday',
+ *          offset: 3,
+ *          sessions: 2,
+ *          interval: 60,
+ *          timePreference: [
+ *              '20:00',
+ *              '19:00',
+ *              '18:00'
+ *          ]
+ *      },
+ *      release: {
+ *          time: '00:00',
+ *          daysAhead: 7
+ *      },
+ *      retryTimeout: 3,
+ *      timeout: 180000
+ * }
+ * 
+ * Return the combined information of the block, in the format returned by queryBlockInformation.
+ */
+function consecutiveSessionsOrder(settings, callback) {
+    let run = core.startStrategy('consecutiveSessionsOrder', settings);
+    let deadline = settings.timeout ? Date.now() + settings.timeout : undefined;
+    let activityId;
+    let rebooking = {};
+    let blockSettings = settings.consecutiveSessionsOrder;
+    let fixedDate = core.getFixedDate(blockSettings);
+    let releasedDate = fixedDate;
+    let targetDate;
+    // Guids of the bookings held for the block starting at the given time, if all of its sessions are held
+    let getHeldBlockGuids = (time, bookings) => {
+        let guids = getBlockDateAndTimes(targetDate, time, blockSettings.sessions, blockSettings.interval || 60)
+            .map((dateAndTime) => {
+                let booking = bookings.find((booking) => {
+                    return new Date(booking.StartDateTime).toISOString() === dateAndTime;
+                });
+                return booking && booking.Guid;
+            });
+        return guids.every((guid) => guid) ? guids : undefined;
+    };
+    // Start time of the held block the booking is the first session of, if any
+    let getHeldBlockTime = (booking, bookings) => {
+        return blockSettings.timePreference.find((time) => {
+            let guids = getHeldBlockGuids(time, bookings);
+            return guids !== undefined && guids[0] === booking.Guid;
+        });
+    };
+    return async.waterfall([
+        (callback) => {
+            return core.login(settings.credentials, callback);
+        },
+        (callback) => {
+            return connection.getActivityTypeId(settings.activity || core.defaultActivity, callback);
+        },
+        (id, callback) => {
+            activityId = id;
+            targetDate = core.getTargetDate(blockSettings, settings.release);
+            return core.findHeldBooking(settings, run, (booking, bookings) => {
+                let time = getHeldBlockTime(booking, bookings);
+                return time !== undefined ? blockSettings.timePreference.indexOf(time) : undefined;
+            }, callback);
+        },
+        (heldBooking, bookings, callback) => {
+            if (heldBooking) {
+                rebooking.alreadyHeld = true;
+                return callback(null, getHeldBlockGuids(getHeldBlockTime(heldBooking, bookings), bookings));
+            }
+            return async.waterfall([
+                (callback) => {
+                    return core.waitForRelease(settings, () => {
+                        releasedDate = fixedDate || release.getNextReleasedDateForWeekday(blockSettings.weekday,
+                            settings.release);
+                        return core.getReleaseInstantOrWarn(releasedDate, blockSettings.weekday, settings.release);
+                    }, callback);
+                },
+                (schedule, callback) => {
+                    return core.keepTryingToBook((callback) => {
+                        let dateString = releasedDate ||
+                            utils.getNextDateForWeekday(blockSettings.weekday, blockSettings.offset);
+                        log.log('info', 'Trying to book a block for weekday ' + blockSettings.weekday +
+                            ' which date is ' + dateString);
+                        return tryToBookBlockInOrderSameDate(dateString,
+                            blockSettings.timePreference,
+                            blockSettings.sessions,
+                            blockSettings.interval || 60,
+                            activityId,
+                            core.getBookingOptions(settings, run),
+                            callback);
+                    }, schedule, deadline, callback);
+                }
+            ], callback);
+        },
+        queryBlockInformation
+    ], core.finishStrategy(run, callback, rebooking));
+}
+
+module.exports = {
+    consecutiveSessionsOrder: consecutiveSessionsOrder
+}
@@ -0,0 +1,259 @@
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Check whether a host is in a cookie domain
+ *
+ * <p>A domain matches itself and its subdomains, e.g. 'the.site.co.uk' matches 'site.co.uk'.
+ */
+function domainMatches(host, domain) {
+    host = host.toLowerCase();
+    return host === domain || (host.length > domain.length && host.endsWith('.' + domain));
+}
+
+/**
+ * Check whether a request path is in a cookie path
+ */
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) {
+        return true;
+    }
+    return requestPath.indexOf(cookiePath) === 0 &&
+        (cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/');
+}
+
+/**
+ * Get the default path of a cookie, the directory of the request path
+ */
+function defaultPath(requestPath) {
+    let pathname = (requestPath || '/').split('?')[0];
+    if (pathname.charAt(0) !== '/' || pathname.lastIndexOf('/') === 0) {
+        return '/';
+    }
+    return pathname.substr(0, pathname.lastIndexOf('/'));
+}
+
+/**
+ * Cookie jar following the rules browsers use for Set-Cookie headers (RFC 6265)
+ *
+ * <p>Expires, Max-Age, Domain, Path and Secure are respected, and cookies set with an expiry in the past
+ * are deleted. The jar can be saved to disk and loaded back, so that a session is reused across runs.
+ *
+ * <p>Session cookies, the ones without expiry, are saved as well: the site decides whether they are still
+ * valid.
+ *
+ * <p>The account logged in on each host is kept with the cookies, so that a session is only reused for the same
+ * account, see setAccount.
+ */
+class CookieJar {
+    constructor() {
+        this.cookies = [];
+        this.accounts = {};
+    }
+
+    /**
+     * Record the account the session cookies of a host belong to
+     *
+     * @param {string} host the host logged in.
+     * @param {string} account the login of the account, usually the e-mail address.
+     */
+    setAccount(host, account) {
+        this.accounts[host.toLowerCase()] = account.toLowerCase();
+    }
+
+    /**
+     * Check whether the session cookies of a host belong to an account
+     *
+     * Return true only if the account was recorded for the host, see setAccount.
+     */
+    isAccount(host, account) {
+        return this.accounts[host.toLowerCase()] === String(account).toLowerCase();
+    }
+
+    /**
+     * Store the cookies of a response
+     *
+     * @param {string|array} headers the Set-Cookie header values.
+     * @param {string} host the host the request was sent to.
+     * @param {string} requestPath the path the request was sent to.
+     * @param {number} now optional current time in milliseconds.
+     *
+     * Return true if any cookie was added, changed or deleted.
+     */
+    setCookies(headers, host, requestPath, now) {
+        now = now || Date.now();
+        let changed = false;
+        [].concat(headers || []).forEach((header) => {
+            changed = this.setCookie(header, host, requestPath, now) || changed;
+        });
+        return changed;
+    }
+
+    /**
+     * Store a single cookie, see setCookies
+     *
+     * Return true if the jar changed.
+     */
+    setCookie(header, host, requestPath, now) {
+        let parts = header.split(';');
+        let pair = parts.shift();
+        let equals = pair.indexOf('=');
+        if (equals <= 0) {
+            // Nameless cookies are ignored
+            return false;
+        }
+
+        let cookie = {
+            name: pair.substr(0, equals).trim(),
+            value: pair.substr(equals + 1).trim(),
+            domain: host.toLowerCase(),
+            hostOnly: true,
+            path: defaultPath(requestPath),
+            secure: false,
+            expires: undefined
+        };
+        let maxAge;
+        parts.forEach((part) => {
+            let index = part.indexOf('=');
+            let name = (index < 0 ? part : part.substr(0, index)).trim().toLowerCase();
+            let value = index < 0 ? '' : part.substr(index + 1).trim();
+            if (name === 'expires') {
+                let date = new Date(value).getTime();
+                if (!isNaN(date)) {
+                    cookie.expires = date;
+                }
+            } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+                maxAge = Number(value);
+            } else if (name === 'domain' && value) {
+                cookie.domain = value.replace(/^\./, '').toLowerCase();
+                cookie.hostOnly = false;
+            } else if (name === 'path' && value.charAt(0) === '/') {
+                cookie.path = value;
+            } else if (name === 'secure') {
+                cookie.secure = true;
+            }
+        });
+        // Max-Age has precedence over Expires
+        if (maxAge !== undefined) {
+            cookie.expires = maxAge <= 0 ? 0 : now + maxAge * 1000;
+        }
+
+        if (!cookie.hostOnly && !domainMatches(host, cookie.domain)) {
+            // A site cannot set cookies for another one
+            return false;
+        }
+
+        let index = this.cookies.findIndex((existing) => {
+            return existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path;
+        });
+        let expired = cookie.expires !== undefined && cookie.expires <= now;
+        if (expired) {
+            // Setting an expired cookie is how servers delete it
+            if (index >= 0) {
+                this.cookies.splice(index, 1);
+                return true;
+            }
+            return false;
+        }
+
+        if (index >= 0) {
+            this.cookies[index] = cookie;
+        } else {
+            this.cookies.push(cookie);
+        }
+        return true;
+    }
+
+    /**
+     * Get the cookies to send in a request
+     *
+     * @param {string} host the host the request is sent to.
+     * @param {string} requestPath the path the request is sent to.
+     * @param {boolean} secure whether the request is sent over https.
+     * @param {number} now optional current time in milliseconds.
+     *
+     * Return an array of cookies in format {name, value, domain, hostOnly, path, secure, expires}.
+     */
+    getCookies(host, requestPath, secure, now) {
+        now = now || Date.now();
+        let pathname = (requestPath || '/').split('?')[0];
+        this.removeExpired(now);
+        return this.cookies.filter((cookie) => {
+            let hostMatches = cookie.hostOnly ? host.toLowerCase() === cookie.domain : domainMatches(host, cookie.domain);
+            return hostMatches && pathMatches(pathname, cookie.path) && (secure || !cookie.secure);
+        });
+    }
+
+    /**
+     * Get the Cookie header to send in a request, see getCookies
+     *
+     * Return the header value, e.g. 'name=value; other=value', empty if there is no cookie to send.
+     */
+    getCookieHeader(host, requestPath, secure, now) {
+        return this.getCookies(host, requestPath, secure, now).map((cookie) => cookie.name + '=' + cookie.value)
+            .join('; ');
+    }
+
+    /**
+     * Get the value of a cookie which would be sent to a host
+     *
+     * Return the value, or undefined if there is no valid cookie with that name.
+     */
+    get(name, host, secure) {
+        let cookie = this.getCookies(host, '/', secure).find((cookie) => cookie.name === name);
+        return cookie ? cookie.value : undefined;
+    }
+
+    /**
+     * Remove the expired cookies
+     */
+    removeExpired(now) {
+        now = now || Date.now();
+        this.cookies = this.cookies.filter((cookie) => cookie.expires === undefined || cookie.expires > now);
+    }
+
+    /**
+     * Remove all cookies, or the ones of a host, and the accounts they belong to
+     *
+     * @param {string} host optional host whose cookies are removed.
+     */
+    clear(host) {
+        this.cookies = host ? this.cookies.filter((cookie) => !domainMatches(host, cookie.domain)) : [];
+        if (host) {
+            delete this.accounts[host.toLowerCase()];
+        } else {
+            this.accounts = {};
+        }
+    }
+
+    /**
+     * Save the cookies to a file
+     *
+     * <p>The file holds the session, so it is only readable by its owner, see utils.saveStateFile.
+     *
+     * @param {string} file path of the file, created with its directory if needed.
+     */
+    save(file) {
+        this.removeExpired();
+        utils.saveStateFile(file, {accounts: this.accounts, cookies: this.cookies}, 0o600);
+    }
+
+    /**
+     * Load the cookies saved in a file
+     *
+     * @param {string} file path of the file.
+     *
+     * Return a new CookieJar, empty if the file does not exist.
+     */
+    static load(file) {
+        let jar = new CookieJar();
+        let saved = utils.loadStateFile(file, {});
+        jar.cookies = saved.cookies || [];
+        jar.accounts = saved.accounts || {};
+        jar.removeExpired();
+        return jar;
+    }
+}
+
+module.exports = CookieJar;
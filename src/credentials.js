@@ -0,0 +1,151 @@
+const async = require('async');
+const fs = require('fs');
+const readline = require('readline');
+const stream = require('stream');
+
+'use-strict';
+
+const credentialNames = ['login', 'password'];
+
+/**
+ * Read a secrets file
+ *
+ * <p>The file must not be readable or writable by other users (e.g. 'chmod 600'), otherwise it is refused.
+ * Permissions are not checked on Windows, where they are not reported.
+ *
+ * @param {string} path path of the JSON secrets file, e.g. {"login": "email@host.com", "password": "password"}.
+ *
+ * Return the secrets object. Throws if the file cannot be read or its permissions are too open.
+ */
+function readSecretsFile(path) {
+    let stats = fs.statSync(path);
+    if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+        throw new Error('Secrets file ' + path + ' can be accessed by other users, run "chmod 600 ' + path + '"');
+    }
+    return JSON.parse(fs.readFileSync(path));
+}
+
+/**
+ * Create an output stream writing nothing, for readline to echo the typed characters to
+ *
+ * @param {stream.Writable} output the terminal output, whose width readline uses.
+ *
+ * Return the stream.
+ */
+function createMutedOutput(output) {
+    let muted = new stream.Writable({
+        write: (chunk, encoding, callback) => callback()
+    });
+    muted.columns = output.columns;
+    return muted;
+}
+
+/**
+ * Ask for a value in the terminal
+ *
+ * <p>For a hidden answer, the question is written to the terminal directly and readline is given a muted
+ * output, so that none of the typed characters is shown.
+ *
+ * @param {string} question the text shown before the answer.
+ * @param {Object} options optional object in format {hidden: true, input: process.stdin, output: process.stdout},
+ * 'hidden' telling whether the answer must not be echoed, e.g. for passwords.
+ * @param {function} callback function with params (err, answer).
+ */
+function prompt(question, options, callback) {
+    options = Object.assign({input: process.stdin, output: process.stdout}, options);
+    if (!options.input.isTTY) {
+        return callback(new Error('Cannot ask "' + question.trim() + '", not running in a terminal'));
+    }
+
+    let output = options.hidden ? createMutedOutput(options.output) : options.output;
+    let rl = readline.createInterface({input: options.input, output: output, terminal: true});
+    if (options.hidden) {
+        options.output.write(question);
+    }
+    rl.question(options.hidden ? '' : question, (answer) => {
+        rl.close();
+        if (options.hidden) {
+            // The new line typed was muted too
+            options.output.write('\n');
+        }
+        return callback(null, answer);
+    });
+}
+
+/**
+ * Resolve a single credential
+ *
+ * <p>The credential is either the value itself or an object with its sources, tried in this order:
+ * <ul>
+ *     <li>env: name of an environment variable holding it.</li>
+ *     <li>file: path of a JSON secrets file holding it under 'key', or under the credential name if no key is
+ *     given. See readSecretsFile.</li>
+ *     <li>prompt: true to ask for it in the terminal.</li>
+ * </ul>
+ *
+ * @param {string} name the credential name, 'login' or 'password'.
+ * @param {string|Object} source the value, or its sources, e.g. {env: 'FOOTBOOKER_PASSWORD', prompt: true}.
+ * @param {function} callback function with params (err, value).
+ */
+function resolveCredential(name, source, callback) {
+    if (typeof source === 'string') {
+        return callback(null, source);
+    }
+    if (!source || typeof source !== 'object') {
+        return callback(new Error('Credential ' + name + ' is missing'));
+    }
+
+    if (source.env && process.env[source.env]) {
+        return callback(null, process.env[source.env]);
+    }
+
+    if (source.file) {
+        let secrets;
+        try {
+            secrets = readSecretsFile(source.file);
+        } catch (err) {
+            return callback(err);
+        }
+        let key = source.key || name;
+        if (typeof secrets[key] === 'string' && secrets[key]) {
+            return callback(null, secrets[key]);
+        }
+        if (!source.prompt) {
+            return callback(new Error('Secrets file ' + source.file + ' has no ' + key));
+        }
+    }
+
+    if (source.prompt) {
+        return prompt(name.charAt(0).toUpperCase() + name.substr(1) + ': ', {hidden: name === 'password'}, callback);
+    }
+
+    return callback(new Error('Credential ' + name + ' could not be found' +
+        (source.env ? ', environment variable ' + source.env + ' is not set' : '')));
+}
+
+/**
+ * Resolve the credentials of the settings
+ *
+ * <p>Each credential is either given in the settings or referenced from its sources, see resolveCredential.
+ * They are resolved one at a time, so prompts do not overlap.
+ *
+ * @param {Object} credentials the credentials of the settings, e.g.
+ * {login: 'email@host.com', password: {env: 'FOOTBOOKER_PASSWORD', file: 'settings/secrets.json', prompt: true}}.
+ * @param {function} callback function with params (err, credentials), credentials in format
+ * {login: 'email@host.com', password: 'password'}.
+ */
+function resolveCredentials(credentials, callback) {
+    let resolved = {};
+    async.eachSeries(credentialNames, (name, callback) => {
+        resolveCredential(name, (credentials || {})[name], (err, value) => {
+            resolved[name] = value;
+            return callback(err);
+        });
+    }, (err) => callback(err, err ? undefined : resolved));
+}
+
+module.exports = {
+    prompt: prompt,
+    readSecretsFile: readSecretsFile,
+    resolveCredentials: resolveCredentials
+}
@@ -0,0 +1,334 @@
+const util = require('util');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const cancellation = require('./cancellation.js');
+const credentialsLoader = require('./credentials.js');
+const footbooker = require('./footbooker.js');
+const ledger = require('./ledger.js');
+const notifier = require('./notifier.js');
+const release = require('./release.js');
+const roster = require('./roster.js');
+const settingsLoader = require('./settings.js');
+const settingsValidator = require('./settings-validator.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const daemonDefaults = {
+    stateFile: 'settings/daemon_state.json',
+    startBefore: 60000,
+    catchUpWindow: 21600000,
+    checkInterval: 60000,
+    maxRunTime: 600000,
+    rules: []
+};
+
+/**
+ * Load the state of the daemon
+ *
+ * @param {string} stateFile path of the state file.
+ *
+ * Return the state in format {rules: {ruleName: {lastRelease, date, status, startedAt, finishedAt, result}}},
+ * empty if the file does not exist yet.
+ */
+function loadState(stateFile) {
+    return utils.loadStateFile(stateFile, {rules: {}});
+}
+
+/**
+ * Build the settings used to run a rule
+ *
+ * <p>The rule properties override the ones in the settings. Objects, such as 'release', are merged
+ * one level deep, so a rule can override only part of them.
+ *
+ * @param {Object} settings the whole settings object.
+ * @param {Object} rule the rule, e.g. {name: 'wednesday', strategy: 'weekdayAndTimeOrder', weekdayAndTimeOrder: {...}}.
+ *
+ * Return a new settings object.
+ */
+function getRuleSettings(settings, rule) {
+    let ruleSettings = Object.assign({}, settings);
+    delete ruleSettings.daemon;
+    Object.keys(rule).forEach((key) => {
+        let value = rule[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            settings[key] && typeof settings[key] === 'object' && !Array.isArray(settings[key])) {
+            value = Object.assign({}, settings[key], value);
+        }
+        ruleSettings[key] = value;
+    });
+    ruleSettings.release = ruleSettings.release || {};
+    return ruleSettings;
+}
+
+/**
+ * Get the next release of a rule which was not run yet
+ *
+ * @param {Object} ruleSettings the settings of the rule, as returned by getRuleSettings.
+ * @param {string} lastRelease the release instant, in ISO format, of the last run of the rule, if any.
+ * @param {number} earliest time in milliseconds of the earliest release to consider.
+ *
+ * Return an object in format {instant: Date, date: 'date opened by the release in ISO format'}.
+ */
+function getNextRelease(ruleSettings, lastRelease, earliest) {
+    let weekdayIndex = utils.getWeekdayIndex(ruleSettings[ruleSettings.strategy].weekday);
+    let today = new Date(earliest);
+    for (let days = 0; days < 60; days++) {
+        let date = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate() + days));
+        if (date.getUTCDay() !== weekdayIndex) {
+            continue;
+        }
+
+        let instant = release.getReleaseInstant(date.toISOString(), ruleSettings.release);
+        if (instant.getTime() < earliest || (lastRelease && instant.getTime() <= new Date(lastRelease).getTime())) {
+            continue;
+        }
+
+        return {instant: instant, date: date.toISOString()};
+    }
+    throw new Error('Could not find the next release of rule ' + ruleSettings.name);
+}
+
+/**
+ * Run the recurring rules of the settings until stopped
+ *
+ * <p>For each rule, the next release of its weekday is computed from the release settings, and the rule
+ * strategy is run 'startBefore' milliseconds before it, booking the date opened by the release. Rules
+ * are run one at a time, since they share the connection, so each run is bounded by 'maxRunTime' milliseconds,
+ * used as its 'timeout' unless a shorter one is set. A run still going after 'maxRunTime' is marked as failed
+ * and the daemon goes on without waiting for it. A rule due while another one runs starts once it finishes.
+ *
+ * <p>The last release run for each rule is saved in the state file before running it, so a restart
+ * neither runs it again nor misses it: releases missed by less than 'catchUpWindow' milliseconds are
+ * run as soon as the daemon starts. Likewise, a run interrupted, e.g. by a crash, is started again if its
+ * release is less than 'catchUpWindow' milliseconds ago.
+ *
+ * <p>If 'cancellation' is set in the settings, the bookings marked as unwanted are also cancelled once their
+ * deadline comes, see cancellation.cancelDue. Likewise with 'roster', the bookings which did not reach the quorum
+ * by their deadline are released, see roster.checkQuorum.
+ *
+ * <p>The credentials are resolved once, before the first run, after the settings are validated.
+ *
+ * @param {Object} settings object with the usual settings and in addition:
+ * {
+ *      daemon: {
+ *          stateFile: 'settings/daemon_state.json',
+ *          startBefore: 60000,
+ *          catchUpWindow: 21600000,
+ *          checkInterval: 60000,
+ *          maxRunTime: 600000,
+ *          rules: [
+ *              {
+ *                  name: 'wednesday',
+ *                  strategy: 'weekdayAndTimeOrder',
+ *                  release: {
+ *                      daysAhead: 3
+ *                  },
+ *                  weekdayAndTimeOrder: {
+ *                      weekday: 'Wednesday',
+ *                      timePreference: ['20:00', '19:00', '21:00']
+ *                  }
+ *              }
+ *          ]
+ *      }
+ * }
+ * @param {function} callback optional function with param (err), called if the daemon cannot start because
+ * the credentials cannot be resolved.
+ *
+ * Return a function stopping the daemon once the current run, if any, finishes. Throws if the settings are
+ * not valid.
+ */
+function runDaemon(settings, callback) {
+    let problems = settingsValidator.validateSettings(settings, {requireStrategy: false});
+    if (!settings.daemon) {
+        problems.push({path: 'daemon', message: 'settings of the daemon are missing'});
+    }
+    let daemonSettings = Object.assign({}, daemonDefaults, settings.daemon);
+    if (settings.daemon && daemonSettings.maxRunTime <= daemonSettings.startBefore) {
+        problems.push({path: 'daemon.maxRunTime', message: 'expected more than startBefore, ' +
+            daemonSettings.startBefore + ', otherwise the rules time out before the release'});
+    }
+    if (problems.length) {
+        throw new Error('Invalid settings:\n' + settingsValidator.formatProblems(problems));
+    }
+
+    let unsubscribeNotifier = notifier.subscribe(footbooker.events, settings.notifications);
+    let unsubscribeLedger = ledger.subscribe(footbooker.events, settings.ledgerFile);
+    let state = loadState(daemonSettings.stateFile);
+    let running = false;
+    let stopped = false;
+    let cancelCheckedAt = 0;
+    let rosterCheckedAt = 0;
+    let timer;
+    let runTimer;
+
+    // The runs interrupted by the last stop, still saved as started, by rule name
+    let interrupted = {};
+    Object.keys(state.rules).forEach((name) => {
+        let ruleState = state.rules[name];
+        if (ruleState.status === 'started' &&
+            new Date(ruleState.lastRelease).getTime() >= Date.now() - daemonSettings.catchUpWindow) {
+            log.log('warn', 'Rule ' + name + ' was interrupted while running, it will be run again');
+            interrupted[name] = true;
+        }
+    });
+
+    let findNextRelease = (rule, ruleSettings) => {
+        let ruleState = state.rules[rule.name] || {};
+        if (interrupted[rule.name]) {
+            return getNextRelease(ruleSettings, undefined, new Date(ruleState.lastRelease).getTime());
+        }
+        return getNextRelease(ruleSettings, ruleState.lastRelease, Date.now() - daemonSettings.catchUpWindow);
+    };
+
+    let runRule = (rule, ruleSettings, nextRelease) => {
+        running = true;
+        delete interrupted[rule.name];
+        state.rules[rule.name] = {
+            lastRelease: nextRelease.instant.toISOString(),
+            date: nextRelease.date,
+            status: 'started',
+            startedAt: new Date().toISOString()
+        };
+        utils.saveStateFile(daemonSettings.stateFile, state);
+
+        log.log('info', 'Running rule ' + rule.name + ' for ' + nextRelease.date + ', released at ' +
+            nextRelease.instant.toISOString());
+        let strategySettings = Object.assign({}, ruleSettings[ruleSettings.strategy], {date: nextRelease.date});
+        ruleSettings[ruleSettings.strategy] = strategySettings;
+        ruleSettings.timeout = Math.min(ruleSettings.timeout || daemonSettings.maxRunTime, daemonSettings.maxRunTime);
+        let finished = false;
+        let finish = (err, result) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(runTimer);
+            Object.assign(state.rules[rule.name], {
+                status: err ? 'failed' : 'done',
+                finishedAt: new Date().toISOString(),
+                result: err ? err.message : result
+            });
+            utils.saveStateFile(daemonSettings.stateFile, state);
+            running = false;
+            return tick();
+        };
+        // The timeout does not cover the wait for the release, the upgrades or a request which hangs
+        runTimer = setTimeout(() => {
+            log.log('warn', 'Rule ' + rule.name + ' still running after maxRunTime, going on without it');
+            finish(new Error('Rule did not finish within maxRunTime, ' + daemonSettings.maxRunTime + ' milliseconds'));
+        }, daemonSettings.maxRunTime);
+        return footbooker.run(ruleSettings, finish);
+    };
+
+    // Run a task needing the site between the rules, e.g. cancelling, logging in first
+    let runWithClient = (description, task) => {
+        running = true;
+        let client = new footbooker.BookingClient({
+            hostname: settings.hostname,
+            activity: settings.activity,
+            cookieFile: settings.cookieFile,
+            requestTimeout: settings.requestTimeout
+        });
+        return util.promisify(credentialsLoader.resolveCredentials)(settings.credentials).then((credentials) => {
+            return client.login(credentials.login, credentials.password);
+        }).then(() => task(client)).catch((err) => {
+            log.log('warn', 'Could not ' + description + ': ' + err.message);
+        }).then(() => {
+            running = false;
+            return tick();
+        });
+    };
+
+    let tick = () => {
+        if (stopped || running) {
+            return;
+        }
+
+        let now = Date.now();
+        // Checked at most every checkInterval, so that a booking which cannot be cancelled is not retried in a loop
+        if (settings.cancellation && now - cancelCheckedAt >= daemonSettings.checkInterval) {
+            cancelCheckedAt = now;
+            let cancellationSettings = Object.assign({}, cancellation.cancellationDefaults, settings.cancellation);
+            let state = cancellation.loadState(cancellationSettings.stateFile);
+            if (cancellation.getDueGuids(state, cancellationSettings.cancelBy, now).length) {
+                return runWithClient('cancel the unwanted bookings', (client) => {
+                    return cancellation.cancelDue(client, Object.assign(cancellationSettings, {
+                        reason: settings.reasonToCancel
+                    }));
+                });
+            }
+        }
+        if (settings.roster && now - rosterCheckedAt >= daemonSettings.checkInterval) {
+            rosterCheckedAt = now;
+            if (roster.isCheckDue(settings.roster, now)) {
+                return runWithClient('check the quorum of the bookings', (client) => {
+                    return roster.checkQuorum(client, Object.assign({}, settings.roster, {
+                        reason: settings.reasonToCancel,
+                        notifications: settings.notifications
+                    }));
+                });
+            }
+        }
+
+        let nextRunAt;
+        for (let rule of daemonSettings.rules) {
+            let ruleSettings = getRuleSettings(settings, rule);
+            let nextRelease = findNextRelease(rule, ruleSettings);
+            let runAt = nextRelease.instant.getTime() - daemonSettings.startBefore;
+            if (runAt <= now) {
+                return runRule(rule, ruleSettings, nextRelease);
+            }
+            if (!nextRunAt || runAt < nextRunAt) {
+                nextRunAt = runAt;
+            }
+        }
+
+        // Wake up at least every checkInterval, in case the clock changes
+        let wait = nextRunAt ? Math.min(nextRunAt - now, daemonSettings.checkInterval) : daemonSettings.checkInterval;
+        timer = setTimeout(tick, wait);
+    };
+
+    // Resolved once, so the daemon does not ask for them before every run
+    credentialsLoader.resolveCredentials(settings.credentials, (err, credentials) => {
+        if (err) {
+            log.log('error', 'Could not get the credentials: ' + err.message);
+            return callback && callback(err);
+        }
+        settings = Object.assign({}, settings, {credentials: credentials});
+        daemonSettings.rules.forEach((rule) => {
+            let nextRelease = findNextRelease(rule, getRuleSettings(settings, rule));
+            log.log('info', 'Rule ' + rule.name + ' will book ' + nextRelease.date + ', released at ' +
+                nextRelease.instant.toISOString());
+        });
+        tick();
+    });
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+        clearTimeout(runTimer);
+        unsubscribeNotifier();
+        unsubscribeLedger();
+    };
+}
+
+module.exports = {
+    getRuleSettings: getRuleSettings,
+    getNextRelease: getNextRelease,
+    runDaemon: runDaemon
+}
+
+if (require.main === module) {
+    let exitWithError = (err) => {
+        log.log('error', err.message);
+        console.error(err.message);
+        process.exitCode = 1;
+    };
+
+    try {
+        runDaemon(settingsLoader.loadSettings(process.argv[2]), exitWithError);
+    } catch (err) {
+        exitWithError(err);
+    }
+}
@@ -0,0 +1,118 @@
+const errors = require('./errors.js');
+const ledger = require('./ledger.js');
+const scoring = require('./scoring.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Describe a booking of the report
+ *
+ * Return a string like 'Football on 11/10/2017, 20:00:00 (choice 2 of 4)', or with '(score 12)' for strategies
+ * with scoring rules.
+ */
+function describeBooking(booking, strategy, preferences) {
+    let description = (booking.ActivityName ? booking.ActivityName + ' on ' : '') +
+        utils.isoToLocal(booking.StartDateTime);
+    let list = preferences && (preferences.bookingPreference || preferences.timePreference);
+    let rank = ledger.getChoiceRank(strategy, preferences, booking);
+    if (list && rank !== undefined) {
+        description += ' (choice ' + (rank + 1) + ' of ' + list.length + ')';
+    } else if (preferences && preferences.rules) {
+        description += ' (score ' + scoring.scoreSession(booking.StartDateTime, preferences.rules) + ')';
+    }
+    return description;
+}
+
+/**
+ * Get the failures behind an error, e.g. one per preference for a combined error, see errors.combine
+ *
+ * Return an array with the errors which are not combinations of others.
+ */
+function getFailures(err) {
+    if (!err.causes || err.causes.length === 0) {
+        return [err];
+    }
+    return err.causes.reduce((failures, cause) => failures.concat(getFailures(cause)), []);
+}
+
+/**
+ * Build the report of a dry run
+ *
+ * @param {string} event the event which finished the strategy, see finishStrategy in strategy-core.js.
+ * @param {Object} details the details of the event.
+ * @param {Object} preferences the settings of the strategy.
+ *
+ * Return an array of lines.
+ */
+function formatReport(event, details, preferences) {
+    let title = 'Dry run of ' + details.strategy + (details.rule ? ' (rule ' + details.rule + ')' : '') + ': ';
+    if (event === 'timeout' || event === 'failed') {
+        return [title + 'would not book anything:'].concat(getFailures(details.error).map((err) => {
+            return '  - ' + errors.kindOf(err) + ': ' + err.message;
+        }));
+    }
+
+    let booking = describeBooking(details.booking, details.strategy, preferences);
+    if (details.previousBooking) {
+        return [
+            title + 'would book ' + describeBooking(details.previousBooking, details.strategy, preferences),
+            'It would then upgrade to ' + booking + ' and cancel the first one'
+        ];
+    }
+
+    let lines = [title + (details.alreadyHeld ? 'already holds ' : 'would book ') + booking];
+    if (ledger.getChoiceRank(details.strategy, preferences, details.booking) !== 0) {
+        lines.push(details.watching ? 'No more preferred session is available right now, it would keep watching' :
+            'No more preferred session is available right now, so it would not upgrade');
+    }
+    return lines;
+}
+
+/**
+ * Print the report of the dry runs of the strategies
+ *
+ * <p>For each dry run, what would be booked, its position in the preferences and whether it would be upgraded,
+ * or why nothing would be booked. Runs which are not dry runs are ignored.
+ *
+ * @param {EventEmitter} emitter the emitter of the events, footbooker.events.
+ * @param {function} print optional function receiving each line, console.log by default.
+ *
+ * Return a function which stops reporting.
+ */
+function subscribe(emitter, print) {
+    print = print || console.log;
+    // Preferences of the dry runs in progress, by strategy and rule, see getRunKey
+    let preferences = {};
+    let listeners = {};
+    let getRunKey = (details) => details.strategy + (details.rule ? '/' + details.rule : '');
+
+    listeners.started = (details) => {
+        if (details.dryRun) {
+            preferences[getRunKey(details)] = details.preferences;
+        } else {
+            delete preferences[getRunKey(details)];
+        }
+    };
+
+    ['booked', 'upgraded', 'cancelFailed', 'timeout', 'failed'].forEach((event) => {
+        listeners[event] = (details) => {
+            let key = getRunKey(details);
+            if (!(key in preferences)) {
+                return;
+            }
+            formatReport(event, details, preferences[key]).forEach((line) => print(line));
+            delete preferences[key];
+        };
+    });
+
+    Object.keys(listeners).forEach((event) => emitter.on(event, listeners[event]));
+    return () => {
+        Object.keys(listeners).forEach((event) => emitter.removeListener(event, listeners[event]));
+    };
+}
+
+module.exports = {
+    formatReport: formatReport,
+    subscribe: subscribe
+}
@@ -0,0 +1,182 @@
+'use-strict';
+
+/**
+ * Kinds of errors, so that callers can act on them without parsing messages
+ *
+ * <ul>
+ *     <li>SlotTaken: the session is full or not listed as available.</li>
+ *     <li>NotYetOpen: the date is not open for booking yet.</li>
+ *     <li>InvalidParameters: the site rejected the parameters, e.g. a wrong activity or guid.</li>
+ *     <li>AuthFailed: the credentials were not accepted or the session could not be renewed.</li>
+ *     <li>Transport: the request did not get a proper response, e.g. connection refused.</li>
+ *     <li>LimitReached: the account already holds as many bookings as allowed by 'maxActiveBookings'.</li>
+ *     <li>Unexpected: anything else.</li>
+ * </ul>
+ */
+const kinds = {
+    SlotTaken: 'SlotTaken',
+    NotYetOpen: 'NotYetOpen',
+    InvalidParameters: 'InvalidParameters',
+    AuthFailed: 'AuthFailed',
+    Transport: 'Transport',
+    LimitReached: 'LimitReached',
+    Unexpected: 'Unexpected'
+};
+
+// Messages of the site, see connection.js
+const siteMessages = {
+    noSpace: 'Sorry, There is no space left',
+    notValid: 'The parameters specified are not valid',
+    unknownError: 'Unknown Error Occurred'
+};
+
+/**
+ * Error of a booking operation, with the kind of the failure
+ */
+class BookingError extends Error {
+    /**
+     * @param {string} message the message.
+     * @param {string} kind one of kinds.
+     * @param {Object} response optional parsed response of the site which caused the error.
+     */
+    constructor(message, kind, response) {
+        super(message);
+        this.name = kind + 'Error';
+        this.kind = kind;
+        if (response !== undefined) {
+            this.response = response;
+        }
+    }
+}
+
+class SlotTakenError extends BookingError {
+    constructor(message, response) {
+        super(message, kinds.SlotTaken, response);
+    }
+}
+
+class NotYetOpenError extends BookingError {
+    constructor(message, response) {
+        super(message, kinds.NotYetOpen, response);
+    }
+}
+
+class InvalidParametersError extends BookingError {
+    constructor(message, response) {
+        super(message, kinds.InvalidParameters, response);
+    }
+}
+
+class AuthFailedError extends BookingError {
+    constructor(message, response) {
+        super(message, kinds.AuthFailed, response);
+    }
+}
+
+class TransportError extends BookingError {
+    /**
+     * @param {string} message the message.
+     * @param {Error} cause optional underlying error, e.g. from the http module.
+     */
+    constructor(message, cause) {
+        super(message, kinds.Transport);
+        if (cause) {
+            this.cause = cause;
+            this.code = cause.code;
+        }
+    }
+}
+
+class LimitReachedError extends BookingError {
+    constructor(message) {
+        super(message, kinds.LimitReached);
+    }
+}
+
+class UnexpectedError extends BookingError {
+    constructor(message, response) {
+        super(message, kinds.Unexpected, response);
+    }
+}
+
+const errorClasses = {
+    SlotTaken: SlotTakenError,
+    NotYetOpen: NotYetOpenError,
+    InvalidParameters: InvalidParametersError,
+    AuthFailed: AuthFailedError,
+    Transport: TransportError,
+    LimitReached: LimitReachedError,
+    Unexpected: UnexpectedError
+};
+
+/**
+ * Build the error of a failed response of the site
+ *
+ * @param {string} operation description of the operation, e.g. 'Send book request failed'.
+ * @param {Object} data the parsed response, e.g. {Code: 500, Message: 'Unknown Error Occurred'}.
+ * @param {string} unknownErrorKind kind of 'Unknown Error Occurred' for this operation, since the site uses it
+ * for different failures, e.g. NotYetOpen when listing or booking a date too far. Unexpected if not given.
+ *
+ * Return the error, with the message 'operation: response in JSON'.
+ */
+function fromResponse(operation, data, unknownErrorKind) {
+    let message = operation + ': ' + JSON.stringify(data);
+    let siteMessage = (data && data.Message) || '';
+    let kind = kinds.Unexpected;
+    if (data && data.Code === 401) {
+        kind = kinds.AuthFailed;
+    } else if (siteMessage.indexOf(siteMessages.noSpace) === 0) {
+        kind = kinds.SlotTaken;
+    } else if (siteMessage === siteMessages.notValid) {
+        kind = kinds.InvalidParameters;
+    } else if (siteMessage === siteMessages.unknownError) {
+        kind = unknownErrorKind || kinds.Unexpected;
+    }
+    return new errorClasses[kind](message, data);
+}
+
+/**
+ * Get the kind of any error
+ *
+ * Return the kind of the error, Unexpected for errors which are not BookingErrors.
+ */
+function kindOf(err) {
+    return (err && err.kind) || kinds.Unexpected;
+}
+
+// From the most to the least worth retrying, see combine
+const retryOrder = [kinds.NotYetOpen, kinds.Transport, kinds.Unexpected, kinds.SlotTaken, kinds.InvalidParameters,
+    kinds.LimitReached, kinds.AuthFailed];
+
+/**
+ * Combine the errors of several attempts, e.g. one per preference, into one
+ *
+ * <p>The kind is the one most worth retrying among the errors, so that a single preference which is not open
+ * yet keeps the whole booking going, while it stops if all of them were rejected.
+ *
+ * @param {string} message the message of the combined error.
+ * @param {array} causes the errors of the attempts.
+ *
+ * Return the combined error, with the errors in 'causes'.
+ */
+function combine(message, causes) {
+    let kind = retryOrder.find((kind) => causes.some((cause) => kindOf(cause) === kind)) || kinds.Unexpected;
+    let err = kind === kinds.Transport ? new TransportError(message) : new errorClasses[kind](message);
+    err.causes = causes;
+    return err;
+}
+
+module.exports = {
+    kinds: kinds,
+    BookingError: BookingError,
+    SlotTakenError: SlotTakenError,
+    NotYetOpenError: NotYetOpenError,
+    InvalidParametersError: InvalidParametersError,
+    AuthFailedError: AuthFailedError,
+    TransportError: TransportError,
+    LimitReachedError: LimitReachedError,
+    UnexpectedError: UnexpectedError,
+    fromResponse: fromResponse,
+    kindOf: kindOf,
+    combine: combine
+}
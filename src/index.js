@@ -1,36 +1,54 @@
-const fs = require('fs');
-const mergeJSON = require('merge-json');
 const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
 
+const credentialsLoader = require('./credentials.js');
+const dryRunReport = require('./dry-run.js');
 const footbooker = require('./footbooker.js');
+const ledger = require('./ledger.js');
+const notifier = require('./notifier.js');
+const settingsLoader = require('./settings.js');
+const settingsValidator = require('./settings-validator.js');
 
 'use-strict';
 
-const settingsFilePath = process.argv[2] ? process.argv[2] : 'settings/foot_booker_settings.json';
-const existingSettings = JSON.parse(fs.readFileSync(settingsFilePath));
-
-const settingsAdditions = {
-    timeout: 180000,
-    retryTimeout: 100
-};
-
-const settings = mergeJSON.merge(settingsAdditions, existingSettings);
-
-function perform() {
-    switch (settings.strategy) {
-        case "dateAndTimeOrder":
-            return footbooker.dateAndTimeOrder(settings);
-        case "weekdayAndTimeOrder":
-            return footbooker.weekdayAndTimeOrder(settings);
-        default:
-            log.log('error', 'Invalid strategy');
-    }
+// Usage: node src/index.js [path/to/settings/file] [--dry-run]
+const args = process.argv.slice(2);
+const dryRun = args.indexOf('--dry-run') >= 0;
+const settings = settingsLoader.loadSettings(args.find((arg) => arg.indexOf('--') !== 0));
+const problems = settingsValidator.validateSettings(settings);
+
+if (problems.length) {
+    log.log('error', 'Invalid settings:\n' + settingsValidator.formatProblems(problems));
+    console.error('Invalid settings:\n' + settingsValidator.formatProblems(problems));
+    process.exitCode = 1;
+} else {
+    // Resolved before the timeout starts, since it may ask for them
+    credentialsLoader.resolveCredentials(settings.credentials, (err, credentials) => {
+        if (err) {
+            log.log('error', err.message);
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+        settings.credentials = credentials;
+
+        if (dryRun) {
+            // Nothing is booked, so there is nothing to notify nor record
+            settings.dryRun = true;
+            settings.notifications = undefined;
+            dryRunReport.subscribe(footbooker.events);
+        } else {
+            notifier.subscribe(footbooker.events, settings.notifications);
+            ledger.subscribe(footbooker.events, settings.ledgerFile);
+        }
+        // watchOrder lasts hours or days and stops by itself, see footbooker.watchOrder
+        const timer = settings.strategy === 'watchOrder' ? undefined : setTimeout(() => {
+            log.log('error', 'Timed out before being able to make a booking');
+            notifier.notify(settings.notifications, 'timeout', {strategy: settings.strategy}, () => process.exit(0));
+        }, settings.timeout);
+
+        footbooker.run(settings, () => {
+            // Result is already logged, nothing else to wait for
+            clearTimeout(timer);
+        });
+    });
 }
-
-
-setTimeout(() => {
-    log.log('error', 'Timed out before being able to make a booking');
-    return process.exit(0);
-}, settings.timeout);
-
-perform();
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const errors = require('./errors.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const defaultLedgerFile = 'settings/footbooker_ledger.jsonl';
+
+const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const finishEvents = ['booked', 'upgraded', 'cancelFailed', 'timeout', 'failed'];
+
+// Strategies whose preferences are a list of dates and times, 'bookingPreference'
+const dateAndTimeStrategies = ['dateAndTimeOrder', 'watchOrder'];
+
+/**
+ * Format a time of a date as 'HH:MM' in local time
+ */
+function toLocalTime(date) {
+    return ('0' + date.getHours()).substr(-2) + ':' + ('0' + date.getMinutes()).substr(-2);
+}
+
+/**
+ * Get the first choice of a run
+ *
+ * @param {string} strategy name of the strategy.
+ * @param {Object} preferences the settings of the strategy.
+ *
+ * Return an object in format {weekday: 'Wednesday', time: '20:00'}, or undefined if the preferences are empty.
+ */
+function getFirstChoice(strategy, preferences) {
+    if (!preferences) {
+        return undefined;
+    }
+
+    if (dateAndTimeStrategies.indexOf(strategy) >= 0) {
+        if (!preferences.bookingPreference || !preferences.bookingPreference.length) {
+            return undefined;
+        }
+        let date = new Date(utils.localOrISOToISO(preferences.bookingPreference[0]));
+        return {weekday: weekdayNames[date.getDay()], time: toLocalTime(date)};
+    }
+
+    if (!preferences.timePreference || !preferences.timePreference.length) {
+        return undefined;
+    }
+    return {
+        weekday: weekdayNames[utils.getWeekdayIndex(preferences.weekday)],
+        time: preferences.timePreference[0]
+    };
+}
+
+/**
+ * Get the position of a booking in the preferences of a run
+ *
+ * @param {string} strategy name of the strategy.
+ * @param {Object} preferences the settings of the strategy.
+ * @param {Object} booking the booking information, with 'StartDateTime'.
+ *
+ * Return 0 for the first choice, 1 for the second one and so on, or undefined if the booking is not in the
+ * preferences.
+ */
+function getChoiceRank(strategy, preferences, booking) {
+    if (!preferences || !booking || !booking.StartDateTime) {
+        return undefined;
+    }
+
+    let dateAndTime = dateAndTimeStrategies.indexOf(strategy) >= 0;
+    let list = dateAndTime ? preferences.bookingPreference : preferences.timePreference;
+    if (!list) {
+        return undefined;
+    }
+    let morePrioritized = dateAndTime ?
+        utils.getMorePrioritizedDateAndTime(booking.StartDateTime, list) :
+        utils.getMorePrioritizedTime(booking.StartDateTime, list);
+    return morePrioritized.length < list.length ? morePrioritized.length : undefined;
+}
+
+/**
+ * Summarize latencies
+ *
+ * @param {array} latencies latencies in milliseconds.
+ *
+ * Return an object in format {count, min, average, max}, or undefined if there is none.
+ */
+function summarizeLatencies(latencies) {
+    if (latencies.length === 0) {
+        return undefined;
+    }
+    return {
+        count: latencies.length,
+        min: Math.min.apply(null, latencies),
+        average: Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length),
+        max: Math.max.apply(null, latencies)
+    };
+}
+
+/**
+ * Describe a booking for the ledger
+ *
+ * Return the booking with only the guid(s), start, end and activity, or undefined if not given.
+ */
+function describeBooking(booking) {
+    if (!booking) {
+        return undefined;
+    }
+    let described = booking.Guids ? {Guids: booking.Guids} : {Guid: booking.Guid};
+    return Object.assign(described, {
+        StartDateTime: booking.StartDateTime,
+        EndDateTime: booking.EndDateTime,
+        ActivityName: booking.ActivityName
+    });
+}
+
+/**
+ * Append a run to the ledger
+ *
+ * <p>Each run is a line of JSON, so the file can be appended to without reading it. Failures are logged,
+ * they do not affect the booking.
+ *
+ * @param {string} ledgerFile path of the ledger file, created with its directory if needed.
+ * @param {Object} run the run, as recorded by subscribe.
+ */
+function appendRun(ledgerFile, run) {
+    try {
+        fs.mkdirSync(path.dirname(ledgerFile), {recursive: true});
+        fs.appendFileSync(ledgerFile, JSON.stringify(run) + '\n');
+    } catch (err) {
+        log.log('warn', 'Could not record the run in the ledger ' + ledgerFile + ': ' + err.message);
+    }
+}
+
+/**
+ * Record the runs of the strategies in the ledger
+ *
+ * <p>A run is recorded once its strategy finishes, unless it is a dry run. The rules of multiWeekdayOrder are
+ * booked at the same time, so each one is recorded as a run of its own. watchOrder books and upgrades several times
+ * while watching, so each booking is recorded as a run of its own too, and nothing more once it stops watching. The
+ * format is:
+ * {
+ *      startedAt: 'ISO date and time',
+ *      finishedAt: 'ISO date and time',
+ *      strategy: 'weekdayAndTimeOrder',
+ *      rule: 'name of the multiWeekdayOrder rule, if any',
+ *      activity: 'Football',
+ *      preferences: {settings of the strategy},
+ *      firstChoice: {weekday: 'Wednesday', time: '20:00'},
+ *      outcome: 'booked', 'upgraded', 'cancelFailed', 'timeout' or 'failed',
+ *      error: 'message if it failed',
+ *      errorKind: 'kind of the error, see errors.js',
+ *      booking: {Guid, StartDateTime, EndDateTime, ActivityName},
+ *      previousBooking: {the booking replaced by a better one, if any},
+ *      previousCancelled: true if the previous booking was cancelled,
+ *      notCancelled: [{the bookings left behind, to cancel manually}],
+ *      alreadyHeld: true if the booking was already held before the run, so nothing was booked,
+ *      rank: 0 for the first choice, 1 for the second one and so on,
+ *      attempts: [{dateAndTime: 'ISO', tries: 3, failures: {'reason': 2}, guid: 'booked guid'}],
+ *      latencies: {toFirstAttempt: 1500, toBooking: 1700, bookRequests: {count, min, average, max}}
+ * }
+ *
+ * @param {EventEmitter} emitter the emitter of the events, footbooker.events.
+ * @param {string} ledgerFile path of the ledger file, the default one if not given.
+ *
+ * Return a function which stops recording.
+ */
+function subscribe(emitter, ledgerFile) {
+    ledgerFile = ledgerFile || defaultLedgerFile;
+    // Runs in progress, by rule, '' for the strategies without rules
+    let runs = {};
+    let listeners = {};
+
+    listeners.started = (details) => {
+        let key = details.rule || '';
+        if (details.dryRun) {
+            // Nothing is booked in a dry run
+            delete runs[key];
+            return;
+        }
+
+        runs[key] = {
+            startedAt: new Date().toISOString(),
+            strategy: details.strategy,
+            rule: details.rule,
+            activity: details.activity,
+            preferences: details.preferences,
+            firstChoice: getFirstChoice(details.strategy, details.preferences),
+            attempts: [],
+            startTime: Date.now(),
+            bookLatencies: []
+        };
+    };
+
+    listeners.attempt = (details) => {
+        let run = runs[details.rule || ''];
+        if (!run) {
+            return;
+        }
+
+        let attempt = run.attempts.find((attempt) => attempt.dateAndTime === details.dateAndTime);
+        if (!attempt) {
+            attempt = {dateAndTime: details.dateAndTime, tries: 0, failures: {}};
+            run.attempts.push(attempt);
+        }
+        attempt.tries++;
+        if (details.error) {
+            attempt.failures[details.error.message] = (attempt.failures[details.error.message] || 0) + 1;
+        } else {
+            attempt.guid = details.guid;
+            run.bookedTime = run.bookedTime || Date.now();
+        }
+        if (details.latency !== undefined) {
+            run.bookLatencies.push(details.latency);
+        }
+        run.firstAttemptTime = run.firstAttemptTime || Date.now();
+    };
+
+    finishEvents.forEach((event) => {
+        listeners[event] = (details) => {
+            let run = runs[details.rule || ''];
+            if (!run || run.strategy !== details.strategy) {
+                return;
+            }
+            if (details.stoppedWatching) {
+                // The bookings made while watching were already recorded
+                delete runs[details.rule || ''];
+                return;
+            }
+
+            let record = {
+                startedAt: run.startedAt,
+                finishedAt: new Date().toISOString(),
+                strategy: run.strategy,
+                rule: run.rule,
+                activity: run.activity,
+                preferences: run.preferences,
+                firstChoice: run.firstChoice,
+                outcome: event,
+                error: details.error ? details.error.message : undefined,
+                errorKind: details.error ? errors.kindOf(details.error) : undefined,
+                booking: describeBooking(details.booking),
+                previousBooking: describeBooking(details.previousBooking),
+                previousCancelled: details.previousBooking ? event === 'upgraded' : undefined,
+                notCancelled: details.notCancelled ? details.notCancelled.map(describeBooking) : undefined,
+                alreadyHeld: details.alreadyHeld || undefined,
+                rank: getChoiceRank(run.strategy, run.preferences, details.booking),
+                attempts: run.attempts,
+                latencies: {
+                    toFirstAttempt: run.firstAttemptTime ? run.firstAttemptTime - run.startTime : undefined,
+                    toBooking: run.bookedTime ? run.bookedTime - run.startTime : undefined,
+                    bookRequests: summarizeLatencies(run.bookLatencies)
+                }
+            };
+            if (details.watching) {
+                // Still watching, the next booking is recorded from now on
+                runs[details.rule || ''] = Object.assign({}, run, {
+                    startedAt: new Date().toISOString(),
+                    attempts: [],
+                    startTime: Date.now(),
+                    firstAttemptTime: undefined,
+                    bookedTime: undefined,
+                    bookLatencies: []
+                });
+            } else {
+                delete runs[details.rule || ''];
+            }
+            appendRun(ledgerFile, record);
+        };
+    });
+
+    Object.keys(listeners).forEach((event) => emitter.on(event, listeners[event]));
+    return () => {
+        Object.keys(listeners).forEach((event) => emitter.removeListener(event, listeners[event]));
+    };
+}
+
+/**
+ * Read the runs recorded in the ledger
+ *
+ * <p>Lines which cannot be parsed, e.g. cut by a crash while writing, are skipped.
+ *
+ * @param {string} ledgerFile path of the ledger file, the default one if not given.
+ *
+ * Return an array with the runs, oldest first, empty if the ledger does not exist yet.
+ */
+function readRuns(ledgerFile) {
+    ledgerFile = ledgerFile || defaultLedgerFile;
+    if (!fs.existsSync(ledgerFile)) {
+        return [];
+    }
+
+    let runs = [];
+    fs.readFileSync(ledgerFile).toString().split('\n').forEach((line) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            runs.push(JSON.parse(line));
+        } catch (err) {
+            log.log('warn', 'Skipping invalid line of the ledger ' + ledgerFile);
+        }
+    });
+    return runs;
+}
+
+/**
+ * Count how often runs got a booking and their first choice
+ *
+ * @param {array} runs the runs, as returned by readRuns.
+ *
+ * Return an object in format {runs: 10, booked: 9, firstChoice: 6}.
+ */
+function countRuns(runs) {
+    return {
+        runs: runs.length,
+        booked: runs.filter((run) => run.booking).length,
+        firstChoice: runs.filter((run) => run.rank === 0).length
+    };
+}
+
+/**
+ * Group runs by a key and count them
+ *
+ * @param {array} runs the runs, as returned by readRuns.
+ * @param {function} getKey function returning the key of a run, or undefined to leave it out.
+ *
+ * Return an array in format [{key: 'Wednesday', runs: 10, booked: 9, firstChoice: 6}], sorted by key.
+ */
+function groupRuns(runs, getKey) {
+    let groups = {};
+    runs.forEach((run) => {
+        let key = getKey(run);
+        if (key !== undefined) {
+            groups[key] = (groups[key] || []).concat([run]);
+        }
+    });
+    return Object.keys(groups).sort().map((key) => Object.assign({key: key}, countRuns(groups[key])));
+}
+
+/**
+ * Compute statistics of the runs
+ *
+ * @param {array} runs the runs, as returned by readRuns.
+ *
+ * Return an object in format:
+ * {
+ *      total: {runs: 10, booked: 9, firstChoice: 6},
+ *      perWeekday: [{key: 'Wednesday', runs, booked, firstChoice}],
+ *      perTime: [{key: '20:00', runs, booked, firstChoice}],
+ *      perRank: [{key: '1', runs}]
+ * }
+ * Weekdays and times are the ones of the first choice of each run. Ranks start at 1 for the first choice, and are
+ * sorted as numbers.
+ */
+function computeStats(runs) {
+    return {
+        total: countRuns(runs),
+        perWeekday: groupRuns(runs, (run) => run.firstChoice ? run.firstChoice.weekday : undefined).sort((a, b) => {
+            return weekdayNames.indexOf(a.key) - weekdayNames.indexOf(b.key);
+        }),
+        perTime: groupRuns(runs, (run) => run.firstChoice ? run.firstChoice.time : undefined),
+        perRank: groupRuns(runs, (run) => typeof run.rank === 'number' ? String(run.rank + 1) : undefined)
+            .sort((a, b) => Number(a.key) - Number(b.key))
+            .map((group) => ({key: group.key, runs: group.runs}))
+    };
+}
+
+module.exports = {
+    defaultLedgerFile: defaultLedgerFile,
+    getChoiceRank: getChoiceRank,
+    subscribe: subscribe,
+    readRuns: readRuns,
+    computeStats: computeStats
+}
@@ -0,0 +1,163 @@
+const http = require('http');
+const net = require('net');
+
+'use-strict';
+
+/**
+ * Create a local stand-in of a webhook receiver
+ *
+ * <p>Every POST is answered with the given status and its JSON body is recorded. If 'delay' is given, the answer
+ * is sent that many milliseconds later, to stand for a receiver slower than the timeout of the webhook.
+ *
+ * @param {Object} options optional object in format {status: 200, delay: 0, onReceived: (body) => {}}.
+ *
+ * Return an object in format {server, listen(port, callback), close(callback), received()}, 'received' returning
+ * the received bodies. listen calls back with (err, url).
+ */
+function createWebhookServer(options) {
+    options = Object.assign({status: 200}, options);
+    let received = [];
+
+    let server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            let parsed;
+            try {
+                parsed = JSON.parse(body);
+            } catch (err) {
+                parsed = body;
+            }
+            received.push({path: req.url, headers: req.headers, body: parsed});
+            if (options.onReceived) {
+                options.onReceived(parsed);
+            }
+            let timer = setTimeout(() => {
+                res.writeHead(options.status);
+                res.end();
+            }, options.delay || 0);
+            res.on('close', () => clearTimeout(timer));
+        });
+    });
+
+    return {
+        server: server,
+        listen: (port, callback) => {
+            server.listen(port || 0, '127.0.0.1', () => {
+                return callback(null, 'http://localhost:' + server.address().port + '/');
+            });
+        },
+        close: (callback) => server.close(callback),
+        received: () => received
+    };
+}
+
+/**
+ * Create a local stand-in of an SMTP server
+ *
+ * <p>Only the plain text commands needed to deliver a message are supported. Any AUTH is accepted and no TLS is
+ * offered, so clients must connect with 'secure: false'.
+ *
+ * @param {Object} options optional object in format {onReceived: (message) => {}}.
+ *
+ * Return an object in format {server, listen(port, callback), close(callback), received()}, 'received' returning
+ * the received messages in format {from: 'address', to: ['address'], data: 'raw message'}. listen calls back
+ * with (err, port).
+ */
+function createSmtpServer(options) {
+    options = options || {};
+    let received = [];
+
+    let server = net.createServer((socket) => {
+        let buffer = '';
+        let message = {to: []};
+        let readingData = false;
+        let write = (line) => socket.write(line + '\r\n');
+
+        write('220 localhost footbooker stand-in SMTP');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                let line = buffer.substr(0, index);
+                buffer = buffer.substr(index + 2);
+
+                if (readingData) {
+                    if (line === '.') {
+                        readingData = false;
+                        received.push(message);
+                        if (options.onReceived) {
+                            options.onReceived(message);
+                        }
+                        message = {to: []};
+                        write('250 OK: queued');
+                    } else {
+                        message.data += (line.indexOf('..') === 0 ? line.substr(1) : line) + '\n';
+                    }
+                    continue;
+                }
+
+                let command = line.split(' ')[0].toUpperCase();
+                if (command === 'EHLO') {
+                    write('250-localhost');
+                    write('250 AUTH PLAIN');
+                } else if (command === 'HELO') {
+                    write('250 localhost');
+                } else if (command === 'AUTH') {
+                    write('235 Authentication successful');
+                } else if (command === 'MAIL') {
+                    message.from = line.replace(/^MAIL FROM:\s*<?([^>\s]*)>?.*$/i, '$1');
+                    write('250 OK');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.replace(/^RCPT TO:\s*<?([^>\s]*)>?.*$/i, '$1'));
+                    write('250 OK');
+                } else if (command === 'DATA') {
+                    readingData = true;
+                    message.data = '';
+                    write('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'RSET') {
+                    message = {to: []};
+                    write('250 OK');
+                } else if (command === 'NOOP') {
+                    write('250 OK');
+                } else if (command === 'QUIT') {
+                    write('221 Bye');
+                    socket.end();
+                } else {
+                    write('502 Command not implemented');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return {
+        server: server,
+        listen: (port, callback) => {
+            server.listen(port || 0, '127.0.0.1', () => callback(null, server.address().port));
+        },
+        close: (callback) => server.close(callback),
+        received: () => received
+    };
+}
+
+module.exports = {
+    createWebhookServer: createWebhookServer,
+    createSmtpServer: createSmtpServer
+}
+
+if (require.main === module) {
+    let webhook = createWebhookServer({
+        onReceived: (body) => console.log('Webhook received: ' + JSON.stringify(body, null, 2))
+    });
+    let smtp = createSmtpServer({
+        onReceived: (message) => console.log('Email received from ' + message.from + ' to ' + message.to.join(', ') +
+            ':\n' + message.data)
+    });
+    webhook.listen(Number(process.argv[2]) || 8081, (err, url) => {
+        console.log('Stand-in webhook listening on ' + url);
+    });
+    smtp.listen(Number(process.argv[3]) || 2525, (err, port) => {
+        console.log('Stand-in SMTP server listening on localhost:' + port);
+    });
+}
@@ -0,0 +1,539 @@
+const crypto = require('crypto');
+const http = require('http');
+
+'use-strict';
+
+const activityTypes = [
+    {Guid: 'c4ce9ac3-784c-408d-ad60-0366b9327d2e', Name: 'Badminton'},
+    {Guid: 'c7e1e579-d72e-4ff0-8010-4a13e5ca33d0', Name: 'Basketball'},
+    {Guid: 'aa62c2f1-19a8-4e80-ace9-80f8d5aad2aa', Name: 'Basketball half court (8 or less players)'},
+    {Guid: '50ba1b7a-67f4-4c8d-a575-7dc8b5a43a30', Name: 'Football'},
+    {Guid: '069d9a11-c407-48c2-9a5c-0bba926823b2', Name: 'Football half court'},
+    {Guid: 'f6048bab-ad80-4308-8fa3-5a03fabc8b4f', Name: 'Netball'},
+    {Guid: 'c2ad46e9-58c3-4b54-9c20-8306deead2a6', Name: 'Netball half court (8 or less players)'}
+];
+
+const messages = {
+    success: 'Success',
+    loginFailed: 'Email or password was not recognised, please try again',
+    notValid: 'The parameters specified are not valid',
+    unknownError: 'Unknown Error Occurred',
+    noSpace: 'Sorry, There is no space left to complete the booking. Please refresh the page and try again',
+    bookingCancelled: 'Booking Cancelled',
+    unauthorised: 'Unauthorised'
+};
+
+const apiPrefix = '/Services/Commercial/api';
+
+const defaultOptions = {
+    accounts: {
+        'user@footbooker.test': 'password'
+    },
+    sessionTimes: ['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00',
+        '15:00', '16:00', '17:00', '18:00', '19:00', '20:00', '21:00'],
+    sessionDuration: 45,
+    daysAhead: 7,
+    releaseTime: '00:00',
+    sessionTimeout: null,
+    now: null
+};
+
+/**
+ * Generate a random guid
+ *
+ * Return a guid string like '8b525b11-b02a-4317-89d0-69491265c603'.
+ */
+function randomGuid() {
+    return formatGuid(crypto.randomBytes(16).toString('hex'));
+}
+
+/**
+ * Generate a guid which is always the same for the same seed
+ *
+ * <p>Used for sessions, so that the same session keeps its guid between requests.
+ *
+ * @param {string} seed any string identifying the object.
+ *
+ * Return a guid string like '069eb766-bc03-4664-ad7f-cf1b18a65f56'.
+ */
+function stableGuid(seed) {
+    return formatGuid(crypto.createHash('sha1').update(seed).digest('hex'));
+}
+
+function formatGuid(hex) {
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20, 12)].join('-');
+}
+
+/**
+ * Format a date as the site does, with seven digits of fraction
+ *
+ * @param {Date} date the date to format.
+ *
+ * Return a string like '2017-09-17T08:00:00.0000000Z'.
+ */
+function toSiteDateString(date) {
+    return date.toISOString().replace(/\.(\d{3})Z$/, '.$10000Z');
+}
+
+/**
+ * Parse a date sent by the client
+ *
+ * <p>Only full ISO strings representing midnight UTC are accepted, like the ones built by
+ * utils.dateAndTimeOrDateToDate.
+ *
+ * @param {string} dateString the date sent in the payload.
+ *
+ * Return the date, or undefined if it is not valid.
+ */
+function parseBookingDate(dateString) {
+    if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}T/.test(dateString)) {
+        return undefined;
+    }
+    let date = new Date(dateString);
+    if (isNaN(date.getTime()) || date.getTime() % 86400000 !== 0) {
+        return undefined;
+    }
+    return date;
+}
+
+/**
+ * Parse the cookies of a request
+ *
+ * @param {Object} req the http request.
+ *
+ * Return an object from cookie name to value.
+ */
+function parseCookies(req) {
+    let cookies = {};
+    (req.headers.cookie || '').split(';').forEach((pair) => {
+        let index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.substr(0, index).trim()] = pair.substr(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Create a stateful stand-in for the booking site
+ *
+ * <p>All the endpoints used in connection.js are implemented, returning the same response shapes
+ * and error messages documented there. Sessions, bookings and logins are kept in memory.
+ *
+ * <p>Dates are handled in UTC: sessions of a date start at the given session times in UTC, and a
+ * date opens for booking 'daysAhead' days before, at 'releaseTime' UTC. Before that, listing or
+ * booking it fails with 'Unknown Error Occurred', like the real site does for dates too far.
+ *
+ * <p>The site does not document what happens to calls made without logging in, here they are
+ * answered with {Code: 401, Message: 'Unauthorised'}.
+ *
+ * @param {Object} options optional object in the structure (defaults shown):
+ * {
+ *      accounts: {'user@footbooker.test': 'password'},
+ *      sessionTimes: ['08:00', '09:00', ..., '21:00'],
+ *      sessionDuration: 45,
+ *      daysAhead: 7,
+ *      releaseTime: '00:00',
+ *      sessionTimeout: milliseconds after which a login expires, never by default,
+ *      now: function returning the current Date, to run the server on a fake clock
+ * }
+ *
+ * Return the mock, an object with the http server and functions to script its state.
+ */
+function createMockServer(options) {
+    options = Object.assign({}, defaultOptions, options);
+
+    let clockOffset = 0;
+    let loggedIn = {};
+    let bookings = {};
+    let takenSessions = {};
+    let scriptedResponses = {};
+    let delayedResponses = {};
+    let requests = [];
+
+    function now() {
+        let date = options.now ? options.now() : new Date();
+        return new Date(date.getTime() + clockOffset);
+    }
+
+    function findActivity(guid) {
+        return activityTypes.find((activity) => activity.Guid === guid);
+    }
+
+    function findActivityByName(name) {
+        return activityTypes.find((activity) => activity.Name === name);
+    }
+
+    /**
+     * Check if a date can already be booked
+     *
+     * @param {Date} date the date at midnight UTC.
+     */
+    function isOpen(date) {
+        let time = options.releaseTime.split(':');
+        let release = new Date(date.getTime());
+        release.setUTCDate(release.getUTCDate() - options.daysAhead);
+        release.setUTCHours(Number(time[0]), Number(time[1]));
+        return now().getTime() >= release.getTime();
+    }
+
+    /**
+     * List all the sessions of an activity in a date, booked or not
+     *
+     * Return an array of sessions in format {Guid, Name, StartDateTime, EndDateTime} with Date objects.
+     */
+    function sessionsFor(date, activity) {
+        return options.sessionTimes.map((time, index) => {
+            let hoursAndMinutes = time.split(':');
+            let start = new Date(date.getTime());
+            start.setUTCHours(Number(hoursAndMinutes[0]), Number(hoursAndMinutes[1]));
+            let end = new Date(start.getTime() + options.sessionDuration * 60000);
+            return {
+                Guid: stableGuid(activity.Guid + start.toISOString()),
+                Name: 'HSP session ' + (index + 1),
+                StartDateTime: start,
+                EndDateTime: end
+            };
+        });
+    }
+
+    function activeBookingForSession(sessionGuid) {
+        for (let guid in bookings) {
+            if (bookings[guid].sessionGuid === sessionGuid && !bookings[guid].cancelled) {
+                return bookings[guid];
+            }
+        }
+        return undefined;
+    }
+
+    function isTaken(sessionGuid) {
+        return takenSessions[sessionGuid] || !!activeBookingForSession(sessionGuid);
+    }
+
+    function bookingInformation(booking, withOwner) {
+        return {
+            Guid: booking.Guid,
+            StartDateTime: toSiteDateString(booking.StartDateTime),
+            EndDateTime: toSiteDateString(booking.EndDateTime),
+            ActivityName: booking.ActivityName,
+            Description: withOwner ? booking.account : null,
+            PersonGuid: withOwner ? stableGuid(booking.account) : null
+        };
+    }
+
+    /**
+     * Find the session of the given date and time
+     *
+     * @param {string} dateAndTime the date and time string. If contains no time zone, it will be considered local.
+     * @param {string} activityName the name of the activity, 'Football' by default.
+     */
+    function findSession(dateAndTime, activityName) {
+        let start = new Date(dateAndTime);
+        let activity = findActivityByName(activityName || 'Football');
+        if (isNaN(start.getTime()) || !activity) {
+            throw new Error('Unknown session ' + dateAndTime + ' for ' + activityName);
+        }
+        let date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+        let session = sessionsFor(date, activity).find((s) => s.StartDateTime.getTime() === start.getTime());
+        if (!session) {
+            throw new Error('There is no session starting at ' + start.toISOString());
+        }
+        return session;
+    }
+
+    const handlers = {
+        '/Accounts/Login.aspx': (req, payload, cookies, res) => {
+            res.setHeader('Set-Cookie', [
+                '__cfduid=' + crypto.randomBytes(16).toString('hex') + '; path=/; HttpOnly',
+                'ASP.NET_SessionId=' + crypto.randomBytes(12).toString('hex') + '; path=/; HttpOnly'
+            ]);
+            res.setHeader('Content-Type', 'text/html');
+            return '<html><body>Login</body></html>';
+        },
+        '/security/validatelogin.json': (req, payload, cookies, res) => {
+            if (!payload || options.accounts[payload.Email] === undefined ||
+                options.accounts[payload.Email] !== payload.Password) {
+                return {Code: 401, Message: messages.loginFailed};
+            }
+            let token = crypto.randomBytes(24).toString('hex').toUpperCase();
+            loggedIn[token] = {account: payload.Email, loggedInAt: now().getTime()};
+            res.setHeader('Set-Cookie', '.viciniteeFoms=' + token + '; path=/; HttpOnly' +
+                (options.sessionTimeout ? '; Max-Age=' + Math.floor(options.sessionTimeout / 1000) : ''));
+            return {Code: 200, Message: messages.success};
+        },
+        '/muga/listactivitytypes.json': () => {
+            return {Code: 200, Data: activityTypes};
+        },
+        '/muga/ListAvailableSessions.json': (req, payload) => {
+            let date = parseBookingDate(payload && payload.BookingDate);
+            let activity = findActivity(payload && payload.ActivityTypeGuid);
+            if (!date || !activity) {
+                return {Code: 500, Message: messages.notValid};
+            }
+            if (!isOpen(date)) {
+                return {Code: 500, Message: messages.unknownError};
+            }
+            return {
+                Code: 200,
+                Data: sessionsFor(date, activity).map((session) => {
+                    return {
+                        Guid: session.Guid,
+                        Name: session.Name,
+                        StartDateTime: toSiteDateString(session.StartDateTime),
+                        EndDateTime: toSiteDateString(session.EndDateTime),
+                        Availability: isTaken(session.Guid) ? -100 : 0
+                    };
+                })
+            };
+        },
+        '/muga/AddBooking.json': (req, payload, cookies, res, account) => {
+            let date = parseBookingDate(payload && payload.Date);
+            let activity = findActivity(payload && payload.ActivityTypeGuid);
+            let session = date && activity ?
+                sessionsFor(date, activity).find((s) => s.Guid === payload.SessionGuid) : undefined;
+            if (!session) {
+                return {Code: 500, Message: messages.notValid};
+            }
+            if (!isOpen(date)) {
+                return {Code: 500, Message: messages.unknownError};
+            }
+            if (isTaken(session.Guid)) {
+                return {Code: 500, Message: messages.noSpace};
+            }
+            let booking = {
+                Guid: randomGuid(),
+                StartDateTime: session.StartDateTime,
+                EndDateTime: session.EndDateTime,
+                ActivityName: activity.Name,
+                sessionGuid: session.Guid,
+                account: account,
+                bookedAt: now(),
+                cancelled: false
+            };
+            bookings[booking.Guid] = booking;
+            return {Code: 200, Data: {Guid: booking.Guid}};
+        },
+        '/muga/GetBookingInformation.json': (req, payload, cookies, res, account) => {
+            let booking = payload && bookings[payload.Guid];
+            if (!booking || booking.account !== account) {
+                return {Code: 500, Message: messages.notValid};
+            }
+            return {Code: 200, Data: bookingInformation(booking, false)};
+        },
+        '/muga/list.json': (req, payload, cookies, res, account) => {
+            let data = Object.keys(bookings)
+                .map((guid) => bookings[guid])
+                .filter((booking) => booking.account === account && !booking.cancelled)
+                .sort((a, b) => a.StartDateTime - b.StartDateTime)
+                .map((booking) => bookingInformation(booking, true));
+            return {Code: 200, Data: data};
+        },
+        '/muga/cancelBooking.json': (req, payload, cookies, res, account) => {
+            let booking = payload && bookings[payload.Guid];
+            if (!booking || booking.account !== account || booking.cancelled) {
+                return {Code: 500, Message: messages.unknownError};
+            }
+            booking.cancelled = true;
+            booking.cancelReason = payload.reason;
+            return {Code: 200, Message: messages.bookingCancelled};
+        }
+    };
+
+    function handle(req, res, rawBody) {
+        let path = req.url.split('?')[0];
+        let name = path.indexOf(apiPrefix) === 0 ? path.substr(apiPrefix.length) : path;
+        let cookies = parseCookies(req);
+        let session = loggedIn[cookies['.viciniteeFoms']];
+        if (session && options.sessionTimeout && now().getTime() - session.loggedInAt >= options.sessionTimeout) {
+            delete loggedIn[cookies['.viciniteeFoms']];
+            session = undefined;
+        }
+        let account = session && session.account;
+        requests.push({method: req.method, path: path, body: rawBody, time: now()});
+
+        res.setHeader('Date', now().toUTCString());
+
+        let handler = handlers[name];
+        if (!handler) {
+            res.statusCode = 404;
+            return res.end();
+        }
+
+        let result;
+        let scripted = scriptedResponses[name];
+        if (scripted && scripted.length) {
+            result = scripted.shift();
+        }
+
+        if (result) {
+            // Scripted response
+        } else if (name !== '/Accounts/Login.aspx' && name !== '/security/validatelogin.json' && !account) {
+            result = {Code: 401, Message: messages.unauthorised};
+        } else {
+            let payload;
+            try {
+                payload = rawBody ? JSON.parse(rawBody) : null;
+            } catch (err) {
+                payload = undefined;
+            }
+            result = payload === undefined ?
+                {Code: 500, Message: messages.notValid} :
+                handler(req, payload, cookies, res, account);
+        }
+
+        let body = result;
+        if (typeof result !== 'string') {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            body = JSON.stringify(result);
+        }
+        let delays = delayedResponses[name];
+        let delay = delays && delays.length ? delays.shift() : 0;
+        if (delay) {
+            // Handled already, only the response is late, like a site answering after the client gave up
+            return setTimeout(() => res.end(body), delay);
+        }
+        return res.end(body);
+    }
+
+    let server = http.createServer((req, res) => {
+        let body = [];
+        req.on('data', (chunk) => {
+            body.push(chunk);
+        });
+        req.on('end', () => {
+            return handle(req, res, Buffer.concat(body).toString());
+        });
+    });
+
+    return {
+        server: server,
+
+        /**
+         * Start listening
+         *
+         * @param {number} port the port, 0 (default) picks a free one.
+         *
+         * Return the url to be given to connection.setHostname, e.g. 'http://localhost:8080'.
+         */
+        listen: (port, callback) => {
+            server.listen(port || 0, '127.0.0.1', () => {
+                return callback(null, 'http://localhost:' + server.address().port);
+            });
+        },
+
+        close: (callback) => {
+            server.close(callback);
+        },
+
+        /**
+         * Move the clock of the server to the given date
+         *
+         * <p>Used to script things like sessions opening at midnight.
+         *
+         * @param {string|Date} date the date and time the server should consider as now.
+         */
+        setNow: (date) => {
+            clockOffset = 0;
+            clockOffset = new Date(date).getTime() - now().getTime();
+        },
+
+        /**
+         * Move the clock of the server forward
+         *
+         * @param {number} milliseconds how much to move.
+         */
+        advance: (milliseconds) => {
+            clockOffset += milliseconds;
+        },
+
+        now: now,
+
+        /**
+         * Expire all logins, like the site does after some time
+         */
+        expireSessions: () => {
+            loggedIn = {};
+        },
+
+        /**
+         * Mark a session as booked by someone else
+         *
+         * @param {string} dateAndTime the start date and time of the session. If contains no time zone, it will be
+         * considered local.
+         * @param {string} activityName the name of the activity, 'Football' by default.
+         */
+        takeSession: (dateAndTime, activityName) => {
+            takenSessions[findSession(dateAndTime, activityName).Guid] = true;
+        },
+
+        /**
+         * Free a session previously taken by someone else, like another group cancelling
+         *
+         * @param {string} dateAndTime the start date and time of the session.
+         * @param {string} activityName the name of the activity, 'Football' by default.
+         */
+        freeSession: (dateAndTime, activityName) => {
+            delete takenSessions[findSession(dateAndTime, activityName).Guid];
+        },
+
+        /**
+         * Answer the next calls to an endpoint with the given responses instead of the normal behaviour
+         *
+         * @param {string} endpoint endpoint name, e.g. 'AddBooking.json' or 'validatelogin.json'.
+         * @param {Object|array} responses response body, or array of bodies to be used one per call. A null
+         * body keeps the normal behaviour for that call.
+         */
+        scriptResponses: (endpoint, responses) => {
+            let name = Object.keys(handlers).find((handler) => handler.endsWith('/' + endpoint));
+            if (!name) {
+                throw new Error('Unknown endpoint ' + endpoint);
+            }
+            scriptedResponses[name] = (scriptedResponses[name] || []).concat(responses);
+        },
+
+        /**
+         * Answer the next calls to an endpoint late
+         *
+         * <p>The calls are handled as usual, e.g. the booking is made, but the response is only sent after the delay.
+         *
+         * @param {string} endpoint endpoint name, e.g. 'AddBooking.json'.
+         * @param {number|array} delays delay in milliseconds, or array of delays to be used one per call. 0 answers
+         * that call straight away.
+         */
+        delayResponses: (endpoint, delays) => {
+            let name = Object.keys(handlers).find((handler) => handler.endsWith('/' + endpoint));
+            if (!name) {
+                throw new Error('Unknown endpoint ' + endpoint);
+            }
+            delayedResponses[name] = (delayedResponses[name] || []).concat(delays);
+        },
+
+        /**
+         * Return all the bookings made in the server, including cancelled ones
+         */
+        bookings: () => {
+            return Object.keys(bookings).map((guid) => bookings[guid]);
+        },
+
+        /**
+         * Return all the requests received, in format {method, path, body, time}
+         */
+        requests: () => {
+            return requests;
+        }
+    };
+}
+
+module.exports = {
+    activityTypes: activityTypes,
+    messages: messages,
+    createMockServer: createMockServer
+}
+
+if (require.main === module) {
+    let mock = createMockServer();
+    mock.listen(Number(process.argv[2]) || 8080, (err, url) => {
+        console.log('Mock booking server listening on ' + url);
+        console.log('Accounts: ' + JSON.stringify(defaultOptions.accounts));
+    });
+}
@@ -0,0 +1,136 @@
+const async = require('async');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const connection = require('./connection.js');
+const credentialsLoader = require('./credentials.js');
+const errors = require('./errors.js');
+const core = require('./strategy-core.js');
+const weekdayAndTime = require('./weekday-and-time-order.js');
+
+'use-strict';
+
+/**
+ * Get the name of a multiWeekdayOrder rule
+ * 
+ * Return the 'name' of the rule, or its weekday in lower case if not given.
+ */
+function getRuleName(rule) {
+    return rule.name || String(rule.weekday).toLowerCase();
+}
+
+/**
+ * Perform multiWeekdayOrder strategy
+ * 
+ * <p>Each rule is booked as weekdayAndTimeOrder would book it, with its own weekday, offset, time preferences and
+ * optional 'date' and 'minDuration'. The rules are booked at the same time, each one independently of the others,
+ * after logging in once. The events of each rule have its name as 'rule', so each one is notified and recorded
+ * in the ledger on its own.
+ * 
+ * @param {Object} settings object in expected structure:
+ * {
+ *      credentials: {
+ *          login: 'email@host.com',
+ *          password: 'password'
+ *      },
+ *      hostname: 'the.site.co.uk',
+ *      activity: 'Football',
+ *      reasonToCancel: 'Any reason',
+ *      multiWeekdayOrder: {
+ *          rules: [
+ *              {
+ *                  name: 'monday',
+ *                  weekday: 'Monday',
+ *                  offset: 3,
+ *                  timePreference: ['20:00', '19:00-21:30']
+ *              },
+ *              {
+ *                  name: 'thursday',
+ *                  weekday: 'Thursday',
+ *                  offset: 3,
+ *                  timePreference: ['19:00', '20:00']
+ *              }
+ *          ]
+ *      },
+ *      release: {
+ *          time: '00:00',
+ *          daysAhead: 7
+ *      },
+ *      retryTimeout: 3,
+ *      timeout: 180000
+ * }
+ * 
+ * Return an array with the outcome of each rule, in the order of the rules, in format
+ * [{Rule: 'monday', Guid: '...', StartDateTime: '...', ...},
+ * {Rule: 'thursday', Error: 'message', ErrorKind: 'SlotTaken'}], the booked ones with the booking information
+ * returned by connection.queryBookInformation. The bookings a rule could not cancel are in its 'NotCancelled', see
+ * core.finishStrategy. If no rule could be booked, the errors of the rules are combined instead, see errors.combine.
+ */
+function multiWeekdayOrder(settings, callback) {
+    log.log('info', 'Starting strategy multiWeekdayOrder');
+    // Optional, as for the other strategies, see core.finishStrategy
+    callback = callback || (() => undefined);
+    core.setUpConnection(settings);
+    // Counted by the first rule listing the bookings held, see core.findHeldBooking
+    let run = core.createRun('multiWeekdayOrder');
+    let rules = settings.multiWeekdayOrder.rules;
+    return async.waterfall([
+        (callback) => {
+            // Resolved once, so that the rules neither ask for them again nor log in at the same time
+            return credentialsLoader.resolveCredentials(settings.credentials, callback);
+        },
+        (credentials, callback) => {
+            return connection.ensureLoggedIn(credentials.login, credentials.password, (err) => {
+                return callback(err, credentials);
+            });
+        },
+        (credentials, callback) => {
+            return async.map(rules, (rule, callback) => {
+                let ruleSettings = Object.assign({}, settings, {
+                    strategy: 'weekdayAndTimeOrder',
+                    credentials: credentials,
+                    rule: getRuleName(rule),
+                    weekdayAndTimeOrder: rule
+                });
+                delete ruleSettings.multiWeekdayOrder;
+                return weekdayAndTime.runWeekdayAndTimeOrder(ruleSettings, run, (err, booking) => {
+                    // Errors are kept in the outcome, so that the other rules go on
+                    return callback(null, err ? {rule: ruleSettings.rule, error: err} :
+                        {rule: ruleSettings.rule, booking: booking});
+                });
+            }, callback);
+        }
+    ], (err, outcomes) => {
+        if (err) {
+            log.log('error', err);
+            return callback(err);
+        }
+
+        outcomes.forEach((outcome) => {
+            log.log('info', 'Rule ' + outcome.rule + ': ' + (outcome.error ?
+                'nothing booked, ' + outcome.error.message :
+                'booked ' + outcome.booking.StartDateTime));
+        });
+        let failures = outcomes.filter((outcome) => outcome.error);
+        if (failures.length === outcomes.length) {
+            err = errors.combine('None of the rules could be booked', failures.map((outcome) => outcome.error));
+            log.log('error', err);
+            return callback(err);
+        }
+
+        return callback(null, outcomes.map((outcome) => {
+            if (outcome.error) {
+                return {
+                    Rule: outcome.rule,
+                    Error: outcome.error.message,
+                    ErrorKind: errors.kindOf(outcome.error),
+                    NotCancelled: outcome.error.notCancelled
+                };
+            }
+            return Object.assign({Rule: outcome.rule}, outcome.booking);
+        }));
+    });
+}
+
+module.exports = {
+    multiWeekdayOrder: multiWeekdayOrder
+}
@@ -0,0 +1,239 @@
+const async = require('async');
+const http = require('http');
+const https = require('https');
+const nodemailer = require('nodemailer');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const errors = require('./errors.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const eventNames = ['booked', 'upgraded', 'cancelFailed', 'timeout', 'failed'];
+
+// Events of the roster, see roster.checkQuorum
+const rosterEventNames = ['quorumReached', 'released', 'releaseFailed'];
+
+const defaultTimeout = 10000;
+
+/**
+ * Describe a booking for a message
+ *
+ * @param {Object} booking booking information, as returned by connection.queryBookInformation.
+ *
+ * Return a string like 'Football on 11/10/2017, 20:00:00'.
+ */
+function describeBooking(booking) {
+    return (booking.ActivityName ? booking.ActivityName + ' on ' : '') + utils.isoToLocal(booking.StartDateTime);
+}
+
+/**
+ * Build the notification of an event
+ *
+ * @param {string} event one of eventNames or rosterEventNames.
+ * @param {Object} details details of the event, in format
+ * {strategy: 'name', booking: {booking information}, previousBooking: {booking information}, error: Error,
+ * notCancelled: [{booking information}], alreadyHeld: true, stoppedWatching: true, rule: 'name of the
+ * multiWeekdayOrder rule', going: ['player'], quorum: 10}. Only the ones related to the event are given.
+ *
+ * Return the notification in format {event: 'booked', strategy: 'name', rule: 'name', message: 'text',
+ * time: 'ISO date and time', booking: {..., LocalStartDateTime: 'local date and time'}, previousBooking: {...},
+ * notCancelled: [{...}], error: 'message', errorKind: 'SlotTaken', going: ['player'], quorum: 10}. See errors.js
+ * for the kinds.
+ */
+function buildNotification(event, details) {
+    let booking = details.booking;
+    let previousBooking = details.previousBooking;
+    // Bookings to cancel manually, the previous one of an upgrade and the ones a strategy left behind
+    let toCancel = (previousBooking ? [previousBooking] : []).concat(details.notCancelled || []);
+    let messages = {
+        booked: () => (details.stoppedWatching ? 'Stopped watching, keeping ' :
+            (details.alreadyHeld ? 'Already holding ' : 'Booked ')) + describeBooking(booking),
+        upgraded: () => 'Booked ' + describeBooking(booking) + ' and cancelled ' + describeBooking(previousBooking),
+        cancelFailed: () => (booking ? 'Booked ' + describeBooking(booking) : 'Could not make a booking') +
+            ' but could not cancel ' + toCancel.map(describeBooking).join(', ') + ', please cancel ' +
+            (toCancel.length > 1 ? 'them' : 'it') + ' manually',
+        timeout: () => 'Timed out before being able to make a booking',
+        failed: () => 'Could not make a booking: ' + (details.error ? details.error.message : 'unknown error'),
+        quorumReached: () => describeBooking(booking) + ' is on, ' + details.going.length + ' players going',
+        released: () => 'Released ' + describeBooking(booking) + ', only ' + details.going.length + ' of ' +
+            details.quorum + ' players going',
+        releaseFailed: () => 'Only ' + details.going.length + ' of ' + details.quorum + ' players going to ' +
+            describeBooking(booking) + ' but it could not be released, please cancel it manually'
+    };
+
+    let notification = {
+        event: event,
+        strategy: details.strategy,
+        rule: details.rule,
+        message: (details.rule ? 'Rule ' + details.rule + ': ' : '') + messages[event](),
+        time: new Date().toISOString()
+    };
+    if (booking) {
+        notification.booking = Object.assign({LocalStartDateTime: utils.isoToLocal(booking.StartDateTime)}, booking);
+    }
+    if (previousBooking) {
+        notification.previousBooking = Object.assign({
+            LocalStartDateTime: utils.isoToLocal(previousBooking.StartDateTime)
+        }, previousBooking);
+    }
+    if (details.notCancelled) {
+        notification.notCancelled = details.notCancelled.map((notCancelled) => {
+            return Object.assign({LocalStartDateTime: utils.isoToLocal(notCancelled.StartDateTime)}, notCancelled);
+        });
+    }
+    if (details.error) {
+        notification.error = details.error.message;
+        notification.errorKind = errors.kindOf(details.error);
+    }
+    if (details.going) {
+        notification.going = details.going;
+        notification.quorum = details.quorum;
+    }
+    return notification;
+}
+
+/**
+ * Send a notification to a webhook
+ *
+ * <p>The notification is sent as the JSON body of a POST request.
+ *
+ * @param {Object} options webhook settings, in format
+ * {url: 'https://host/path', headers: {'Authorization': 'Bearer token'}, timeout: 10000}.
+ * @param {Object} notification the notification, as returned by buildNotification.
+ * @param {function} callback function with params (err).
+ */
+function sendWebhook(options, notification, callback) {
+    let url = new URL(options.url);
+    let body = JSON.stringify(notification);
+    let request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: Object.assign({
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        }, options.headers),
+        timeout: options.timeout || defaultTimeout
+    }, (res) => {
+        res.resume();
+        res.on('end', () => {
+            if (res.statusCode >= 300) {
+                return callback(new Error('Webhook answered with status ' + res.statusCode));
+            }
+            return callback();
+        });
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook did not answer in time')));
+    request.on('error', callback);
+    request.end(body);
+}
+
+/**
+ * Send a notification by email
+ *
+ * @param {Object} options email settings, in format
+ * {host: 'smtp.host.com', port: 587, secure: false, auth: {user: 'user', pass: 'password'},
+ * from: 'footbooker@host.com', to: 'email@host.com' or ['email@host.com'], timeout: 10000}.
+ * @param {Object} notification the notification, as returned by buildNotification.
+ * @param {function} callback function with params (err).
+ */
+function sendEmail(options, notification, callback) {
+    let timeout = options.timeout || defaultTimeout;
+    let transport = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.auth,
+        connectionTimeout: timeout,
+        greetingTimeout: timeout,
+        socketTimeout: timeout
+    });
+    let lines = [notification.message, ''];
+    if (notification.booking) {
+        lines.push('Booking: ' + JSON.stringify(notification.booking, null, 2));
+    }
+    if (notification.previousBooking) {
+        lines.push('Previous booking: ' + JSON.stringify(notification.previousBooking, null, 2));
+    }
+    if (notification.going) {
+        lines.push('Going: ' + (notification.going.join(', ') || 'nobody'));
+    } else {
+        lines.push('Strategy: ' + (notification.strategy || 'none'));
+    }
+    if (notification.rule) {
+        lines.push('Rule: ' + notification.rule);
+    }
+
+    transport.sendMail({
+        from: options.from,
+        to: options.to,
+        subject: '[footbooker] ' + notification.message,
+        text: lines.join('\n')
+    }, (err) => {
+        transport.close();
+        return callback(err);
+    });
+}
+
+const notifiers = {
+    webhook: sendWebhook,
+    email: sendEmail
+};
+
+/**
+ * Notify an event with all the notifiers of the settings
+ *
+ * <p>Failures to notify are logged, but never passed to the callback, so they do not affect the booking.
+ *
+ * @param {Object} notificationSettings the notifications settings, in format
+ * {events: ['booked', ...], webhook: {...}, email: {...}}. Nothing is sent if not given. All events
+ * are sent if 'events' is not given. See sendWebhook and sendEmail for their settings.
+ * @param {string} event one of eventNames or rosterEventNames.
+ * @param {Object} details details of the event, see buildNotification.
+ * @param {function} callback optional function called once all notifiers are done.
+ */
+function notify(notificationSettings, event, details, callback) {
+    callback = callback || (() => {});
+    if (!notificationSettings || (notificationSettings.events && notificationSettings.events.indexOf(event) < 0)) {
+        return callback();
+    }
+
+    let notification = buildNotification(event, details);
+    let names = Object.keys(notifiers).filter((name) => notificationSettings[name]);
+    return async.each(names, (name, callback) => {
+        return notifiers[name](notificationSettings[name], notification, (err) => {
+            if (err) {
+                log.log('warn', 'Could not send ' + event + ' notification by ' + name + ': ' + err.message);
+            } else {
+                log.log('info', 'Sent ' + event + ' notification by ' + name);
+            }
+            return callback();
+        });
+    }, () => callback());
+}
+
+/**
+ * Notify the events of the strategies
+ *
+ * @param {EventEmitter} emitter the emitter of the events, footbooker.events.
+ * @param {Object} notificationSettings the notifications settings, see notify.
+ *
+ * Return a function which stops notifying.
+ */
+function subscribe(emitter, notificationSettings) {
+    let listeners = {};
+    eventNames.forEach((event) => {
+        listeners[event] = (details) => notify(notificationSettings, event, details);
+        emitter.on(event, listeners[event]);
+    });
+    return () => {
+        eventNames.forEach((event) => emitter.removeListener(event, listeners[event]));
+    };
+}
+
+module.exports = {
+    eventNames: eventNames,
+    rosterEventNames: rosterEventNames,
+    notifiers: notifiers,
+    notify: notify,
+    subscribe: subscribe
+}
@@ -0,0 +1,113 @@
+const async = require('async');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const connection = require('./connection.js');
+const errors = require('./errors.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Release the bookings made in excess by tryToBook
+ * 
+ * <p>Failures are not passed to the callback, the booking kept being already made.
+ * 
+ * @param {array} bookings the bookings to release, in format [{guid: 'guid of the booking', startTime: 'ISO'}].
+ * @param {string} reasonToCancel reason given to the site.
+ * @param {function} callback function called once all of them were tried.
+ * 
+ * Return the bookings which could not be released, in the format of connection.listBookedSessions.
+ */
+function releaseExtraBookings(bookings, reasonToCancel, callback) {
+    let notReleased = [];
+    return async.each(bookings, (booking, callback) => {
+        log.log('info', 'Releasing extra booking ' + booking.guid + ' at ' + booking.startTime);
+        return connection.cancelBooking(booking.guid, reasonToCancel, (err) => {
+            if (err) {
+                log.log('warn', 'Could not release extra booking ' + booking.guid + ' at ' + booking.startTime +
+                    ': ' + err);
+                notReleased.push({Guid: booking.guid, StartDateTime: booking.startTime});
+            } else {
+                log.log('info', 'Released extra booking ' + booking.guid + ' at ' + booking.startTime);
+            }
+            return callback();
+        });
+    }, () => callback(null, notReleased));
+}
+
+/**
+ * Try to book available sessions several at a time, keeping the best one booked
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>The book requests of the first 'parallelAttempts' sessions are sent at the same time, instead of waiting for
+ * each one to fail before trying the next one. The most preferred session booked is kept and the others are
+ * cancelled straight away, see releaseExtraBookings. If none is booked, the next ones are tried the same way.
+ * 
+ * @param {array} availableSessions available sessions to book, in order of preference, in format
+ * [{guid: 'string guid', startTime: 'start date and time in ISO'}].
+ * @param {array} notAvailable errors of the wanted sessions which are not available, if any, to be combined with
+ * the failures of the tries.
+ * @param {function} bookingLambda function sending a book request, taking the ISO date and time and the guid of the
+ * session, and a callback called with the guid of the booking.
+ * @param {Object} options {parallelAttempts: number of book requests sent at the same time, reasonToCancel: reason
+ * to cancel the extra bookings}.
+ * 
+ * Return the guid, as a string, if suceeded. Otherwise the errors of the tries are combined, see errors.combine.
+ * Either way, also return the extra bookings which could not be released, see releaseExtraBookings.
+ */
+function tryToBook(availableSessions, notAvailable, bookingLambda, options, callback) {
+    let batches = [];
+    for (let i = 0; i < availableSessions.length; i += options.parallelAttempts) {
+        batches.push(availableSessions.slice(i, i + options.parallelAttempts));
+    }
+
+    let bookedGuid;
+    let notReleased = [];
+    let failures = notAvailable.slice();
+    return async.eachSeries(batches, (batch, callback) => {
+        if (bookedGuid) {
+            // Already booked
+            return callback();
+        }
+
+        log.log('info', 'Sending ' + batch.length + ' book requests at the same time: ' +
+            batch.map((session) => session.startTime).join(', '));
+        return async.map(batch, (session, callback) => {
+            let isoDateAndTime = utils.localOrISOToISO(session.startTime);
+            return bookingLambda(isoDateAndTime, session.guid, (err, guid) => {
+                // Errors are kept in the results, so that every request is waited for
+                return callback(null, {startTime: isoDateAndTime, guid: guid, error: err});
+            });
+        }, (err, results) => {
+            results.filter((result) => result.error).forEach((result) => {
+                log.log('info', 'Booking for ' + result.startTime + ' failed: ' + result.error);
+                failures.push(result.error);
+            });
+            let booked = results.filter((result) => !result.error);
+            booked.forEach((result) => {
+                log.log('info', 'Booking for ' + result.startTime + ' succeeded: ' + result.guid);
+            });
+            if (booked.length === 0) {
+                return callback();
+            }
+
+            bookedGuid = booked[0].guid;
+            log.log('info', 'Keeping booking ' + bookedGuid + ' at ' + booked[0].startTime);
+            return releaseExtraBookings(booked.slice(1), options.reasonToCancel, (err, bookings) => {
+                notReleased = bookings;
+                return callback();
+            });
+        });
+    }, () => {
+        if (!bookedGuid) {
+            return callback(errors.combine('None of the bookings was successful', failures), undefined, notReleased);
+        }
+
+        return callback(null, bookedGuid, notReleased);
+    });
+}
+
+module.exports = {
+    tryToBook: tryToBook
+}
@@ -0,0 +1,197 @@
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const connection = require('./connection.js');
+const serverClock = require('./server-clock.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const defaultRelease = {
+    time: '00:00',
+    daysAhead: 7,
+    clockSamples: 5,
+    burstBefore: 200,
+    burstDuration: 10000,
+    burstInterval: 50
+};
+
+/**
+ * Fill the release settings with the default values
+ *
+ * @param {Object} release release settings, possibly partial.
+ *
+ * Return a new object with all the release settings.
+ */
+function withDefaults(release) {
+    return Object.assign({}, defaultRelease, release);
+}
+
+/**
+ * Get the instant when bookings for a given date open
+ *
+ * <p>Bookings open 'daysAhead' days before the date, at 'time' in the venue time, which is considered
+ * to be the local time.
+ *
+ * @param {string} dateString date in ISO string format, like the ones returned by utils.dateAndTimeOrDateToDate.
+ * @param {Object} release release settings.
+ *
+ * Return the release instant as a Date.
+ */
+function getReleaseInstant(dateString, release) {
+    release = withDefaults(release);
+    let date = new Date(dateString);
+    let time = release.time.split(':');
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - release.daysAhead,
+        Number(time[0]), Number(time[1]));
+}
+
+/**
+ * Get the next release instant
+ *
+ * <p>A release which happened less than 'burstDuration' ago is still considered, since it is still
+ * worth trying hard to book.
+ *
+ * @param {Object} release release settings.
+ * @param {number} now the current time in milliseconds, in the server clock.
+ *
+ * Return the release instant as a Date.
+ */
+function getNextReleaseInstant(release, now) {
+    release = withDefaults(release);
+    let date = new Date(now);
+    let time = release.time.split(':');
+    let instant = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Number(time[0]), Number(time[1]));
+    if (instant.getTime() + release.burstDuration < now) {
+        instant.setDate(instant.getDate() + 1);
+    }
+    return instant;
+}
+
+/**
+ * Get the date which opens for booking at a given release instant
+ *
+ * @param {Date} releaseInstant the release instant.
+ * @param {Object} release release settings.
+ *
+ * Return the date string in ISO format, like the ones returned by utils.getNextDateForWeekday.
+ */
+function getReleasedDate(releaseInstant, release) {
+    release = withDefaults(release);
+    let date = new Date(Date.UTC(releaseInstant.getFullYear(), releaseInstant.getMonth(),
+        releaseInstant.getDate() + release.daysAhead));
+    return date.toISOString();
+}
+
+/**
+ * Get the date of a weekday which opens for booking at the next release
+ *
+ * @param {number|string} weekday the day of the week (0 = Sunday, 6 = Saturday), either a string or number.
+ * @param {Object} release release settings.
+ *
+ * Return the date string in ISO format, or undefined if the next release opens another weekday.
+ */
+function getNextReleasedDateForWeekday(weekday, release) {
+    let releasedDate = getReleasedDate(getNextReleaseInstant(release, serverClock.now()), release);
+    if (new Date(releasedDate).getUTCDay() !== utils.getWeekdayIndex(weekday)) {
+        return undefined;
+    }
+    return releasedDate;
+}
+
+/**
+ * Get the next release instant among the ones of the given dates
+ *
+ * @param {array} dateAndTimes array of date and time strings. If contains no time zone, it will be considered local.
+ * @param {Object} release release settings.
+ *
+ * Return the release instant as a Date, or undefined if all of the dates are already open for longer than
+ * 'burstDuration'.
+ */
+function getNextReleaseInstantForDates(dateAndTimes, release) {
+    release = withDefaults(release);
+    let now = serverClock.now();
+    let next;
+    dateAndTimes.forEach((dateAndTime) => {
+        let instant = getReleaseInstant(utils.dateAndTimeOrDateToDate(dateAndTime), release);
+        if (instant.getTime() + release.burstDuration >= now && (!next || instant < next)) {
+            next = instant;
+        }
+    });
+    return next;
+}
+
+/**
+ * Build the adjustment of the retry timeouts around a release instant
+ *
+ * @param {Date} releaseInstant the release instant.
+ * @param {Object} release release settings.
+ *
+ * Return a function receiving the time in milliseconds until the next retry, as given by the retry policy, and
+ * returning the one to be used: 'burstInterval' from 'burstBefore' before the release instant until
+ * 'burstDuration' after it, the given one otherwise, shortened so that the burst is not missed.
+ */
+function getRetryTimeout(releaseInstant, release) {
+    release = withDefaults(release);
+    let burstStart = releaseInstant.getTime() - release.burstBefore;
+    let burstEnd = releaseInstant.getTime() + release.burstDuration;
+    return (retryTimeout) => {
+        let now = serverClock.now();
+        if (now < burstStart) {
+            return Math.min(retryTimeout, burstStart - now);
+        }
+        if (now <= burstEnd) {
+            return release.burstInterval;
+        }
+        return retryTimeout;
+    };
+}
+
+/**
+ * Sync with the server clock and wait until the burst of a release starts
+ *
+ * <p>All cookies have to be already set.
+ *
+ * @param {Object} release release settings.
+ * @param {function} getReleaseInstant function called once the clock is synced, returning the release
+ * instant to wait for, or undefined if there is nothing to wait for.
+ *
+ * Return the release instant waited for, as a Date, or undefined if not waiting for a release (no release
+ * settings or no release instant). See retry-policy.js for how it changes the retries.
+ */
+function waitForRelease(release, getReleaseInstant, callback) {
+    if (!release) {
+        return callback();
+    }
+
+    release = withDefaults(release);
+    return connection.syncServerClock(release.clockSamples, (err) => {
+        if (err) {
+            return callback(err);
+        }
+
+        log.log('info', 'Server clock offset is ' + serverClock.getOffset() + 'ms (+/- ' +
+            serverClock.getPrecision() + 'ms)');
+
+        let releaseInstant = getReleaseInstant();
+        if (!releaseInstant) {
+            log.log('info', 'No release to wait for, trying to book straight away');
+            return callback();
+        }
+
+        let wait = releaseInstant.getTime() - release.burstBefore - serverClock.now();
+        log.log('info', 'Waiting ' + Math.max(wait, 0) + 'ms for the release at ' + releaseInstant.toISOString());
+        return setTimeout(() => {
+            return callback(null, releaseInstant);
+        }, Math.max(wait, 0));
+    });
+}
+
+module.exports = {
+    getReleaseInstant: getReleaseInstant,
+    getNextReleaseInstant: getNextReleaseInstant,
+    getReleasedDate: getReleasedDate,
+    getNextReleasedDateForWeekday: getNextReleasedDateForWeekday,
+    getNextReleaseInstantForDates: getNextReleaseInstantForDates,
+    getRetryTimeout: getRetryTimeout,
+    waitForRelease: waitForRelease
+}
@@ -0,0 +1,94 @@
+const errors = require('./errors.js');
+const release = require('./release.js');
+const serverClock = require('./server-clock.js');
+
+'use-strict';
+
+const phases = ['beforeRelease', 'afterRelease'];
+
+// 'interval' defaults to the retryTimeout of the settings. A 'maxAttempts' of 0 means no limit, the strategy
+// timeout still applies. Nothing backs off unless set, retrying every retryTimeout as before the policies.
+const defaultPolicies = {
+    beforeRelease: {multiplier: 1, maxInterval: undefined, jitter: 0, maxAttempts: 0},
+    afterRelease: {multiplier: 1, maxInterval: undefined, jitter: 0, maxAttempts: 0}
+};
+
+/**
+ * Fill the retry policies with the default values
+ *
+ * @param {Object} retryPolicy retry policy settings, possibly partial, in format
+ * {beforeRelease: {policy}, afterRelease: {policy}}.
+ * @param {number} retryTimeout default interval of the policies, in milliseconds.
+ *
+ * Return a new object with both policies complete.
+ */
+function withDefaults(retryPolicy, retryTimeout) {
+    retryPolicy = retryPolicy || {};
+    let policies = {};
+    phases.forEach((phase) => {
+        policies[phase] = Object.assign({interval: retryTimeout}, defaultPolicies[phase], retryPolicy[phase]);
+    });
+    return policies;
+}
+
+/**
+ * Get the time until the next retry of a policy
+ *
+ * <p>The interval grows exponentially with the number of failures, up to 'maxInterval', and is then spread
+ * randomly by 'jitter', e.g. 0.2 for +/- 20%, so that several instances do not retry in lockstep.
+ *
+ * @param {Object} policy a complete policy.
+ * @param {number} failures number of failures to back off from, 0 for the base interval.
+ * @param {number} random random number between 0 and 1.
+ *
+ * Return the time in milliseconds.
+ */
+function getInterval(policy, failures, random) {
+    let interval = policy.interval * Math.pow(policy.multiplier, failures);
+    if (policy.maxInterval !== undefined) {
+        interval = Math.min(interval, policy.maxInterval);
+    }
+    return Math.max(0, Math.round(interval * (1 - policy.jitter + 2 * policy.jitter * random)));
+}
+
+/**
+ * Build the schedule of the tries of footbooker.keepTryingToBook
+ *
+ * <p>The 'beforeRelease' policy is used until the release instant and the 'afterRelease' one afterwards, or all
+ * the time if there is no release to wait for. Each of them allows up to 'maxAttempts' tries.
+ *
+ * <p>Failures back off exponentially, except when the sessions are not open yet (NotYetOpen): those are retried
+ * at the base interval, to book as soon as they open. During the burst of a release, see
+ * release.getRetryTimeout, tries are made every 'burstInterval' whatever the policy.
+ *
+ * @param {Object} settings the settings, with the optional 'retryPolicy', 'retryTimeout' and 'release'.
+ * @param {Date} releaseInstant optional release instant, as returned by release.waitForRelease.
+ *
+ * Return a function receiving the error of the last try, undefined before the first one, and returning the time
+ * in milliseconds until the next try, or undefined if no more tries are allowed.
+ */
+function createSchedule(settings, releaseInstant) {
+    let policies = withDefaults(settings.retryPolicy, settings.retryTimeout);
+    let adjust = releaseInstant ? release.getRetryTimeout(releaseInstant, settings.release) : (timeout) => timeout;
+    let attempts = {beforeRelease: 0, afterRelease: 0};
+    let failures = 0;
+    return (err) => {
+        let phase = releaseInstant && serverClock.now() < releaseInstant.getTime() ? 'beforeRelease' : 'afterRelease';
+        let policy = policies[phase];
+        if (policy.maxAttempts && attempts[phase] >= policy.maxAttempts) {
+            return undefined;
+        }
+
+        attempts[phase]++;
+        failures = !err || errors.kindOf(err) === errors.kinds.NotYetOpen ? 0 : failures + 1;
+        return adjust(getInterval(policy, failures, Math.random()));
+    };
+}
+
+module.exports = {
+    phases: phases,
+    defaultPolicies: defaultPolicies,
+    withDefaults: withDefaults,
+    getInterval: getInterval,
+    createSchedule: createSchedule
+}
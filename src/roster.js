@@ -0,0 +1,328 @@
+const http = require('http');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const notifier = require('./notifier.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const rosterDefaults = {
+    players: [],
+    quorum: 10,
+    quorumBy: 86400000,
+    stateFile: 'settings/roster_state.json',
+    port: 8083,
+    // Only the local host by default, since anyone reaching the server can answer for any player
+    host: '127.0.0.1',
+    refreshInterval: 3600000
+};
+
+const answers = ['yes', 'no'];
+
+// Largest request body accepted by the RSVP endpoint, in bytes
+const maxBodySize = 10000;
+
+/**
+ * Load the answers of the players
+ *
+ * @param {string} stateFile path of the state file.
+ *
+ * Return the state in format {listedAt: 'ISO date and time of the last check', sessions: {guid: {StartDateTime,
+ * ActivityName, answers: {player: 'yes' or 'no'}, outcome: 'confirmed', 'released' or 'releaseFailed'}}}, empty if
+ * the file does not exist yet.
+ */
+function loadState(stateFile) {
+    return utils.loadStateFile(stateFile, {sessions: {}});
+}
+
+/**
+ * Get the time by which the quorum of a booking has to be reached
+ *
+ * @param {Object} booking booking with 'StartDateTime'.
+ * @param {number} quorumBy milliseconds before the start of the booking by which the quorum has to be reached.
+ *
+ * Return the deadline as a Date.
+ */
+function getDeadline(booking, quorumBy) {
+    return new Date(new Date(booking.StartDateTime).getTime() - quorumBy);
+}
+
+/**
+ * Summarise the answers for a session
+ *
+ * @param {Object} session the session in the state, see loadState, if any answer was given.
+ * @param {Object} options the roster settings, with 'players' and 'quorum'.
+ *
+ * Return an object in format {going: ['player'], notGoing: ['player'], pending: ['player'], quorum: 10,
+ * quorumReached: false}, players in the order of the roster.
+ */
+function summarize(session, options) {
+    let sessionAnswers = (session && session.answers) || {};
+    return {
+        going: options.players.filter((player) => sessionAnswers[player] === 'yes'),
+        notGoing: options.players.filter((player) => sessionAnswers[player] === 'no'),
+        pending: options.players.filter((player) => sessionAnswers[player] === undefined),
+        quorum: options.quorum,
+        quorumReached: options.players.filter((player) => sessionAnswers[player] === 'yes').length >= options.quorum
+    };
+}
+
+/**
+ * List the upcoming bookings with the answers of the players
+ *
+ * @param {array} bookings bookings in the format returned by connection.listBookedSessions.
+ * @param {Object} options the roster settings.
+ * @param {number} now optional current time in milliseconds, Date.now() by default.
+ *
+ * Return an array, earliest first, in format [{booking: {...}, deadline: Date, outcome: 'confirmed', going: [...],
+ * ...}], with the summary of the answers, see summarize.
+ */
+function listSessions(bookings, options, now) {
+    options = Object.assign({}, rosterDefaults, options);
+    now = now === undefined ? Date.now() : now;
+    let state = loadState(options.stateFile);
+    return bookings.filter((booking) => new Date(booking.StartDateTime).getTime() > now).sort((a, b) => {
+        return new Date(a.StartDateTime) - new Date(b.StartDateTime);
+    }).map((booking) => {
+        let session = state.sessions[booking.Guid];
+        return Object.assign({
+            booking: booking,
+            deadline: getDeadline(booking, options.quorumBy),
+            outcome: session && session.outcome
+        }, summarize(session, options));
+    });
+}
+
+/**
+ * Record the answer of a player for a booked session
+ *
+ * @param {Object} options the roster settings.
+ * @param {array} bookings bookings in the format returned by connection.listBookedSessions, among which the session.
+ * @param {string} guid guid of the booking.
+ * @param {string} player name of the player, as in the roster but in any case.
+ * @param {string} answer 'yes' or 'no'.
+ *
+ * Return the new summary of the answers, see summarize. Throws if the player is not in the roster, the answer
+ * is not valid, or the session is not an upcoming booking still to be played.
+ */
+function rsvp(options, bookings, guid, player, answer) {
+    options = Object.assign({}, rosterDefaults, options);
+    let name = options.players.find((name) => name.toLowerCase() === String(player).toLowerCase());
+    if (name === undefined) {
+        throw new Error('"' + player + '" is not in the roster, use one of ' + options.players.join(', '));
+    }
+    answer = String(answer).toLowerCase();
+    if (answers.indexOf(answer) < 0) {
+        throw new Error('Expected yes or no but got "' + answer + '"');
+    }
+    let booking = bookings.find((booking) => booking.Guid === guid);
+    if (!booking || new Date(booking.StartDateTime).getTime() <= Date.now()) {
+        throw new Error('No upcoming booking with guid ' + guid);
+    }
+
+    let state = loadState(options.stateFile);
+    let session = state.sessions[guid] || {answers: {}};
+    if (session.outcome === 'released') {
+        throw new Error('The booking ' + guid + ' was already released');
+    }
+    session.StartDateTime = booking.StartDateTime;
+    session.ActivityName = booking.ActivityName;
+    session.answers[name] = answer;
+    state.sessions[guid] = session;
+    utils.saveStateFile(options.stateFile, state);
+    log.log('info', name + ' answered ' + answer + ' for booking ' + guid);
+    return summarize(session, options);
+}
+
+/**
+ * Check whether the quorum of some booking may have to be decided
+ *
+ * <p>Useful for knowing whether checkQuorum has anything to do, without connecting to the site. Bookings not
+ * known yet, e.g. with no answer, are only found when the bookings are listed again, at most every
+ * 'refreshInterval' milliseconds.
+ *
+ * @param {Object} options the roster settings.
+ * @param {number} now optional current time in milliseconds, Date.now() by default.
+ *
+ * Return true if checkQuorum should be called.
+ */
+function isCheckDue(options, now) {
+    options = Object.assign({}, rosterDefaults, options);
+    now = now === undefined ? Date.now() : now;
+    let state = loadState(options.stateFile);
+    if (!state.listedAt || now - new Date(state.listedAt).getTime() >= options.refreshInterval) {
+        return true;
+    }
+    return Object.keys(state.sessions).some((guid) => {
+        let session = state.sessions[guid];
+        return !session.outcome && getDeadline(session, options.quorumBy).getTime() <= now;
+    });
+}
+
+/**
+ * Release the bookings which did not reach the quorum by their deadline
+ *
+ * <p>Once less than 'quorumBy' milliseconds are left before a booking starts, it is confirmed if at least 'quorum'
+ * players answered yes, otherwise it is cancelled so that the session is not wasted. Either way the team is
+ * notified, and the booking is not decided again.
+ *
+ * @param {BookingClient} client a logged in client.
+ * @param {Object} options the roster settings, in addition to {reason: 'Any reason', notifications: {...},
+ * dryRun: true to only find the decisions}, see notifier.notify for the notifications.
+ *
+ * Resolve with an array of the decisions in format [{booking: {...}, outcome: 'confirmed', 'released' or
+ * 'releaseFailed', error: Error if it could not be released, going: [...], ...}], with the summary of the answers.
+ * In a dry run, nothing is cancelled, notified nor saved.
+ */
+async function checkQuorum(client, options) {
+    options = Object.assign({}, rosterDefaults, options);
+    let bookings = await client.listBookings();
+    let state = loadState(options.stateFile);
+    let now = Date.now();
+
+    let booked = {};
+    bookings.forEach((booking) => {
+        booked[booking.Guid] = booking;
+    });
+    // Sessions already played or not booked anymore are forgotten
+    Object.keys(state.sessions).forEach((guid) => {
+        if (!booked[guid] || new Date(booked[guid].StartDateTime).getTime() <= now) {
+            delete state.sessions[guid];
+        }
+    });
+
+    let decisions = [];
+    for (let decision of listSessions(bookings, options, now)) {
+        let booking = decision.booking;
+        let session = state.sessions[booking.Guid] || {answers: {}};
+        session.StartDateTime = booking.StartDateTime;
+        session.ActivityName = booking.ActivityName;
+        state.sessions[booking.Guid] = session;
+        if (session.outcome || decision.deadline.getTime() > now) {
+            continue;
+        }
+
+        decision.outcome = decision.quorumReached ? 'confirmed' : 'released';
+        decisions.push(decision);
+        if (options.dryRun) {
+            continue;
+        }
+        if (!decision.quorumReached) {
+            try {
+                await client.cancel(booking.Guid, options.reason);
+                log.log('info', 'Booking ' + booking.Guid + ' released, only ' + decision.going.length + ' of ' +
+                    decision.quorum + ' players going');
+            } catch (err) {
+                log.log('warn', 'Could not release booking ' + booking.Guid + ', please cancel manually: ' + err);
+                decision.outcome = 'releaseFailed';
+                decision.error = err;
+            }
+        }
+        session.outcome = decision.outcome;
+        await new Promise((resolve) => {
+            notifier.notify(options.notifications, decision.outcome === 'confirmed' ? 'quorumReached' :
+                decision.outcome, decision, resolve);
+        });
+    }
+
+    if (!options.dryRun) {
+        state.listedAt = new Date(now).toISOString();
+        utils.saveStateFile(options.stateFile, state);
+    }
+    return decisions;
+}
+
+/**
+ * Read the JSON body of a request
+ *
+ * Resolve with the parsed body, an empty object if there is none.
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > maxBodySize) {
+                reject(new Error('The request is too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (err) {
+                reject(new Error('The request is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Serve the roster so that players can answer without the command line
+ *
+ * <p>Two endpoints, answering JSON:
+ * <ul>
+ *     <li>GET /: the upcoming bookings with the answers of the players, see listSessions.</li>
+ *     <li>POST /rsvp: records an answer sent as JSON in format {guid: 'guid of the booking', player: 'name',
+ *     answer: 'yes' or 'no'}, see rsvp.</li>
+ * </ul>
+ *
+ * @param {function} getBookings async function resolving with the bookings, as returned by
+ * connection.listBookedSessions.
+ * @param {Object} options the roster settings.
+ *
+ * Return the http.Server, not listening yet. It is meant to listen on 'host', see rosterDefaults.
+ */
+function createRosterServer(getBookings, options) {
+    options = Object.assign({}, rosterDefaults, options);
+    let send = (res, status, body) => {
+        let content = JSON.stringify(body, null, 2);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(content)
+        });
+        res.end(content);
+    };
+
+    return http.createServer((req, res) => {
+        let pathname = new URL(req.url, 'http://localhost').pathname;
+        if (req.method === 'GET' && pathname === '/') {
+            return getBookings().then((bookings) => {
+                send(res, 200, listSessions(bookings, options));
+            }, (err) => {
+                log.log('error', 'Could not list the roster: ' + err.message);
+                send(res, 502, {error: 'Could not get the bookings: ' + err.message});
+            });
+        }
+        if (req.method === 'POST' && pathname === '/rsvp') {
+            return readJson(req).then((body) => {
+                return getBookings().then((bookings) => {
+                    try {
+                        send(res, 200, rsvp(options, bookings, body.guid, body.player, body.answer));
+                    } catch (err) {
+                        send(res, 400, {error: err.message});
+                    }
+                }, (err) => {
+                    log.log('error', 'Could not record an answer: ' + err.message);
+                    send(res, 502, {error: 'Could not get the bookings: ' + err.message});
+                });
+            }, (err) => send(res, 400, {error: err.message}));
+        }
+        return send(res, 404, {error: 'Use GET / or POST /rsvp'});
+    });
+}
+
+module.exports = {
+    rosterDefaults: rosterDefaults,
+    answers: answers,
+    loadState: loadState,
+    getDeadline: getDeadline,
+    summarize: summarize,
+    listSessions: listSessions,
+    rsvp: rsvp,
+    isCheckDue: isCheckDue,
+    checkQuorum: checkQuorum,
+    createRosterServer: createRosterServer
+}
@@ -0,0 +1,211 @@
+const async = require('async');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const connection = require('./connection.js');
+const errors = require('./errors.js');
+const release = require('./release.js');
+const scoring = require('./scoring.js');
+const core = require('./strategy-core.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Try to book the available session with the highest score among several dates
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>The availability of every date is obtained once, then the sessions are tried from the best score down, see
+ * scoring.rankSessions, until one is booked. Dates which cannot be listed, e.g. not open yet, are skipped.
+ * 
+ * <p>Should be used in strategy 'scoredOrder'.
+ * 
+ * @param {array} dateStrings array of date strings in ISO format, as returned by utils.getNextDateForWeekday.
+ * @param {Object} preferences the settings of the strategy, see scoredOrder.
+ * @param {string} activityId id of the activity to book.
+ * @param {number} aboveScore optional score the session must be better than, e.g. the one of a booking to upgrade.
+ * @param {Object} options optional {parallelAttempts, reasonToCancel}, to try the sessions several at a time, see
+ * core.tryToBookInParallel.
+ * 
+ * Return the guid, as a string, if suceeded. Otherwise the errors of the tries are combined, see errors.combine.
+ */
+function tryToBookBestScored(dateStrings, preferences, activityId, aboveScore, options, callback) {
+    let failures = [];
+    return async.concatSeries(dateStrings, (dateString, callback) => {
+        return connection.listAvailableBookings(dateString, activityId, (err, availableSessions) => {
+            if (err) {
+                log.log('info', 'Listing sessions for ' + dateString + ' failed: ' + err);
+                failures.push(err);
+                return callback(null, []);
+            }
+            return callback(null, availableSessions);
+        });
+    }, (err, availableSessions) => {
+        let ranked = scoring.rankSessions(availableSessions, preferences).filter((session) => {
+            return aboveScore === undefined || session.score > aboveScore;
+        });
+        if (ranked.length === 0 && failures.length === 0) {
+            return callback(new errors.SlotTakenError('No available session matches the preferences' +
+                (aboveScore === undefined ? '' : ' with a score above ' + aboveScore)));
+        }
+        if (options && options.parallelAttempts > 1) {
+            return core.tryToBookInParallel(ranked, failures, activityId, options, callback);
+        }
+
+        let bookedGuid;
+        return async.eachSeries(ranked, (session, callback) => {
+            if (bookedGuid) {
+                // Already booked
+                return callback();
+            }
+
+            log.log('info', 'Trying to book at ' + session.startTime + ' with score ' + session.score);
+            return core.tryToBookGivenAvailability(session.startTime, [session], activityId, options && options.run,
+                (err, guid) => {
+                    if (err) {
+                        // If not succeeded, try next
+                        log.log('info', 'Booking for ' + session.startTime + ' failed: ' + err);
+                        failures.push(err);
+                        return callback();
+                    }
+
+                    bookedGuid = guid;
+                    log.log('info', 'Booking for ' + session.startTime + ' succeeded: ' + guid);
+                    return callback();
+                });
+        }, () => {
+            if (!bookedGuid) {
+                // Passed by all tries but none was successful
+                return callback(errors.combine('None of the bookings was successful', failures));
+            }
+
+            return callback(null, bookedGuid);
+        });
+    });
+}
+
+/**
+ * Get the dates a scoredOrder strategy books among
+ * 
+ * <p>Each weekday gives its next occurrence with the offset, or the date opened by the next release if it is that
+ * weekday. Fixed dates are added as given.
+ * 
+ * @param {Object} scoredSettings the settings of the strategy, settings.scoredOrder.
+ * @param {Object} releaseSettings optional release settings.
+ * 
+ * Return an array of date strings in ISO format, in order and without duplicates.
+ */
+function getScoredOrderDates(scoredSettings, releaseSettings) {
+    let dates = (scoredSettings.weekdays || []).map((weekday) => {
+        return (releaseSettings && release.getNextReleasedDateForWeekday(weekday, releaseSettings)) ||
+            utils.getNextDateForWeekday(weekday, scoredSettings.offset || 0);
+    }).concat((scoredSettings.dates || []).map((date) => utils.dateAndTimeOrDateToDate(date)));
+    return dates.filter((date, index) => dates.indexOf(date) === index).sort();
+}
+
+/**
+ * Perform scoredOrder strategy
+ * 
+ * <p>Instead of an ordered list, the preferences are rules giving a score to the sessions matching them, e.g.
+ * a weekday, a date or a time window. The availability of all the candidate dates is obtained and the available
+ * session with the highest score is booked. Once booked, a session with a higher score is tried to upgrade it.
+ * 
+ * <p>'time' restricts the sessions to a time window, 'minDuration' to the ones lasting at least that many minutes
+ * and 'minScore' to the ones with at least that score. Sessions with the same score are booked earliest first.
+ * 
+ * @param {Object} settings object in expected structure:
+ * {
+ *      credentials: {
+ *          login: 'email@host.com',
+ *          password: 'password'
+ *      },
+ *      hostname: 'the.site.co.uk',
+ *      activity: 'Football',
+ *      reasonToCancel: 'Any reason',
+ *      scoredOrder: {
+ *          weekdays: ['Tuesday', 'Wednesday'],
+ *          offset: 3,
+ *          dates: ['2017-10-13'],
+ *          time: '19:00-21:00',
+ *          minDuration: 45,
+ *          minScore: 0,
+ *          rules: [
+ *              {weekday: 'Wednesday', score: 10},
+ *              {time: '20:00-21:00', score: 2},
+ *              {time: '21:00', score: 1}
+ *          ]
+ *      },
+ *      release: {
+ *          time: '00:00',
+ *          daysAhead: 7
+ *      },
+ *      retryTimeout: 3,
+ *      timeout: 180000
+ * }
+ * 
+ * Return the final booking information, in the format returned by connection.queryBookInformation.
+ */
+function scoredOrder(settings, callback) {
+    let run = core.startStrategy('scoredOrder', settings);
+    let deadline = settings.timeout ? Date.now() + settings.timeout : undefined;
+    let activityId;
+    let rebooking = {};
+    let scoredSettings = settings.scoredOrder;
+    let dates = getScoredOrderDates(scoredSettings);
+    let options = core.getBookingOptions(settings, run);
+    return async.waterfall([
+        (callback) => {
+            return core.login(settings.credentials, callback);
+        },
+        (callback) => {
+            return connection.getActivityTypeId(settings.activity || core.defaultActivity, callback);
+        },
+        (id, callback) => {
+            activityId = id;
+            dates = getScoredOrderDates(scoredSettings, settings.release);
+            return core.findHeldBooking(settings, run, (booking) => {
+                let ranked = scoring.rankSessions([{startTime: booking.StartDateTime, endTime: booking.EndDateTime}],
+                    scoredSettings);
+                let onTargetDate = dates.some((date) => core.isOnDate(booking.StartDateTime, date));
+                return onTargetDate && ranked.length > 0 ? -ranked[0].score : undefined;
+            }, callback);
+        },
+        (heldBooking, bookings, callback) => {
+            if (heldBooking) {
+                rebooking.alreadyHeld = true;
+                return callback(null, heldBooking.Guid);
+            }
+            return async.waterfall([
+                (callback) => {
+                    return core.waitForRelease(settings, () => {
+                        dates = getScoredOrderDates(scoredSettings, settings.release);
+                        return release.getNextReleaseInstantForDates(dates, settings.release);
+                    }, callback);
+                },
+                (schedule, callback) => {
+                    log.log('info', 'Trying to book the best session among ' + dates.join(', '));
+                    return core.keepTryingToBook((callback) => {
+                        return tryToBookBestScored(dates, scoredSettings, activityId, undefined, options, callback);
+                    }, schedule, deadline, callback);
+                }
+            ], callback);
+        },
+        connection.queryBookInformation,
+        (bookingInformation, callback) => {
+            let getScore = (bookingInformation) => {
+                return scoring.scoreSession(bookingInformation.StartDateTime, scoredSettings.rules);
+            };
+            return core.tryToRebookBetterOne((bookingInformation, callback) => {
+                return tryToBookBestScored(dates, scoredSettings, activityId, getScore(bookingInformation), options,
+                    callback);
+            }, bookingInformation, core.getUpgradeOptions(settings, deadline, (bookingInformation) => {
+                return getScore(bookingInformation) >= scoring.getBestReachableScore(dates, scoredSettings);
+            }), rebooking, callback);
+        },
+        connection.queryBookInformation
+    ], core.finishStrategy(run, callback, rebooking));
+}
+
+module.exports = {
+    scoredOrder: scoredOrder
+}
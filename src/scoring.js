@@ -0,0 +1,119 @@
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Format the local date of a date and time
+ *
+ * Return a string like '2017-10-11'.
+ */
+function toLocalDate(dateAndTime) {
+    let date = new Date(dateAndTime);
+    return date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).substr(-2) + '-' + ('0' + date.getDate()).substr(-2);
+}
+
+/**
+ * Check whether a session matches all the conditions of a rule
+ *
+ * @param {string} startTime start date and time of the session in ISO format.
+ * @param {Object} rule rule in format {weekday: 'Wednesday', date: '2017-10-11', time: '19:00-21:00', score: 5},
+ * with any of the conditions left out. A rule without conditions matches every session.
+ *
+ * Return true if the session matches.
+ */
+function matchesRule(startTime, rule) {
+    if (rule.weekday !== undefined && new Date(startTime).getDay() !== utils.getWeekdayIndex(rule.weekday)) {
+        return false;
+    }
+    if (rule.date !== undefined && toLocalDate(startTime) !== rule.date.substr(0, 10)) {
+        return false;
+    }
+    if (rule.time !== undefined && !utils.isInTimeWindow(startTime, rule.time)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Score a session
+ *
+ * @param {string} startTime start date and time of the session in ISO format.
+ * @param {array} rules rules in the format of matchesRule.
+ *
+ * Return the sum of the scores of the rules matched by the session.
+ */
+function scoreSession(startTime, rules) {
+    return (rules || []).reduce((score, rule) => matchesRule(startTime, rule) ? score + rule.score : score, 0);
+}
+
+/**
+ * Get the highest score a session on the given dates could get
+ *
+ * <p>Only the sessions inside the 'time' window of the preferences are considered, and rules which cannot all be
+ * matched by the same session, e.g. of different weekdays, are not added up. The score of a session only changes
+ * at the ends of the time windows, so it is enough to score the sessions starting at each end, and a minute before
+ * and after it, sessions starting on a minute.
+ *
+ * @param {array} dates date strings, e.g. '2017-10-11'.
+ * @param {Object} preferences the settings of the strategy, e.g. settings.scoredOrder.
+ *
+ * Return the best score, or undefined if no session of those dates is inside the 'time' window.
+ */
+function getBestReachableScore(dates, preferences) {
+    let windows = (preferences.rules || []).concat([preferences]).filter((rule) => rule.time !== undefined);
+    let best;
+    dates.forEach((date) => {
+        let dayStart = new Date(utils.datePlusTimeToDateAndTime(date, '00:00')).getTime();
+        let dayEnd = dayStart + (24 * 60 - 1) * 60000;
+        let instants = [dayStart];
+        windows.forEach((rule) => {
+            let window = utils.getTimeWindow(date, rule.time);
+            [window.start, window.end].forEach((end) => {
+                let time = new Date(end).getTime();
+                instants.push(time - 60000, time, time + 60000);
+            });
+        });
+        instants.filter((time) => time >= dayStart && time <= dayEnd).forEach((time) => {
+            let startTime = new Date(time).toISOString();
+            if (preferences.time !== undefined && !utils.isInTimeWindow(startTime, preferences.time)) {
+                return;
+            }
+            let score = scoreSession(startTime, preferences.rules);
+            best = best === undefined ? score : Math.max(best, score);
+        });
+    });
+    return best;
+}
+
+/**
+ * Rank the available sessions by score
+ *
+ * <p>Sessions out of the 'time' window of the preferences, shorter than 'minDuration' minutes or below 'minScore'
+ * are left out. Sessions with the same score are ranked by start, earliest first.
+ *
+ * @param {array} availableSessions available sessions, as returned by connection.listAvailableBookings.
+ * @param {Object} preferences the settings of the strategy, e.g. settings.scoredOrder.
+ *
+ * Return a new array of the sessions kept, best first, each with its 'score' added.
+ */
+function rankSessions(availableSessions, preferences) {
+    return availableSessions.filter((session) => {
+        return preferences.time === undefined || utils.isInTimeWindow(session.startTime, preferences.time);
+    }).filter((session) => {
+        return preferences.minDuration === undefined ||
+            utils.getMinutesBetween(session.startTime, session.endTime) >= preferences.minDuration;
+    }).map((session) => {
+        return Object.assign({score: scoreSession(session.startTime, preferences.rules)}, session);
+    }).filter((session) => {
+        return preferences.minScore === undefined || session.score >= preferences.minScore;
+    }).sort((a, b) => {
+        return b.score - a.score || new Date(a.startTime) - new Date(b.startTime);
+    });
+}
+
+module.exports = {
+    matchesRule: matchesRule,
+    scoreSession: scoreSession,
+    getBestReachableScore: getBestReachableScore,
+    rankSessions: rankSessions
+}
@@ -0,0 +1,78 @@
+'use-strict';
+
+// Bounds, in milliseconds, of the offset between the server clock and the local one
+let lowerBound;
+let upperBound;
+
+/**
+ * Record the Date header of a response to estimate the server clock
+ *
+ * <p>The Date header has a resolution of one second, so when the response was created the server
+ * clock was between 'date' and 'date + 1000'. It was created at some point between sending the
+ * request and receiving the response, which bounds the offset to the local clock. Bounds of all
+ * responses are intersected, so the more responses are seen the better the estimation is.
+ *
+ * <p>If the bounds stop intersecting (e.g. one of the clocks was adjusted), the estimation restarts
+ * from the given response.
+ *
+ * @param {string} dateHeader the value of the Date header, e.g. 'Mon, 18 Sep 2017 07:00:00 GMT'.
+ * @param {number} sentAt local time, in milliseconds, when the request was sent.
+ * @param {number} receivedAt local time, in milliseconds, when the response was received.
+ */
+function record(dateHeader, sentAt, receivedAt) {
+    let date = new Date(dateHeader).getTime();
+    if (!dateHeader || isNaN(date)) {
+        return;
+    }
+
+    let lower = date - receivedAt;
+    let upper = date + 1000 - sentAt;
+    if (lowerBound === undefined || lower > upperBound || upper < lowerBound) {
+        lowerBound = lower;
+        upperBound = upper;
+        return;
+    }
+
+    lowerBound = Math.max(lowerBound, lower);
+    upperBound = Math.min(upperBound, upper);
+}
+
+/**
+ * Get the estimated offset between the server clock and the local one
+ *
+ * Return the offset in milliseconds (server minus local), 0 if no response was recorded yet.
+ */
+function getOffset() {
+    if (lowerBound === undefined) {
+        return 0;
+    }
+    return Math.round((lowerBound + upperBound) / 2);
+}
+
+/**
+ * Get the maximum error of the estimated offset
+ *
+ * Return the error in milliseconds, undefined if no response was recorded yet.
+ */
+function getPrecision() {
+    if (lowerBound === undefined) {
+        return undefined;
+    }
+    return Math.round((upperBound - lowerBound) / 2);
+}
+
+/**
+ * Get the current time in the server clock
+ *
+ * Return the time in milliseconds.
+ */
+function now() {
+    return Date.now() + getOffset();
+}
+
+module.exports = {
+    record: record,
+    getOffset: getOffset,
+    getPrecision: getPrecision,
+    now: now
+}
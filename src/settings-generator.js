@@ -1,5 +1,5 @@
 const fs = require('fs');
-const mergeJSON = require('merge-json');
+const path = require('path');
 
 'use-strict';
 
@@ -9,6 +9,7 @@ const template = {
         password: 'password'
     },
     hostname: 'the.site.co.uk',
+    activity: 'Football',
     reasonToCancel: 'Any reason',
     strategy: 'oneOfTheOptionsBelow',
     dateAndTimeOrder: {
@@ -28,32 +29,102 @@ const template = {
             '21:00',
             '18:00'
         ]
+    },
+    consecutiveSessionsOrder: {
+        weekday: 'Wednesday',
+        offset: 3,
+        sessions: 2,
+        interval: 60,
+        timePreference: [
+            '20:00',
+            '19:00',
+            '18:00'
+        ]
+    },
+    scoredOrder: {
+        weekdays: ['Tuesday', 'Wednesday'],
+        offset: 3,
+        time: '19:00-21:00',
+        minDuration: 45,
+        minScore: 0,
+        rules: [
+            {weekday: 'Wednesday', score: 10},
+            {time: '20:00-21:00', score: 2},
+            {time: '21:00', score: 1}
+        ]
+    },
+    multiWeekdayOrder: {
+        rules: [
+            {name: 'monday', weekday: 'Monday', offset: 3, timePreference: ['20:00', '19:00-21:30']},
+            {name: 'thursday', weekday: 'Thursday', offset: 3, timePreference: ['19:00', '20:00'], minDuration: 60}
+        ]
+    },
+    watchOrder: {
+        bookingPreference: [
+            '2017-10-11T20:00:00',
+            '2017-10-12T20:00:00',
+            '2017-10-11T19:00:00'
+        ],
+        interval: 600000,
+        maxInterval: 3600000,
+        stopBefore: 7200000,
+        until: '2017-10-10T23:00:00'
     }
 };
 
-const settingsDir = 'settings';
 const settingsPath = 'settings/foot_booker_settings.json';
 
+/**
+ * Add the settings of the template missing in the given settings
+ * 
+ * <p>Objects are merged key by key, so that a strategy already set up gets the settings it misses. Any other
+ * existing value, arrays included, is kept as it is, e.g. the preferences are never mixed with the examples.
+ * 
+ * @param {Object} settings the settings to complete, changed in place.
+ * @param {Object} templateSettings the settings of the template at the same level.
+ * 
+ * Return the completed settings.
+ */
+function addMissingSettings(settings, templateSettings) {
+    let isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    Object.keys(templateSettings).forEach((key) => {
+        if (settings[key] === undefined) {
+            settings[key] = templateSettings[key];
+        } else if (isObject(settings[key]) && isObject(templateSettings[key])) {
+            addMissingSettings(settings[key], templateSettings[key]);
+        }
+    });
+    return settings;
+}
+
 /**
  * Generate settings file from template
  * 
- * <p>If settings file already exists, it is merged to the template, prioritizing
- * the already existing properties.
+ * <p>If settings file already exists, the settings of the template it misses are added, the existing ones being
+ * kept, see addMissingSettings.
  * </p>
  * 
  * <p>If settings directory doesn't exist yet, it is created.
+ * 
+ * @param {string} file optional path of the settings file, "settings/foot_booker_settings.json" by default.
  */
-function generateSettings() {
-    if (!fs.existsSync(settingsDir)){
-        fs.mkdirSync(settingsDir);
-    }
+function generateSettings(file) {
+    file = file || settingsPath;
+    fs.mkdirSync(path.dirname(file), {recursive: true});
 
     let existingSettings = {};
-    if (fs.existsSync(settingsPath)) {
-        existingSettings = JSON.parse(fs.readFileSync(settingsPath));
+    if (fs.existsSync(file)) {
+        existingSettings = JSON.parse(fs.readFileSync(file));
     }
 
-    fs.writeFileSync(settingsPath, JSON.stringify(mergeJSON.merge(template, existingSettings), null, 4));
+    fs.writeFileSync(file, JSON.stringify(addMissingSettings(existingSettings, template), null, 4));
 }
 
-generateSettings();
\ No newline at end of file
+module.exports = {
+    template: template,
+    generateSettings: generateSettings
+}
+
+if (require.main === module) {
+    generateSettings(process.argv[2]);
+}
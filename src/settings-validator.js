@@ -0,0 +1,679 @@
+const notifier = require('./notifier.js');
+const retryPolicy = require('./retry-policy.js');
+const roster = require('./roster.js');
+
+'use-strict';
+
+const weekdayStrategyNames = ['weekdayAndTimeOrder', 'consecutiveSessionsOrder'];
+const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const scoringRuleKeys = ['weekday', 'date', 'time', 'score'];
+const credentialSourceKeys = ['env', 'file', 'key', 'prompt'];
+
+// Shortest interval between the checks of watchOrder, so that the site is not flooded for days
+const minWatchInterval = 60000;
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?(Z|[+-]\d{2}:?\d{2})?$/;
+const datePattern = /^\d{4}-\d{2}-\d{2}/;
+const hostnamePattern = /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/;
+
+/**
+ * Describe a value for an error message
+ *
+ * Return the value in JSON, or 'nothing' if undefined.
+ */
+function describe(value) {
+    return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a value is a non empty string
+ *
+ * @param {array} problems array where problems are added in format {path: 'json.path', message: 'text'}.
+ * @param {string} path the JSON path of the value.
+ * @param {*} value the value.
+ * @param {boolean} optional whether the value can be missing.
+ *
+ * Return true if the value is valid.
+ */
+function checkString(problems, path, value, optional) {
+    if (value === undefined && optional) {
+        return true;
+    }
+    if (typeof value !== 'string' || value.length === 0) {
+        problems.push({path: path, message: 'expected a non empty string but got ' + describe(value)});
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check that a value is a number in a range
+ *
+ * @param {array} problems array where problems are added.
+ * @param {string} path the JSON path of the value.
+ * @param {*} value the value.
+ * @param {Object} constraints optional constraints in format {min: 0, integer: true, optional: true}.
+ *
+ * Return true if the value is valid.
+ */
+function checkNumber(problems, path, value, constraints) {
+    constraints = constraints || {};
+    if (value === undefined && constraints.optional) {
+        return true;
+    }
+
+    let expected = (constraints.integer ? 'an integer' : 'a number') +
+        (constraints.min !== undefined ? ' greater than or equal to ' + constraints.min : '');
+    if (typeof value !== 'number' || isNaN(value) ||
+        (constraints.integer && !Number.isInteger(value)) ||
+        (constraints.min !== undefined && value < constraints.min)) {
+        problems.push({path: path, message: 'expected ' + expected + ' but got ' + describe(value)});
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check that a value is an object
+ *
+ * Return true if the value is valid.
+ */
+function checkObject(problems, path, value) {
+    if (!isObject(value)) {
+        problems.push({path: path, message: 'expected an object but got ' + describe(value)});
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check that an object has no other keys than the known ones, so that misspelled settings are not ignored
+ *
+ * @param {array} problems array where problems are added.
+ * @param {string} path the JSON path of the object, empty for the whole settings.
+ * @param {Object} value the object.
+ * @param {array} keys the known keys.
+ */
+function checkKeys(problems, path, value, keys) {
+    Object.keys(value).forEach((key) => {
+        if (keys.indexOf(key) < 0) {
+            problems.push({path: (path ? path + '.' : '') + key, message: 'unknown setting, it is probably misspelled'});
+        }
+    });
+}
+
+/**
+ * Check that a value is a non empty array and check each of its items
+ *
+ * @param {array} problems array where problems are added.
+ * @param {string} path the JSON path of the value.
+ * @param {*} value the value.
+ * @param {function} checkItem function receiving (problems, path, item) for each item.
+ *
+ * Return true if the value is an array.
+ */
+function checkArray(problems, path, value, checkItem) {
+    if (!Array.isArray(value) || value.length === 0) {
+        problems.push({path: path, message: 'expected a non empty array but got ' + describe(value)});
+        return false;
+    }
+    value.forEach((item, index) => {
+        checkItem(problems, path + '[' + index + ']', item);
+    });
+    return true;
+}
+
+/**
+ * Check that a value is a time like '20:00', '20:00:00', '18:00Z' or '18:00+01:00'
+ */
+function checkTime(problems, path, value) {
+    if (typeof value !== 'string' || !timePattern.test(value)) {
+        problems.push({path: path, message: 'expected a time like "20:00" but got ' + describe(value)});
+    }
+}
+
+/**
+ * Check that a value is a time like '20:00' or a time window like '19:00-21:30', see utils.getTimeWindow
+ */
+function checkTimeWindow(problems, path, value) {
+    let bounds = typeof value === 'string' ? value.split(/-(?=\d{2}:)/) : [];
+    let valid = (bounds.length === 1 || bounds.length === 2) && bounds.every((bound) => timePattern.test(bound));
+    if (!valid) {
+        problems.push({path: path, message: 'expected a time like "20:00" or a time window like "19:00-21:30" ' +
+            'but got ' + describe(value)});
+        return;
+    }
+    if (bounds.length === 2 && bounds[0] > bounds[1] && !/[Z+-]/.test(bounds[0] + bounds[1])) {
+        problems.push({path: path, message: 'the time window ' + describe(value) + ' ends before it starts'});
+    }
+}
+
+/**
+ * Check that a value is a date like '2017-10-11', optionally with time
+ */
+function checkDate(problems, path, value) {
+    if (typeof value !== 'string' || !datePattern.test(value) || isNaN(new Date(value).getTime())) {
+        problems.push({path: path, message: 'expected a date like "2017-10-11" but got ' + describe(value)});
+    }
+}
+
+/**
+ * Check that a value is a date and time like '2017-10-11T20:00:00.0000000', optionally with time zone
+ */
+function checkDateAndTime(problems, path, value) {
+    if (typeof value !== 'string' || !datePattern.test(value) || value.indexOf('T') < 0 ||
+        isNaN(new Date(value).getTime())) {
+        problems.push({path: path, message: 'expected a date and time like "2017-10-11T20:00:00" but got ' +
+            describe(value)});
+    }
+}
+
+/**
+ * Check that a value is a weekday name, like 'Wednesday', or its index, from 0 (Sunday) to 6 (Saturday)
+ */
+function checkWeekday(problems, path, value) {
+    if ((typeof value === 'string' && weekdays.indexOf(value.toLowerCase()) >= 0) ||
+        (Number.isInteger(value) && value >= 0 && value <= 6)) {
+        return;
+    }
+    problems.push({path: path, message: describe(value) +
+        ' is not a valid weekday, use "Sunday" to "Saturday" or 0 (Sunday) to 6 (Saturday)'});
+}
+
+function checkCredential(problems, path, value) {
+    if (!isObject(value)) {
+        checkString(problems, path, value);
+        return;
+    }
+
+    Object.keys(value).forEach((key) => {
+        if (credentialSourceKeys.indexOf(key) < 0) {
+            problems.push({path: path + '.' + key, message: 'unknown credential source, use one of ' +
+                credentialSourceKeys.join(', ')});
+        }
+    });
+    if (!value.env && !value.file && !value.prompt) {
+        problems.push({path: path, message: 'expected the credential or at least one of env, file and prompt'});
+    }
+    checkString(problems, path + '.env', value.env, true);
+    checkString(problems, path + '.file', value.file, true);
+    checkString(problems, path + '.key', value.key, true);
+    if (value.prompt !== undefined && typeof value.prompt !== 'boolean') {
+        problems.push({path: path + '.prompt', message: 'expected true or false but got ' + describe(value.prompt)});
+    }
+}
+
+function checkCredentials(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['login', 'password']);
+    checkCredential(problems, path + '.login', value.login);
+    checkCredential(problems, path + '.password', value.password);
+}
+
+function checkHostname(problems, path, value) {
+    if (!checkString(problems, path, value)) {
+        return;
+    }
+
+    if (value.indexOf('://') >= 0) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (err) {
+            url = undefined;
+        }
+        if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:') || (url.pathname !== '/' && url.pathname)) {
+            problems.push({path: path, message: 'expected a hostname like "the.site.co.uk" or a url like ' +
+                '"http://localhost:8080" but got ' + describe(value)});
+        }
+        return;
+    }
+
+    if (!hostnamePattern.test(value)) {
+        problems.push({path: path, message: 'expected a hostname like "the.site.co.uk", without protocol or path, ' +
+            'but got ' + describe(value)});
+    }
+}
+
+function checkDateAndTimeOrder(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['bookingPreference']);
+    checkArray(problems, path + '.bookingPreference', value.bookingPreference, checkDateAndTime);
+}
+
+function checkWatchOrder(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['bookingPreference', 'interval', 'maxInterval', 'stopBefore', 'until']);
+    checkArray(problems, path + '.bookingPreference', value.bookingPreference, checkDateAndTime);
+    checkNumber(problems, path + '.interval', value.interval, {min: minWatchInterval, optional: true});
+    if (checkNumber(problems, path + '.maxInterval', value.maxInterval, {min: minWatchInterval, optional: true}) &&
+        typeof value.interval === 'number' && value.maxInterval < value.interval) {
+        problems.push({path: path + '.maxInterval', message: 'expected at least the interval, ' + value.interval +
+            ', but got ' + value.maxInterval});
+    }
+    checkNumber(problems, path + '.stopBefore', value.stopBefore, {min: 0, optional: true});
+    if (value.until !== undefined) {
+        checkDateAndTime(problems, path + '.until', value.until);
+    }
+}
+
+/**
+ * Check the weekday, offset and optional date shared by the weekday strategies
+ */
+function checkWeekdayAndDate(problems, path, value) {
+    checkWeekday(problems, path + '.weekday', value.weekday);
+    checkNumber(problems, path + '.offset', value.offset, {min: 0, integer: true, optional: value.date !== undefined});
+    if (value.date !== undefined) {
+        checkDate(problems, path + '.date', value.date);
+    }
+}
+
+/**
+ * Check the settings of weekdayAndTimeOrder
+ *
+ * @param {array} otherKeys optional keys allowed besides the ones of the strategy, e.g. the name of the
+ * multiWeekdayOrder rules.
+ */
+function checkWeekdayAndTimeOrder(problems, path, value, otherKeys) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['weekday', 'offset', 'date', 'timePreference', 'minDuration']
+        .concat(otherKeys || []));
+    checkWeekdayAndDate(problems, path, value);
+    checkArray(problems, path + '.timePreference', value.timePreference, checkTimeWindow);
+    checkNumber(problems, path + '.minDuration', value.minDuration, {min: 0, optional: true});
+}
+
+function checkConsecutiveSessionsOrder(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['weekday', 'offset', 'date', 'timePreference', 'sessions', 'interval']);
+    checkWeekdayAndDate(problems, path, value);
+    checkArray(problems, path + '.timePreference', value.timePreference, checkTime);
+    checkNumber(problems, path + '.sessions', value.sessions, {min: 1, integer: true});
+    checkNumber(problems, path + '.interval', value.interval, {min: 1, optional: true});
+}
+
+function checkRelease(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['time', 'daysAhead', 'clockSamples', 'burstBefore', 'burstDuration', 'burstInterval']);
+    if (value.time !== undefined) {
+        checkTime(problems, path + '.time', value.time);
+    }
+    checkNumber(problems, path + '.daysAhead', value.daysAhead, {min: 0, integer: true, optional: true});
+    checkNumber(problems, path + '.clockSamples', value.clockSamples, {min: 1, integer: true, optional: true});
+    checkNumber(problems, path + '.burstBefore', value.burstBefore, {min: 0, optional: true});
+    checkNumber(problems, path + '.burstDuration', value.burstDuration, {min: 0, optional: true});
+    checkNumber(problems, path + '.burstInterval', value.burstInterval, {min: 1, optional: true});
+}
+
+function checkRetryPolicy(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    Object.keys(value).forEach((phase) => {
+        if (retryPolicy.phases.indexOf(phase) < 0) {
+            problems.push({path: path + '.' + phase, message: 'unknown phase, use one of ' +
+                retryPolicy.phases.join(', ')});
+            return;
+        }
+
+        let policyPath = path + '.' + phase;
+        let policy = value[phase];
+        if (!checkObject(problems, policyPath, policy)) {
+            return;
+        }
+        checkKeys(problems, policyPath, policy, ['interval', 'multiplier', 'maxInterval', 'jitter', 'maxAttempts']);
+        checkNumber(problems, policyPath + '.interval', policy.interval, {min: 0, optional: true});
+        checkNumber(problems, policyPath + '.multiplier', policy.multiplier, {min: 1, optional: true});
+        checkNumber(problems, policyPath + '.maxInterval', policy.maxInterval, {min: 0, optional: true});
+        checkNumber(problems, policyPath + '.jitter', policy.jitter, {min: 0, optional: true});
+        if (typeof policy.jitter === 'number' && policy.jitter > 1) {
+            problems.push({path: policyPath + '.jitter', message: 'expected a fraction between 0 and 1 but got ' +
+                describe(policy.jitter)});
+        }
+        checkNumber(problems, policyPath + '.maxAttempts', policy.maxAttempts, {min: 0, integer: true, optional: true});
+    });
+}
+
+function checkWebhook(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['url', 'headers', 'timeout']);
+    if (checkString(problems, path + '.url', value.url) && !/^https?:\/\/[^/]/.test(value.url)) {
+        problems.push({path: path + '.url', message: 'expected an http or https url but got ' + describe(value.url)});
+    }
+    if (value.headers !== undefined) {
+        checkObject(problems, path + '.headers', value.headers);
+    }
+    checkNumber(problems, path + '.timeout', value.timeout, {min: 1, optional: true});
+}
+
+function checkEmail(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['host', 'port', 'secure', 'auth', 'from', 'to', 'timeout']);
+    checkString(problems, path + '.host', value.host);
+    checkNumber(problems, path + '.port', value.port, {min: 1, integer: true, optional: true});
+    if (value.secure !== undefined && typeof value.secure !== 'boolean') {
+        problems.push({path: path + '.secure', message: 'expected true or false but got ' + describe(value.secure)});
+    }
+    if (value.auth !== undefined && checkObject(problems, path + '.auth', value.auth)) {
+        checkKeys(problems, path + '.auth', value.auth, ['user', 'pass']);
+        checkString(problems, path + '.auth.user', value.auth.user);
+        checkString(problems, path + '.auth.pass', value.auth.pass);
+    }
+    checkString(problems, path + '.from', value.from);
+    if (Array.isArray(value.to)) {
+        checkArray(problems, path + '.to', value.to, checkString);
+    } else {
+        checkString(problems, path + '.to', value.to);
+    }
+    checkNumber(problems, path + '.timeout', value.timeout, {min: 1, optional: true});
+}
+
+function checkNotifications(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['events', 'webhook', 'email']);
+    if (value.events !== undefined) {
+        checkArray(problems, path + '.events', value.events, (problems, eventPath, event) => {
+            let eventNames = notifier.eventNames.concat(notifier.rosterEventNames);
+            if (eventNames.indexOf(event) < 0) {
+                problems.push({path: eventPath, message: describe(event) + ' is not a valid event, use one of ' +
+                    eventNames.join(', ')});
+            }
+        });
+    }
+    if (value.webhook !== undefined) {
+        checkWebhook(problems, path + '.webhook', value.webhook);
+    }
+    if (value.email !== undefined) {
+        checkEmail(problems, path + '.email', value.email);
+    }
+}
+
+function checkCalendar(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['name', 'stateFile', 'port', 'host', 'cacheTime']);
+    checkString(problems, path + '.name', value.name, true);
+    checkString(problems, path + '.stateFile', value.stateFile, true);
+    checkNumber(problems, path + '.port', value.port, {min: 0, integer: true, optional: true});
+    checkString(problems, path + '.host', value.host, true);
+    checkNumber(problems, path + '.cacheTime', value.cacheTime, {min: 0, optional: true});
+}
+
+function checkCancellation(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['stateFile', 'cancelBy']);
+    checkString(problems, path + '.stateFile', value.stateFile, true);
+    checkNumber(problems, path + '.cancelBy', value.cancelBy, {min: 0, optional: true});
+}
+
+function checkRoster(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['players', 'quorum', 'quorumBy', 'stateFile', 'port', 'host', 'refreshInterval']);
+    let names = {};
+    checkArray(problems, path + '.players', value.players, (problems, playerPath, player) => {
+        if (checkString(problems, playerPath, player)) {
+            if (names[player.toLowerCase()]) {
+                problems.push({path: playerPath, message: describe(player) + ' is in the roster more than once'});
+            }
+            names[player.toLowerCase()] = true;
+        }
+    });
+    let quorum = value.quorum === undefined ? roster.rosterDefaults.quorum : value.quorum;
+    if (checkNumber(problems, path + '.quorum', value.quorum, {min: 1, integer: true, optional: true}) &&
+        Array.isArray(value.players) && quorum > value.players.length) {
+        problems.push({path: path + '.quorum', message: 'the quorum of ' + quorum + ' can never be reached with ' +
+            value.players.length + ' players'});
+    }
+    checkNumber(problems, path + '.quorumBy', value.quorumBy, {min: 0, optional: true});
+    checkString(problems, path + '.stateFile', value.stateFile, true);
+    checkNumber(problems, path + '.port', value.port, {min: 0, integer: true, optional: true});
+    checkString(problems, path + '.host', value.host, true);
+    checkNumber(problems, path + '.refreshInterval', value.refreshInterval, {min: 0, optional: true});
+}
+
+function checkScoredOrder(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['weekdays', 'offset', 'dates', 'time', 'minScore', 'minDuration', 'rules']);
+    if (value.weekdays === undefined && value.dates === undefined) {
+        problems.push({path: path, message: 'expected weekdays, dates or both to book among'});
+    }
+    if (value.weekdays !== undefined) {
+        checkArray(problems, path + '.weekdays', value.weekdays, checkWeekday);
+    }
+    checkNumber(problems, path + '.offset', value.offset, {min: 0, integer: true, optional: true});
+    if (value.dates !== undefined) {
+        checkArray(problems, path + '.dates', value.dates, checkDate);
+    }
+    if (value.time !== undefined) {
+        checkTimeWindow(problems, path + '.time', value.time);
+    }
+    checkNumber(problems, path + '.minScore', value.minScore, {optional: true});
+    checkNumber(problems, path + '.minDuration', value.minDuration, {min: 0, optional: true});
+    if (value.rules !== undefined) {
+        checkArray(problems, path + '.rules', value.rules, (problems, rulePath, rule) => {
+            if (!checkObject(problems, rulePath, rule)) {
+                return;
+            }
+            Object.keys(rule).forEach((key) => {
+                if (scoringRuleKeys.indexOf(key) < 0) {
+                    problems.push({path: rulePath + '.' + key, message: 'unknown condition, use one of ' +
+                        scoringRuleKeys.filter((key) => key !== 'score').join(', ')});
+                }
+            });
+            if (rule.weekday !== undefined) {
+                checkWeekday(problems, rulePath + '.weekday', rule.weekday);
+            }
+            if (rule.date !== undefined) {
+                checkDate(problems, rulePath + '.date', rule.date);
+            }
+            if (rule.time !== undefined) {
+                checkTimeWindow(problems, rulePath + '.time', rule.time);
+            }
+            checkNumber(problems, rulePath + '.score', rule.score, {});
+        });
+    }
+}
+
+function checkMultiWeekdayOrder(problems, path, value) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['rules']);
+    let names = {};
+    checkArray(problems, path + '.rules', value.rules, (problems, rulePath, rule) => {
+        if (!checkObject(problems, rulePath, rule)) {
+            return;
+        }
+        // Rules without name are named after their weekday, see getRuleName in multi-weekday-order.js
+        if (checkString(problems, rulePath + '.name', rule.name, true)) {
+            let name = rule.name || String(rule.weekday).toLowerCase();
+            if (names[name]) {
+                problems.push({path: rulePath + '.name', message: describe(name) + ' is used by more than one rule' +
+                    (rule.name ? '' : ', give the rules of the same weekday a name')});
+            }
+            names[name] = true;
+        }
+        checkWeekdayAndTimeOrder(problems, rulePath, rule, ['name']);
+    });
+}
+
+const strategyCheckers = {
+    dateAndTimeOrder: checkDateAndTimeOrder,
+    weekdayAndTimeOrder: checkWeekdayAndTimeOrder,
+    consecutiveSessionsOrder: checkConsecutiveSessionsOrder,
+    scoredOrder: checkScoredOrder,
+    multiWeekdayOrder: checkMultiWeekdayOrder,
+    watchOrder: checkWatchOrder
+};
+
+const strategyNames = Object.keys(strategyCheckers);
+
+function checkDaemon(problems, path, value, settings) {
+    if (!checkObject(problems, path, value)) {
+        return;
+    }
+    checkKeys(problems, path, value, ['stateFile', 'startBefore', 'catchUpWindow', 'checkInterval', 'maxRunTime', 'rules']);
+    checkString(problems, path + '.stateFile', value.stateFile, true);
+    checkNumber(problems, path + '.startBefore', value.startBefore, {min: 0, optional: true});
+    checkNumber(problems, path + '.catchUpWindow', value.catchUpWindow, {min: 0, optional: true});
+    checkNumber(problems, path + '.checkInterval', value.checkInterval, {min: 1, optional: true});
+    checkNumber(problems, path + '.maxRunTime', value.maxRunTime, {min: 1, optional: true});
+
+    let names = {};
+    checkArray(problems, path + '.rules', value.rules, (problems, rulePath, rule) => {
+        if (!checkObject(problems, rulePath, rule)) {
+            return;
+        }
+        // A rule can override any setting, see daemon.getRuleSettings
+        checkKeys(problems, rulePath, rule, ['name'].concat(knownSettings.filter((key) => key !== 'daemon')));
+        if (checkString(problems, rulePath + '.name', rule.name)) {
+            if (names[rule.name]) {
+                problems.push({path: rulePath + '.name', message: describe(rule.name) + ' is used by more than one rule'});
+            }
+            names[rule.name] = true;
+        }
+        if (weekdayStrategyNames.indexOf(rule.strategy) < 0) {
+            problems.push({path: rulePath + '.strategy', message: describe(rule.strategy) +
+                ' is not a valid rule strategy, use one of ' + weekdayStrategyNames.join(', ')});
+            return;
+        }
+        if (rule.release !== undefined) {
+            checkRelease(problems, rulePath + '.release', Object.assign({}, settings.release, rule.release));
+        }
+        // Rule sections override the ones in the settings, and the daemon gives the date so no offset is needed
+        let section = rule[rule.strategy];
+        if (isObject(section)) {
+            section = Object.assign({offset: 0}, settings[rule.strategy], section);
+        }
+        strategyCheckers[rule.strategy](problems, rulePath + '.' + rule.strategy, section);
+    });
+}
+
+const knownSettings = ['credentials', 'hostname', 'activity', 'reasonToCancel', 'strategy', 'timeout', 'retryTimeout',
+    'retryPolicy', 'requestTimeout', 'dryRun', 'release', 'daemon', 'notifications', 'ledgerFile', 'calendar',
+    'cookieFile', 'cancellation', 'roster', 'parallelAttempts', 'upgradeTimeout',
+    'maxActiveBookings'].concat(strategyNames);
+
+/**
+ * Validate a whole settings object
+ *
+ * <p>Every problem found is reported, so that all of them can be fixed at once. No network call is made.
+ *
+ * @param {Object} settings the settings object, as loaded by settings.loadSettings.
+ * @param {Object} options optional object in format {requireStrategy: true}. If 'requireStrategy' is false,
+ * 'strategy' can be missing, e.g. for commands which do not run a strategy.
+ *
+ * Return an array of problems in format [{path: 'weekdayAndTimeOrder.weekday', message: 'text'}], empty if
+ * the settings are valid.
+ */
+function validateSettings(settings, options) {
+    options = Object.assign({requireStrategy: true}, options);
+    let problems = [];
+    if (!isObject(settings)) {
+        problems.push({path: '', message: 'expected the settings to be an object but got ' + describe(settings)});
+        return problems;
+    }
+
+    checkKeys(problems, '', settings, knownSettings);
+
+    checkCredentials(problems, 'credentials', settings.credentials);
+    checkHostname(problems, 'hostname', settings.hostname);
+    checkString(problems, 'activity', settings.activity, true);
+    checkString(problems, 'reasonToCancel', settings.reasonToCancel, true);
+    checkNumber(problems, 'timeout', settings.timeout, {min: 1, optional: true});
+    checkNumber(problems, 'retryTimeout', settings.retryTimeout, {min: 0, optional: true});
+    checkNumber(problems, 'requestTimeout', settings.requestTimeout, {min: 1, optional: true});
+    checkNumber(problems, 'parallelAttempts', settings.parallelAttempts, {min: 1, integer: true, optional: true});
+    checkNumber(problems, 'upgradeTimeout', settings.upgradeTimeout, {min: 0, optional: true});
+    checkNumber(problems, 'maxActiveBookings', settings.maxActiveBookings, {min: 1, integer: true, optional: true});
+    checkString(problems, 'ledgerFile', settings.ledgerFile, true);
+    checkString(problems, 'cookieFile', settings.cookieFile, true);
+    if (settings.dryRun !== undefined && typeof settings.dryRun !== 'boolean') {
+        problems.push({path: 'dryRun', message: 'expected true or false but got ' + describe(settings.dryRun)});
+    }
+
+    if (options.requireStrategy || settings.strategy !== undefined) {
+        if (strategyNames.indexOf(settings.strategy) < 0) {
+            problems.push({path: 'strategy', message: describe(settings.strategy) +
+                ' is not a valid strategy, use one of ' + strategyNames.join(', ')});
+        } else if (settings[settings.strategy] === undefined) {
+            problems.push({path: settings.strategy, message: 'settings of the strategy ' + settings.strategy +
+                ' are missing'});
+        }
+    }
+
+    strategyNames.forEach((strategy) => {
+        if (settings[strategy] !== undefined) {
+            strategyCheckers[strategy](problems, strategy, settings[strategy]);
+        }
+    });
+
+    if (settings.release !== undefined) {
+        checkRelease(problems, 'release', settings.release);
+    }
+    if (settings.retryPolicy !== undefined) {
+        checkRetryPolicy(problems, 'retryPolicy', settings.retryPolicy);
+    }
+    if (settings.daemon !== undefined) {
+        checkDaemon(problems, 'daemon', settings.daemon, settings);
+    }
+    if (settings.notifications !== undefined) {
+        checkNotifications(problems, 'notifications', settings.notifications);
+    }
+    if (settings.calendar !== undefined) {
+        checkCalendar(problems, 'calendar', settings.calendar);
+    }
+    if (settings.cancellation !== undefined) {
+        checkCancellation(problems, 'cancellation', settings.cancellation);
+    }
+    if (settings.roster !== undefined) {
+        checkRoster(problems, 'roster', settings.roster);
+    }
+
+    return problems;
+}
+
+/**
+ * Format validation problems to be shown
+ *
+ * @param {array} problems the problems returned by validateSettings.
+ *
+ * Return a string with one problem per line.
+ */
+function formatProblems(problems) {
+    return problems.map((problem) => (problem.path || '(settings)') + ': ' + problem.message).join('\n');
+}
+
+module.exports = {
+    validateSettings: validateSettings,
+    formatProblems: formatProblems
+}
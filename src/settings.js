@@ -0,0 +1,33 @@
+const fs = require('fs');
+const mergeJSON = require('merge-json');
+
+'use-strict';
+
+const defaultSettingsPath = 'settings/foot_booker_settings.json';
+
+const settingsAdditions = {
+    activity: 'Football',
+    timeout: 180000,
+    retryTimeout: 100,
+    cookieFile: 'settings/footbooker_cookies.json'
+};
+
+/**
+ * Load a settings file
+ *
+ * <p>Properties not in the file are set to their default values.
+ *
+ * @param {string} settingsFilePath path of the settings file, the default one if not given.
+ *
+ * Return the settings object.
+ */
+function loadSettings(settingsFilePath) {
+    let existingSettings = JSON.parse(fs.readFileSync(settingsFilePath || defaultSettingsPath));
+    // merge-json changes its first argument
+    return mergeJSON.merge(Object.assign({}, settingsAdditions), existingSettings);
+}
+
+module.exports = {
+    defaultSettingsPath: defaultSettingsPath,
+    loadSettings: loadSettings
+}
@@ -0,0 +1,1166 @@
+const async = require('async');
+const EventEmitter = require('events');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const activeBookings = require('./active-bookings.js');
+const connection = require('./connection.js');
+const credentialsLoader = require('./credentials.js');
+const errors = require('./errors.js');
+const parallelAttempts = require('./parallel-attempts.js');
+const release = require('./release.js');
+const retryPolicy = require('./retry-policy.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+const defaultActivity = 'Football';
+
+// Time in milliseconds after the first booking during which upgrades are tried, see getUpgradeOptions
+const defaultUpgradeTimeout = 30000;
+
+// Emits 'started' when a strategy starts, 'attempt' for each session it tries to book and 'booked', 'upgraded',
+// 'cancelFailed', 'timeout' or 'failed' when it finishes, see startStrategy, tryToBookGivenAvailability and
+// finishStrategy. watchOrder also emits 'booked', 'upgraded' and 'cancelFailed' while watching, see watch-order.js
+const events = new EventEmitter();
+
+/**
+ * Find the available session starting at a given date and time
+ * 
+ * @param {string} dateAndTime the date and time string. If contains no time zone, it will be considered local.
+ * @param {Object} availableSessions available sessions, in format:
+ * [{guid: 'string guid', startTime: 'start date and time in ISO'}].
+ * 
+ * Return the guid of the session, or undefined if it is not available.
+ */
+function getAvailableSessionGuid(dateAndTime, availableSessions) {
+    let isoDateAndTime = utils.localOrISOToISO(dateAndTime);
+    let guid;
+    availableSessions.forEach((availableSession) => {
+        if (new Date(availableSession.startTime).toISOString() === isoDateAndTime) {
+            guid = availableSession.guid;
+        }
+    });
+    return guid;
+}
+
+/**
+ * Send the book request of an available session
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Emits 'attempt' with {dateAndTime, guid, error, latency, rule}, 'latency' being the time in milliseconds
+ * taken by the book request.
+ * 
+ * <p>The request is not sent if it would exceed 'maxActiveBookings', see activeBookings.reserveSlot.
+ * 
+ * @param {string} isoDateAndTime start date and time of the session in ISO format.
+ * @param {string} sessionGuid guid of the session, obtained in connection.listAvailableBookings.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} run optional run of the strategy booking, see startStrategy.
+ * 
+ * Return the guid of the booking, as a string, if suceeded. Fails with a LimitReachedError if the other rules
+ * took all the slots allowed by 'maxActiveBookings'.
+ */
+function bookAvailableSession(isoDateAndTime, sessionGuid, activityId, run, callback) {
+    let count = run && run.activeBookings;
+    let rule = run && run.rule;
+    if (!activeBookings.reserveSlot(count, rule)) {
+        return process.nextTick(() => callback(new errors.LimitReachedError('Not booking ' + isoDateAndTime +
+            ', the bookings held and being booked already reach maxActiveBookings')));
+    }
+
+    let sentAt = Date.now();
+    return connection.sendBookRequest(utils.dateAndTimeOrDateToDate(isoDateAndTime), sessionGuid, activityId,
+        (err, bookedGuid) => {
+            activeBookings.releaseSlot(count, rule, !err);
+            events.emit('attempt', {
+                dateAndTime: isoDateAndTime,
+                guid: bookedGuid,
+                error: err,
+                latency: Date.now() - sentAt,
+                rule: rule
+            });
+            return callback(err, bookedGuid);
+        });
+}
+
+/**
+ * Try to book a certain date and time given a list of availability
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Emits 'attempt' with {dateAndTime, guid, error, latency}, see bookAvailableSession. 'latency' is only
+ * given if the book request was sent.
+ * 
+ * @param {string} dateAndTime the date and time string. If contains no time zone, it will be considered local.
+ * @param {Object} availableSessions available sessions for the given date, in format:
+ * [{guid: 'string guid', startTime: 'start date and time in ISO'}].
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} run optional run of the strategy booking, see startStrategy.
+ * 
+ * Return the guid, as a string, if suceeded. If the session is not available, the error is a SlotTakenError.
+ */
+function tryToBookGivenAvailability(dateAndTime, availableSessions, activityId, run, callback) {
+    let isoDateAndTime = utils.localOrISOToISO(dateAndTime);
+    let guid = getAvailableSessionGuid(isoDateAndTime, availableSessions);
+    
+    if (guid) {
+        // Session is available. Send book request.
+        return bookAvailableSession(isoDateAndTime, guid, activityId, run, callback);
+    }
+
+    // Session is not available
+    return callback(sessionNotAvailable(isoDateAndTime, isoDateAndTime, run));
+}
+
+/**
+ * Build the error of a wanted session which is not available
+ * 
+ * <p>Emits 'attempt' with {dateAndTime, error, rule}, as if the session had been tried.
+ * 
+ * @param {string} isoDateAndTime start date and time of the session, or of the time window, in ISO format.
+ * @param {string} description description of the session, e.g. the date and time or the window.
+ * @param {Object} run optional run of the strategy booking, see startStrategy.
+ * 
+ * Return the SlotTakenError.
+ */
+function sessionNotAvailable(isoDateAndTime, description, run) {
+    let err = new errors.SlotTakenError('Required session ' + description + ' is not available');
+    events.emit('attempt', {dateAndTime: isoDateAndTime, error: err, rule: run && run.rule});
+    return err;
+}
+
+/**
+ * Try to book available sessions several at a time for the run of a strategy, see parallelAttempts.tryToBook
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>The extra bookings which could not be released are kept in the run, see reportNotCancelled.
+ * 
+ * @param {array} availableSessions available sessions to book, in order of preference, in format
+ * [{guid: 'string guid', startTime: 'start date and time in ISO'}].
+ * @param {array} notAvailable errors of the wanted sessions which are not available, if any.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options {parallelAttempts, reasonToCancel, run: run of the strategy booking, see startStrategy}.
+ * 
+ * Return the guid, as a string, if suceeded.
+ */
+function tryToBookInParallel(availableSessions, notAvailable, activityId, options, callback) {
+    let bookingLambda = (isoDateAndTime, guid, callback) => {
+        return bookAvailableSession(isoDateAndTime, guid, activityId, options.run, callback);
+    };
+    return parallelAttempts.tryToBook(availableSessions, notAvailable, bookingLambda, options,
+        (err, guid, notReleased) => {
+            reportNotCancelled(options.run, notReleased);
+            return callback(err, guid);
+        });
+}
+
+/**
+ * Get the options of the booking attempts of a strategy
+ * 
+ * @param {Object} settings the settings given to the strategy.
+ * @param {Object} run the run of the strategy, see startStrategy.
+ * 
+ * Return an object in format {parallelAttempts: 1, reasonToCancel: 'Any reason', run: {...}}, see
+ * tryToBookInParallel.
+ */
+function getBookingOptions(settings, run) {
+    return {
+        parallelAttempts: settings.parallelAttempts || 1,
+        reasonToCancel: settings.reasonToCancel,
+        run: run
+    };
+}
+
+/**
+ * Find the available sessions starting inside a time window
+ * 
+ * @param {Object} window the time window, as returned by utils.getTimeWindow.
+ * @param {Object} availableSessions available sessions, as returned by connection.listAvailableBookings.
+ * @param {number} minDuration optional minimum duration of the sessions, in minutes.
+ * 
+ * Return a new array with the sessions lasting at least minDuration and starting inside the window, both ends
+ * included, earliest first.
+ */
+function getAvailableSessionsInWindow(window, availableSessions, minDuration) {
+    let start = new Date(window.start).getTime();
+    let end = new Date(window.end).getTime();
+    return availableSessions.filter((availableSession) => {
+        let time = new Date(availableSession.startTime).getTime();
+        return time >= start && time <= end && (minDuration === undefined ||
+            utils.getMinutesBetween(availableSession.startTime, availableSession.endTime) >= minDuration);
+    }).sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+/**
+ * Build the error of a time window without any available session
+ * 
+ * <p>Emits 'attempt', see sessionNotAvailable.
+ * 
+ * @param {Object} window the time window, as returned by utils.getTimeWindow.
+ * @param {number} minDuration optional minimum duration of the sessions, in minutes.
+ * @param {Object} run optional run of the strategy booking, see startStrategy.
+ * 
+ * Return the SlotTakenError.
+ */
+function windowNotAvailable(window, minDuration, run) {
+    return sessionNotAvailable(window.start,
+        (window.start === window.end ? window.start : 'between ' + window.start + ' and ' + window.end) +
+        (minDuration === undefined ? '' : ' lasting at least ' + minDuration + ' minutes'), run);
+}
+
+/**
+ * Try to book a session starting inside a time window given a list of availability
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>The sessions inside the window are tried earliest first, so a window of a single time books exactly that
+ * session, as tryToBookGivenAvailability.
+ * 
+ * @param {Object} window the time window, as returned by utils.getTimeWindow.
+ * @param {Object} availableSessions available sessions for the date of the window, as returned by
+ * connection.listAvailableBookings.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options optional {minDuration: minimum duration of the session in minutes, run: run of the
+ * strategy booking, see startStrategy}.
+ * 
+ * Return the guid, as a string, if suceeded. If no session is available inside the window, the error is a
+ * SlotTakenError, otherwise the errors of the tries are combined, see errors.combine.
+ */
+function tryToBookInWindow(window, availableSessions, activityId, options, callback) {
+    options = options || {};
+    let minDuration = options.minDuration;
+    let sessions = getAvailableSessionsInWindow(window, availableSessions, minDuration);
+    if (sessions.length === 0) {
+        return callback(windowNotAvailable(window, minDuration, options.run));
+    }
+    let book = (session, callback) => {
+        let isoDateAndTime = utils.localOrISOToISO(session.startTime);
+        return bookAvailableSession(isoDateAndTime, session.guid, activityId, options.run, callback);
+    };
+    if (sessions.length === 1) {
+        return book(sessions[0], callback);
+    }
+
+    let bookedGuid;
+    let failures = [];
+    return async.eachSeries(sessions, (session, callback) => {
+        if (bookedGuid) {
+            // Already booked
+            return callback();
+        }
+
+        return book(session, (err, guid) => {
+            if (err) {
+                // If not succeeded, try next
+                log.log('info', 'Booking for ' + session.startTime + ' failed: ' + err);
+                failures.push(err);
+                return callback();
+            }
+
+            bookedGuid = guid;
+            return callback();
+        });
+    }, () => {
+        if (!bookedGuid) {
+            return callback(errors.combine('None of the sessions between ' + window.start + ' and ' + window.end +
+                ' was successful', failures));
+        }
+
+        return callback(null, bookedGuid);
+    });
+}
+
+/**
+ * Obtain the list of available sessions and try to book
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * @param {string} dateAndTime the date and time string. If contains no time zone, it will be considered local.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} run optional run of the strategy booking, see startStrategy.
+ * 
+ * Return the guid, as a string, if suceeded.
+ */
+function checkAvailabilityAndTryToBook(dateAndTime, activityId, run, callback) {
+    let isoDateString = utils.dateAndTimeOrDateToDate(dateAndTime);
+    return async.waterfall([
+        (callback) => {
+            return connection.listAvailableBookings(isoDateString, activityId, callback);
+        },
+        (availableSessions, callback) => {
+            return tryToBookGivenAvailability(dateAndTime, availableSessions, activityId, run, callback);
+        }
+    ], callback);
+}
+
+/**
+ * Try to book in order for the give dates and time until sucess or tried all
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Should be used in strategy 'dateAndTimeOrder'.
+ * 
+ * <p>With 'parallelAttempts' above 1, the availability of every date is listed first and the book requests are sent
+ * several at a time, see tryToBookInOrderListingOnce.
+ * 
+ * @param {array} dateAndTimeBookingPreference array of strings of the date and time to book, in order of preference.
+ * If contains no time zone, it will be considered local.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options optional {parallelAttempts, reasonToCancel, run}, see tryToBookInParallel.
+ * 
+ * Return the guid, as a string, if suceeded. Otherwise the errors of the tries are combined, see errors.combine.
+ */
+function tryToBookInOrder(dateAndTimeBookingPreference, activityId, options, callback) {
+    if (options && options.parallelAttempts > 1) {
+        return tryToBookInOrderListingOnce(dateAndTimeBookingPreference, activityId, options, callback);
+    }
+
+    let bookedGuid;
+    let failures = [];
+    return async.eachSeries(dateAndTimeBookingPreference, (dateAndTime, callback) => {
+        if (bookedGuid) {
+            // Already booked
+            return callback();
+        }
+
+        return checkAvailabilityAndTryToBook(dateAndTime, activityId, options && options.run, (err, guid) => {
+            if (err) {
+                // If not succeeded, try next
+                log.log('info', 'Booking for ' + dateAndTime + ' failed: ' + err);
+                failures.push(err);
+                return callback();
+            }
+
+            bookedGuid = guid;
+            log.log('info', 'Booking for ' + dateAndTime + ' succeeded: ' + guid);
+            return callback();
+        });
+    }, (err) => {
+        if (err) {
+            // Should never happen here since errors in partial functions are ignored
+            log.log('error', err);
+            return callback(err);
+        }
+
+        if (!bookedGuid) {
+            // Passed by all tries but none was successful
+            return callback(errors.combine('None of the bookings was successful', failures));
+        }
+
+        return callback(null, bookedGuid);
+    });
+}
+
+/**
+ * Try to book in order for the given dates and times, listing the availability of each date only once
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Should be used when checking the availability often, e.g. in strategy 'watchOrder', so that a single request
+ * per date is sent whatever the number of times wanted in that date.
+ * 
+ * <p>With 'parallelAttempts' above 1, the available sessions are tried several at a time, see tryToBookInParallel.
+ * 
+ * <p>A date which cannot be listed, e.g. not open yet, only fails its own preferences, the other dates are still
+ * tried.
+ * 
+ * @param {array} dateAndTimeBookingPreference array of strings of the date and time to book, in order of preference.
+ * If contains no time zone, it will be considered local.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options optional {parallelAttempts, reasonToCancel, run}, see tryToBookInParallel.
+ * 
+ * Return the guid, as a string, if suceeded. Otherwise the errors of the tries, and of the listings, are combined,
+ * see errors.combine.
+ */
+function tryToBookInOrderListingOnce(dateAndTimeBookingPreference, activityId, options, callback) {
+    let run = options && options.run;
+    let dates = dateAndTimeBookingPreference.map((dateAndTime) => utils.dateAndTimeOrDateToDate(dateAndTime));
+    dates = dates.filter((date, index) => dates.indexOf(date) === index);
+    return async.waterfall([
+        (callback) => {
+            return async.mapSeries(dates, (date, callback) => {
+                return connection.listAvailableBookings(date, activityId, (err, availableSessions) => {
+                    if (err) {
+                        // The other dates are still tried, e.g. when only this one is not open yet
+                        log.log('info', 'Listing sessions for ' + date + ' failed: ' + err);
+                    }
+                    return callback(null, {error: err, availableSessions: availableSessions});
+                });
+            }, (err, listings) => {
+                let failures = listings.filter((listing) => listing.error).map((listing) => listing.error);
+                if (failures.length === listings.length) {
+                    return callback(errors.combine('None of the dates could be listed', failures));
+                }
+                return callback(null, listings);
+            });
+        },
+        (listings, callback) => {
+            let getListing = (dateAndTime) => {
+                return listings[dates.indexOf(utils.dateAndTimeOrDateToDate(dateAndTime))];
+            };
+            if (options && options.parallelAttempts > 1) {
+                let sessions = [];
+                let notAvailable = [];
+                dateAndTimeBookingPreference.forEach((dateAndTime) => {
+                    let isoDateAndTime = utils.localOrISOToISO(dateAndTime);
+                    let listing = getListing(dateAndTime);
+                    if (listing.error) {
+                        notAvailable.push(listing.error);
+                        return;
+                    }
+
+                    let guid = getAvailableSessionGuid(isoDateAndTime, listing.availableSessions);
+                    if (guid) {
+                        sessions.push({guid: guid, startTime: isoDateAndTime});
+                    } else {
+                        notAvailable.push(sessionNotAvailable(isoDateAndTime, isoDateAndTime, run));
+                    }
+                });
+                return tryToBookInParallel(sessions, notAvailable, activityId, options, callback);
+            }
+
+            let bookedGuid;
+            let failures = [];
+            return async.eachSeries(dateAndTimeBookingPreference, (dateAndTime, callback) => {
+                if (bookedGuid) {
+                    // Already booked
+                    return callback();
+                }
+
+                let listing = getListing(dateAndTime);
+                if (listing.error) {
+                    failures.push(listing.error);
+                    return callback();
+                }
+
+                return tryToBookGivenAvailability(dateAndTime, listing.availableSessions, activityId, run,
+                    (err, guid) => {
+                        if (err) {
+                            // If not succeeded, try next
+                            failures.push(err);
+                            return callback();
+                        }
+
+                        bookedGuid = guid;
+                        log.log('info', 'Booking for ' + dateAndTime + ' succeeded: ' + guid);
+                        return callback();
+                    });
+            }, () => {
+                if (!bookedGuid) {
+                    return callback(errors.combine('None of the bookings was successful', failures));
+                }
+
+                return callback(null, bookedGuid);
+            });
+        }
+    ], callback);
+}
+
+/**
+ * Try to book in order for the given date and in the given time order until sucess or tried all
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>A preference can be a time window, any session starting inside it is booked, see tryToBookInWindow.
+ * 
+ * <p>With 'parallelAttempts' above 1, the available sessions of all the preferences, in order, are tried several
+ * at a time, see tryToBookInParallel.
+ * 
+ * @param {string} dateString date string. If no time zone is provided, it is considered as local.
+ * @param {array} timeBookingPreference array of strings with time or time window of booking, see utils.getTimeWindow.
+ * If no time zone, it is considered as local. e.g. ["20:00", "19:00-21:30", "18:00Z"].
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options optional {minDuration, run, parallelAttempts, reasonToCancel}, see tryToBookInWindow and
+ * tryToBookInParallel.
+ * 
+ * Return the guid, as a string, if suceeded. Otherwise the errors of the tries are combined, see errors.combine.
+ */
+function tryToBookInOrderSameDate(dateString, timeBookingPreference, activityId, options, callback) {
+    let isoDateString = utils.dateAndTimeOrDateToDate(dateString);
+    return async.waterfall([
+        (callback) => {
+            return connection.listAvailableBookings(isoDateString, activityId, callback);
+        },
+        (availableSessions, callback) => {
+            if (options && options.parallelAttempts > 1) {
+                return tryToBookInOrderSameDateInParallel(isoDateString, timeBookingPreference, availableSessions,
+                    activityId, options, callback);
+            }
+
+            let bookedGuid;
+            let failures = [];
+            return async.eachSeries(timeBookingPreference, (time, callback) => {
+                if (bookedGuid) {
+                    // Already booked
+                    return callback();
+                }
+
+                let window = utils.getTimeWindow(isoDateString, time);
+                let description = window.start === window.end ? window.start : window.start + ' - ' + window.end;
+                log.log('info', 'Trying to book at ' + description);
+                return tryToBookInWindow(window, availableSessions, activityId, options, (err, guid) => {
+                    if (err) {
+                        // If not succeeded, try next
+                        log.log('info', 'Booking for ' + description + ' failed: ' + err);
+                        failures.push(err);
+                        return callback();
+                    }
+
+                    bookedGuid = guid;
+                    log.log('info', 'Booking for ' + description + ' succeeded: ' + guid);
+                    return callback();
+                });
+            }, (err) => {
+                if (err) {
+                    // Should never happen here since errors in partial functions are ignored
+                    log.log('error', err);
+                    return callback(err);
+                }
+        
+                if (!bookedGuid) {
+                    // Passed by all tries but none was successful
+                    return callback(errors.combine('None of the bookings was successful', failures));
+                }
+        
+                return callback(null, bookedGuid);
+            });
+        }
+    ], callback);
+}
+
+/**
+ * Try to book the available sessions of a date in the given time order, several at a time
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * @param {string} isoDateString date string in ISO format.
+ * @param {array} timeBookingPreference array of strings with time or time window of booking, see
+ * tryToBookInOrderSameDate.
+ * @param {Object} availableSessions available sessions for the date, as returned by
+ * connection.listAvailableBookings.
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options {minDuration, run, parallelAttempts, reasonToCancel}, see tryToBookInOrderSameDate.
+ * 
+ * Return the guid, as a string, if suceeded. Otherwise the errors of the tries are combined, see errors.combine.
+ */
+function tryToBookInOrderSameDateInParallel(isoDateString, timeBookingPreference, availableSessions, activityId,
+    options, callback) {
+    let sessions = [];
+    let notAvailable = [];
+    timeBookingPreference.forEach((time) => {
+        let window = utils.getTimeWindow(isoDateString, time);
+        let sessionsInWindow = getAvailableSessionsInWindow(window, availableSessions, options.minDuration);
+        if (sessionsInWindow.length === 0) {
+            notAvailable.push(windowNotAvailable(window, options.minDuration, options.run));
+        }
+        sessionsInWindow.forEach((session) => {
+            // A session can be inside several windows, it is tried with the first one
+            if (!sessions.some((added) => added.guid === session.guid)) {
+                sessions.push(session);
+            }
+        });
+    });
+    return tryToBookInParallel(sessions, notAvailable, activityId, options, callback);
+}
+
+/**
+ * Try to book in order for the next occurence of the weekday and in the given time order until sucess or tried all
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>Weekday is obtained with the offset minimum days in the future.
+ * 
+ * <p>Should be used in strategy 'weekdayAndTimeOrder'.
+ * 
+ * @param {number|string} weekday the day of the week (0 = Sunday, 6 = Monday), either a string or number.
+ * @param {number} offset the number of days from now to be disconsidered. For instance, if today is Sunday, requesting
+ * 'Wednesday' with offset 2 will return next Wednesday, with offset 5, the one in the next week.
+ * @param {array} timeBookingPreference array of strings with time or time window of booking, see
+ * tryToBookInOrderSameDate. e.g. ["20:00", "19:00-21:30", "18:00Z"].
+ * @param {string} activityId id of the activity to book.
+ * @param {Object} options optional {minDuration, run}, see tryToBookInWindow.
+ * 
+ * Return the guid, as a string, if suceeded.
+ */
+function tryToBookInOrderWeekday(weekday, offset, timeBookingPreference, activityId, options, callback) {
+    let dateString = utils.getNextDateForWeekday(weekday, offset);
+    log.log('info', 'Trying to book for weekday ' + weekday + ' which date is ' + dateString);
+    return tryToBookInOrderSameDate(dateString, timeBookingPreference, activityId, options, callback);
+}
+
+/**
+ * Cancel all the given bookings
+ * 
+ * <p>Failures do not stop the others, so that every booking gets a chance to be cancelled.
+ * 
+ * @param {array} bookings the bookings, in format [{Guid: 'guid', StartDateTime: 'ISO date and time'}].
+ * @param {string} reasonToCancel any reason why cancelling.
+ * 
+ * Return the bookings which could not be cancelled, in the same format.
+ */
+function cancelBookings(bookings, reasonToCancel, callback) {
+    let notCancelled = [];
+    return async.eachSeries(bookings, (booking, callback) => {
+        return connection.cancelBooking(booking.Guid, reasonToCancel, (err) => {
+            if (err) {
+                log.log('warn', 'Could not cancel booking ' + booking.Guid + ': ' + err);
+                notCancelled.push(booking);
+            } else {
+                log.log('info', 'Booking ' + booking.Guid + ' cancelled');
+            }
+            return callback();
+        });
+    }, () => callback(null, notCancelled));
+}
+
+/**
+ * Keep the bookings a strategy could not cancel, to be reported when it finishes
+ * 
+ * <p>They are held by the account until cancelled manually, so they count against 'maxActiveBookings' for the
+ * rest of the run, see activeBookings.hasSlot.
+ * 
+ * @param {Object} run optional run of the strategy, see createRun.
+ * @param {array} notCancelled the bookings, as returned by cancelBookings.
+ */
+function reportNotCancelled(run, notCancelled) {
+    notCancelled.forEach((booking) => {
+        log.log('warn', 'Booking ' + booking.Guid + ' at ' + booking.StartDateTime + ' left behind, please cancel ' +
+            'it manually');
+    });
+    if (run) {
+        run.notCancelled = run.notCancelled.concat(notCancelled);
+        if (activeBookings.isLimited(run.activeBookings)) {
+            run.activeBookings.held += notCancelled.length;
+        }
+    }
+}
+
+/**
+ * Keep trying to book until success
+ * 
+ * <p>It is required to be loged in.
+ * 
+ * <p>What happens on failure depends on the kind of the error, see errors.js:
+ * <ul>
+ *     <li>NotYetOpen: retried at the base interval of the retry policy, to book as soon as the sessions open.</li>
+ *     <li>InvalidParameters and AuthFailed: retrying would fail the same way, so it stops with the error.</li>
+ *     <li>LimitReached: the other rules took the slots of 'maxActiveBookings', so it stops with the error.</li>
+ *     <li>Any other: retried backing off, in case a session is freed or the site recovers.</li>
+ * </ul>
+ * 
+ * @param {function} bookingLambda lambda function used to book. It should receive only a callback and return the guid.
+ * @param {function} schedule function receiving the error of the last try and returning the time in milliseconds
+ * until the next one, or undefined to give up, see retryPolicy.createSchedule.
+ * @param {number} deadline optional time in milliseconds after which no more tries are made.
+ * 
+ * Return the guid, as a string, if suceeded.
+ */
+function keepTryingToBook(bookingLambda, schedule, deadline, callback) {
+    log.log('info', 'Starting loop to keep trying to book');
+    let bookedGuid;
+    let lastError;
+    let tries = 0;
+    async.whilst(() => {
+        return !bookedGuid;
+    }, (callback) => {
+        let timeout = schedule(lastError);
+        if (timeout === undefined) {
+            return callback(errors.combine('Gave up after ' + tries + ' tries', lastError ? [lastError] : []));
+        }
+        if (deadline && Date.now() + timeout > deadline) {
+            // Of the kind of the last failure, e.g. SlotTaken if the sessions were all taken
+            let err = errors.combine('Timed out before being able to make a booking', lastError ? [lastError] : []);
+            err.timedOut = true;
+            return callback(err);
+        }
+
+        setTimeout(() => {
+            tries++;
+            return bookingLambda((err, guid) => {
+                if (err) {
+                    lastError = err;
+                    let kind = errors.kindOf(err);
+                    if (kind === errors.kinds.InvalidParameters || kind === errors.kinds.AuthFailed ||
+                        kind === errors.kinds.LimitReached) {
+                        log.log('error', 'Giving up, retrying would fail the same way: ' + err.message);
+                        return callback(err);
+                    }
+
+                    // Retry
+                    log.log('warn', err);
+                    return callback();
+                }
+    
+                bookedGuid = guid;
+                return callback();
+            });
+        }, timeout);
+    }, (err) => {
+        if (err) {
+            // Only happens when the deadline or the maximum of tries is reached, or retrying is useless
+            return callback(err);
+        }
+
+        return callback(null, bookedGuid);
+    });
+}
+
+/**
+ * Keep trying to rebook a better spot, cancelling the previous one each time
+ * 
+ * <p>Each step is safe: the better spot is booked first and only then the previous one is cancelled, so a spot is
+ * always held. Upgrading goes on, only trying the spots more prioritized than the one held, until the top choice
+ * is held, the next try would be after the deadline or the schedule allows no more tries.
+ * 
+ * @param {function} bookingLambda function receiving the information of the booking held and a callback, used to
+ * book a better spot than it.
+ * @param {Object} bookingInformation information of the already booked session, as returned by
+ * connection.queryBookInformation.
+ * @param {Object} options object in format {reasonToCancel: 'Any reason', isTopChoice: function receiving the
+ * information of the booking held and returning true if there is nothing better, schedule: function as given to
+ * keepTryingToBook, deadline: time in milliseconds after which no more tries are made}, see getUpgradeOptions.
+ * @param {Object} rebooking object where, if a better spot is booked, 'previousBooking' is set to the
+ * information of the first booked session and 'cancelled' to whether the replaced ones could be cancelled. If one
+ * could not, 'previousBooking' is set to it instead.
+ * 
+ * Return the guid, as a string, of the best booking held.
+ */
+function tryToRebookBetterOne(bookingLambda, bookingInformation, options, rebooking, callback) {
+    let held = bookingInformation;
+    let lastError;
+    let tries = 0;
+    let stopped = false;
+
+    let replace = (guid, information, callback) => {
+        let previous = held;
+        held = information;
+        return connection.cancelBooking(previous.Guid, options.reasonToCancel, (err) => {
+            if (err) {
+                // Just keep both bookings and go on with the best one
+                log.log('warn', 'Better spot booked but could not cancel previous one ' + previous.Guid +
+                    ', please cancel manually');
+                rebooking.previousBooking = previous;
+                rebooking.cancelled = false;
+                return callback();
+            }
+
+            log.log('info', 'Better spot booked successfully: ' + guid + ', ' + previous.Guid + ' cancelled');
+            if (rebooking.cancelled !== false) {
+                rebooking.previousBooking = rebooking.previousBooking || previous;
+                rebooking.cancelled = true;
+            }
+            return callback();
+        });
+    };
+
+    return async.whilst(() => {
+        return !stopped && !options.isTopChoice(held);
+    }, (callback) => {
+        let timeout = tries === 0 ? 0 : options.schedule(lastError);
+        if (timeout === undefined || (options.deadline && Date.now() + timeout > options.deadline)) {
+            stopped = true;
+            return callback();
+        }
+
+        return setTimeout(() => {
+            tries++;
+            log.log('info', 'Trying to book a better spot than ' + held.StartDateTime);
+            return bookingLambda(held, (err, guid) => {
+                if (err) {
+                    lastError = err;
+                    let kind = errors.kindOf(err);
+                    stopped = kind === errors.kinds.InvalidParameters || kind === errors.kinds.AuthFailed;
+                    return callback();
+                }
+
+                lastError = undefined;
+                return connection.queryBookInformation(guid, (err, information) => {
+                    if (err) {
+                        // Without its start, nothing better can be found, but the previous one is still replaced
+                        log.log('warn', 'Could not get the information of booking ' + guid + ': ' + err);
+                        stopped = true;
+                    }
+                    return replace(guid, information || {Guid: guid}, callback);
+                });
+            });
+        }, timeout);
+    }, () => {
+        if (held === bookingInformation) {
+            log.log('info', 'Could not book a better spot, keeping the previous one');
+        }
+        return callback(null, held.Guid);
+    });
+}
+
+/**
+ * Get the options of the upgrades of a strategy, see tryToRebookBetterOne
+ * 
+ * <p>Upgrades are tried for 'upgradeTimeout' milliseconds after the first booking, 30 seconds by default, following
+ * the retry policy, and never after the deadline of the strategy. 0 makes a single try. In a dry run, a single try
+ * is made.
+ * 
+ * @param {Object} settings the settings given to the strategy.
+ * @param {number} deadline optional deadline of the strategy, in milliseconds.
+ * @param {function} isTopChoice function receiving the information of the booking held and returning true if there
+ * is nothing better.
+ * 
+ * Return the options to be given to tryToRebookBetterOne.
+ */
+function getUpgradeOptions(settings, deadline, isTopChoice) {
+    let upgradeTimeout = settings.upgradeTimeout === undefined ? defaultUpgradeTimeout : settings.upgradeTimeout;
+    let upgradeDeadline = Date.now() + upgradeTimeout;
+    return {
+        reasonToCancel: settings.reasonToCancel,
+        isTopChoice: isTopChoice,
+        schedule: settings.dryRun ? () => undefined : retryPolicy.createSchedule(settings),
+        deadline: deadline ? Math.min(deadline, upgradeDeadline) : upgradeDeadline
+    };
+}
+
+/**
+ * Find the upcoming booking already held which best matches the preferences of a strategy
+ * 
+ * <p>Guards against booking twice, e.g. when cron fires twice or the strategy is run again after a crash. The
+ * upcoming bookings of the activity are checked against the preferences and the best one matching is returned,
+ * so that the strategy goes straight to upgrading it. If none matches and 'maxActiveBookings' is set, nothing more
+ * is booked once the account holds that many upcoming bookings, whatever their activity. The count goes on while
+ * the strategy runs, shared by the rules of multiWeekdayOrder, see activeBookings.reserveSlot.
+ * 
+ * @param {Object} settings the settings given to the strategy.
+ * @param {Object} run the run of the strategy, counting its bookings, see startStrategy.
+ * @param {function} rank function receiving a booking, in the format returned by connection.listBookedSessions,
+ * and the upcoming bookings of the activity, and returning the position of the booking in the preferences, lower
+ * being better, or undefined if it does not match them.
+ * 
+ * Return the best booking matching, in the format returned by connection.listBookedSessions, or undefined if there
+ * is none, and the upcoming bookings of the activity. Fails with a LimitReachedError if no booking matches and the
+ * account already holds 'maxActiveBookings' upcoming bookings.
+ */
+function findHeldBooking(settings, run, rank, callback) {
+    return connection.listBookedSessions((err, bookings) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let activity = settings.activity || defaultActivity;
+        let upcoming = bookings.filter((booking) => new Date(booking.StartDateTime).getTime() > Date.now());
+        let upcomingOfActivity = upcoming.filter((booking) => utils.isSameActivity(booking.ActivityName, activity));
+        let held = upcomingOfActivity.filter((booking) => {
+            return rank(booking, upcomingOfActivity) !== undefined;
+        }).sort((a, b) => rank(a, upcomingOfActivity) - rank(b, upcomingOfActivity))[0];
+        if (!run.activeBookings.started) {
+            // The rules of multiWeekdayOrder share the count started by the first one listing
+            activeBookings.limit(run.activeBookings, settings.maxActiveBookings, upcoming.length);
+        }
+        if (held) {
+            log.log('info', 'Already holding ' + held.Guid + ' at ' + held.StartDateTime + ', not booking again');
+            activeBookings.assignHeldBooking(run.activeBookings, run.rule);
+            return callback(null, held, upcomingOfActivity);
+        }
+
+        if (!activeBookings.hasSlot(run.activeBookings, run.rule)) {
+            return callback(new errors.LimitReachedError('Already holding or booking ' + settings.maxActiveBookings +
+                ' upcoming bookings, the most allowed by maxActiveBookings'));
+        }
+        return callback(null, undefined, upcomingOfActivity);
+    });
+}
+
+/**
+ * Get the position of a booking in a list of preferences
+ * 
+ * @param {array} morePrioritized the preferences more prioritized than the booking, see
+ * utils.getMorePrioritizedDateAndTime and utils.getMorePrioritizedTime.
+ * @param {array} preferences all the preferences.
+ * 
+ * Return 0 for the first preference, 1 for the second one and so on, or undefined if the booking is in none.
+ */
+function getPreferenceRank(morePrioritized, preferences) {
+    return morePrioritized.length < preferences.length ? morePrioritized.length : undefined;
+}
+
+/**
+ * Check whether a date and time is on a date
+ * 
+ * <p>The date is taken the way the times of the preferences are added to it, see utils.datePlusTimeToDateAndTime.
+ * 
+ * @param {string} dateAndTime date and time string, e.g. the start of a booking.
+ * @param {string} dateString date string in ISO format, as returned by utils.getNextDateForWeekday.
+ * 
+ * Return true if both are on the same local date.
+ */
+function isOnDate(dateAndTime, dateString) {
+    return new Date(dateAndTime).toDateString() === new Date(dateString).toDateString();
+}
+
+/**
+ * Get the date a weekday strategy is going to book
+ * 
+ * @param {Object} weekdaySettings the settings of the strategy, e.g. settings.weekdayAndTimeOrder.
+ * @param {Object} releaseSettings optional release settings.
+ * 
+ * Return the date string in ISO format: the fixed 'date' if given, otherwise the date opened by the next release
+ * if it is the weekday, or else the one given by the offset.
+ */
+function getTargetDate(weekdaySettings, releaseSettings) {
+    return getFixedDate(weekdaySettings) ||
+        (releaseSettings && release.getNextReleasedDateForWeekday(weekdaySettings.weekday, releaseSettings)) ||
+        utils.getNextDateForWeekday(weekdaySettings.weekday, weekdaySettings.offset);
+}
+
+/**
+ * Get the release instant a weekday strategy waits for
+ * 
+ * @param {string} releasedDate the date the strategy books, the one opened by the next release or the fixed one,
+ * see release.getNextReleasedDateForWeekday and getFixedDate, or undefined if the next release opens another
+ * weekday.
+ * @param {number|string} weekday the weekday of the strategy.
+ * @param {Object} releaseSettings release settings.
+ * 
+ * Return the release instant as a Date, or undefined if there is no release to wait for, in which case the date
+ * is found with the offset instead.
+ */
+function getReleaseInstantOrWarn(releasedDate, weekday, releaseSettings) {
+    if (!releasedDate) {
+        log.log('warn', 'Next release does not open a ' + weekday + ', using the offset to find the date instead');
+        return undefined;
+    }
+    return release.getNextReleaseInstantForDates([releasedDate], releaseSettings);
+}
+
+/**
+ * Get the date fixed in the settings of a weekday strategy
+ * 
+ * <p>When 'date' is given, e.g. by the daemon, it is booked instead of finding the date from the weekday.
+ * 
+ * @param {Object} weekdaySettings the settings of the strategy, e.g. settings.weekdayAndTimeOrder.
+ * 
+ * Return the date string in ISO format, or undefined if no date is given.
+ */
+function getFixedDate(weekdaySettings) {
+    if (!weekdaySettings.date) {
+        return undefined;
+    }
+    return utils.dateAndTimeOrDateToDate(weekdaySettings.date);
+}
+
+/**
+ * Wait for the release, if any, and build the schedule of the tries
+ * 
+ * <p>In a dry run, the release is not waited for and a single try is made, to see what would be booked given
+ * the current availability.
+ * 
+ * @param {Object} settings the settings given to the strategy.
+ * @param {function} getReleaseInstant function returning the release instant to wait for, see
+ * release.waitForRelease.
+ * 
+ * Return the schedule to be given to keepTryingToBook.
+ */
+function waitForRelease(settings, getReleaseInstant, callback) {
+    if (settings.dryRun) {
+        if (settings.release) {
+            // Still finds the date the release would open
+            getReleaseInstant();
+        }
+        log.log('info', 'Dry run: not waiting for the release, trying once');
+        return callback(null, (err) => err ? undefined : 0);
+    }
+
+    return release.waitForRelease(settings.release, getReleaseInstant, (err, releaseInstant) => {
+        return callback(err, retryPolicy.createSchedule(settings, releaseInstant));
+    });
+}
+
+/**
+ * Set up the connection with the settings of a strategy
+ * 
+ * <p>If 'cookieFile' is set in the settings, the session is kept in that file, see connection.useCookieFile.
+ * 'requestTimeout' sets the time after which a request is given up, see connection.setRequestTimeout. If
+ * 'dryRun' is true, bookings and cancellations are only simulated, see connection.setDryRun.
+ * 
+ * @param {Object} settings the settings given to the strategy.
+ */
+function setUpConnection(settings) {
+    connection.setHostname(settings.hostname);
+    connection.setRequestTimeout(settings.requestTimeout);
+    connection.setDryRun(settings.dryRun);
+    if (settings.cookieFile) {
+        connection.useCookieFile(settings.cookieFile);
+    }
+}
+
+/**
+ * Create the run of a strategy
+ * 
+ * <p>The state of a run lives as long as the strategy runs, so that nothing is shared between the strategies run
+ * one after the other in the same process, e.g. by the daemon.
+ * 
+ * @param {string} strategy name of the strategy.
+ * @param {string} rule optional name of the multiWeekdayOrder rule being booked.
+ * @param {Object} parentRun optional run the strategy is part of, e.g. the one of multiWeekdayOrder.
+ * 
+ * Return the run in format {strategy, rule, activeBookings, notCancelled}, the count of 'maxActiveBookings' being
+ * the one of the parent run if any, see activeBookings.create, and 'notCancelled' the bookings the strategy could
+ * not cancel, see reportNotCancelled.
+ */
+function createRun(strategy, rule, parentRun) {
+    return {
+        strategy: strategy,
+        rule: rule,
+        activeBookings: parentRun ? parentRun.activeBookings : activeBookings.create(),
+        notCancelled: []
+    };
+}
+
+/**
+ * Start a strategy
+ * 
+ * <p>Emits 'started' with {strategy, activity, preferences, dryRun, rule}, 'preferences' being the settings of the
+ * strategy and 'rule' the name of the multiWeekdayOrder rule being booked, if any.
+ * 
+ * <p>The connection is set up with the settings, see setUpConnection, unless the strategy is part of another run
+ * which already did it, e.g. so that the rules of multiWeekdayOrder do not reload the cookie file while the others
+ * are booking.
+ * 
+ * @param {string} strategy name of the strategy.
+ * @param {Object} settings the settings given to the strategy.
+ * @param {Object} parentRun optional run the strategy is part of, see createRun.
+ * 
+ * Return the run of the strategy, see createRun.
+ */
+function startStrategy(strategy, settings, parentRun) {
+    log.log('info', 'Starting strategy ' + strategy);
+    if (!parentRun) {
+        setUpConnection(settings);
+    }
+    let run = createRun(strategy, settings.rule, parentRun);
+    events.emit('started', {
+        strategy: strategy,
+        activity: settings.activity || defaultActivity,
+        preferences: settings[strategy],
+        dryRun: !!settings.dryRun,
+        rule: settings.rule
+    });
+    return run;
+}
+
+/**
+ * Build the final callback of a strategy
+ * 
+ * <p>The result or the error is logged, emitted as one of the events below and then passed to the given callback,
+ * if any. All of them also have the 'rule' given, if any:
+ * <ul>
+ *     <li>booked: with {strategy, booking, alreadyHeld, stoppedWatching}, 'alreadyHeld' being true if the booking
+ *     was already held before the strategy started, see findHeldBooking, and 'stoppedWatching' true if watchOrder
+ *     stopped watching, its bookings having been emitted as they were made.</li>
+ *     <li>upgraded: a better spot was booked and the previous one cancelled, with {strategy, booking,
+ *     previousBooking}.</li>
+ *     <li>cancelFailed: a better spot was booked but the previous one could not be cancelled, with {strategy,
+ *     booking, previousBooking}.</li>
+ *     <li>timeout: the strategy timed out before booking, with {strategy, error}.</li>
+ *     <li>failed: any other error, with {strategy, error}.</li>
+ * </ul>
+ * 
+ * <p>If the strategy left bookings it could not cancel, e.g. the sessions of a block partially booked, 'cancelFailed'
+ * is emitted instead, with the details of the event above and 'notCancelled', the bookings to cancel manually, see
+ * reportNotCancelled. They are also given in the 'NotCancelled' of the result or the 'notCancelled' of the error.
+ * 
+ * @param {Object} run the run of the strategy, see startStrategy.
+ * @param {function} callback optional callback of the strategy.
+ * @param {Object} rebooking optional object filled by tryToRebookBetterOne, with 'alreadyHeld' set to true if the
+ * first booking was already held, or 'stoppedWatching' set to true by watchOrder.
+ * 
+ * Return the function to be used as the final callback of the strategy.
+ */
+function finishStrategy(run, callback, rebooking) {
+    return (err, result) => {
+        let event;
+        let details = {strategy: run.strategy, rule: run.rule};
+        if (err) {
+            log.log('error', err);
+            event = err.timedOut ? 'timeout' : 'failed';
+            details.error = err;
+        } else if (rebooking && rebooking.previousBooking) {
+            event = rebooking.cancelled ? 'upgraded' : 'cancelFailed';
+            details.booking = result;
+            details.previousBooking = rebooking.previousBooking;
+        } else {
+            event = 'booked';
+            details.booking = result;
+            details.alreadyHeld = rebooking && rebooking.alreadyHeld;
+            details.stoppedWatching = rebooking && rebooking.stoppedWatching;
+        }
+
+        if (run.notCancelled.length) {
+            if (event === 'upgraded') {
+                // Only the bookings left behind are to be cancelled
+                delete details.previousBooking;
+            }
+            event = 'cancelFailed';
+            details.notCancelled = run.notCancelled;
+            if (err) {
+                err.notCancelled = run.notCancelled;
+            } else {
+                result.NotCancelled = run.notCancelled;
+            }
+        }
+        if (!err) {
+            log.log('info', 'Result: ' + JSON.stringify(result));
+        }
+        events.emit(event, details);
+
+        if (callback) {
+            return callback(err, result);
+        }
+    };
+}
+
+/**
+ * Log in with the credentials of the settings
+ * 
+ * <p>The session of a previous run is reused if still valid, see connection.ensureLoggedIn.
+ * 
+ * @param {Object} credentials the credentials, given directly or referenced from their sources.
+ * See credentials.resolveCredentials.
+ * @param {function} callback function with params (err).
+ */
+function login(credentials, callback) {
+    return credentialsLoader.resolveCredentials(credentials, (err, resolved) => {
+        if (err) {
+            return callback(err);
+        }
+        return connection.ensureLoggedIn(resolved.login, resolved.password, callback);
+    });
+}
+
+module.exports = {
+    defaultActivity: defaultActivity,
+    events: events,
+    getAvailableSessionGuid: getAvailableSessionGuid,
+    tryToBookGivenAvailability: tryToBookGivenAvailability,
+    tryToBookInParallel: tryToBookInParallel,
+    getBookingOptions: getBookingOptions,
+    tryToBookInOrder: tryToBookInOrder,
+    tryToBookInOrderListingOnce: tryToBookInOrderListingOnce,
+    tryToBookInOrderSameDate: tryToBookInOrderSameDate,
+    tryToBookInOrderWeekday: tryToBookInOrderWeekday,
+    cancelBookings: cancelBookings,
+    reportNotCancelled: reportNotCancelled,
+    keepTryingToBook: keepTryingToBook,
+    tryToRebookBetterOne: tryToRebookBetterOne,
+    getUpgradeOptions: getUpgradeOptions,
+    findHeldBooking: findHeldBooking,
+    getPreferenceRank: getPreferenceRank,
+    isOnDate: isOnDate,
+    getTargetDate: getTargetDate,
+    getReleaseInstantOrWarn: getReleaseInstantOrWarn,
+    getFixedDate: getFixedDate,
+    waitForRelease: waitForRelease,
+    setUpConnection: setUpConnection,
+    createRun: createRun,
+    startStrategy: startStrategy,
+    finishStrategy: finishStrategy,
+    login: login
+}
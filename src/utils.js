@@ -1,5 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+
 'use-strict';
 
+// Two times separated by '-', e.g. '19:00-21:30' or '18:00Z-20:00Z'
+const timeWindowPattern = /^(\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:?\d{2})?)-(\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:?\d{2})?)$/;
+
 /**
  * Convert to date in ISO format
  * 
@@ -65,14 +71,74 @@ function datePlusTimeToDateAndTime(dateString, timeString) {
 }
 
 /**
- * Get the next requested weekday considering the given offset
+ * Add minutes to a date and time
  * 
- * @param {number|string} weekday the day of the week (0 = Sunday, 6 = Monday), either a string or number.
- * @param {number} offset number of days to disconsider since 'now'.
+ * @param {string} dateAndTime date and time string. If no time zone information is provided, it is considered local.
+ * @param {number} minutes number of minutes to add, can be negative.
  * 
- * Return the date string, in ISO format, of the next weekday.
+ * Return the resulting date and time in ISO format.
  */
-function getNextDateForWeekday(weekday, offset) {
+function addMinutes(dateAndTime, minutes) {
+    let date = new Date(dateAndTime);
+    return new Date(date.getTime() + minutes * 60000).toISOString();
+}
+
+/**
+ * Get the start and end of a time window in the date of a given date and time
+ * 
+ * @param {string} dateAndTime date and time string. If no time zone information is provided, it is considered local.
+ * @param {string} timeWindow a time like '20:00', or a window like '19:00-21:30'. If no time zone, the times are
+ * considered local.
+ * 
+ * Return an object in format {start: 'ISO date and time', end: 'ISO date and time'}, both the same for a single time.
+ */
+function getTimeWindow(dateAndTime, timeWindow) {
+    let bounds = timeWindowPattern.exec(timeWindow);
+    let start = bounds ? bounds[1] : timeWindow;
+    let end = bounds ? bounds[2] : timeWindow;
+    return {
+        start: datePlusTimeToDateAndTime(dateAndTime, start),
+        end: datePlusTimeToDateAndTime(dateAndTime, end)
+    };
+}
+
+/**
+ * Check whether a date and time is inside a time window of its date
+ * 
+ * @param {string} dateAndTime date and time string. If no time zone information is provided, it is considered local.
+ * @param {string} timeWindow a time like '20:00', or a window like '19:00-21:30', both ends included. See
+ * getTimeWindow.
+ * 
+ * Return true if the date and time is the time, or inside the window.
+ */
+function isInTimeWindow(dateAndTime, timeWindow) {
+    let window = getTimeWindow(dateAndTime, timeWindow);
+    let time = new Date(dateAndTime).getTime();
+    return time >= new Date(window.start).getTime() && time <= new Date(window.end).getTime();
+}
+
+/**
+ * Get the number of minutes between two dates and times
+ * 
+ * <p>Useful for the duration of a session, from its start and end.
+ * 
+ * @param {string} startDateAndTime date and time string. If no time zone information is provided, it is considered local.
+ * @param {string} endDateAndTime date and time string. If no time zone information is provided, it is considered local.
+ * 
+ * Return the number of minutes, negative if the end is before the start.
+ */
+function getMinutesBetween(startDateAndTime, endDateAndTime) {
+    return (new Date(endDateAndTime).getTime() - new Date(startDateAndTime).getTime()) / 60000;
+}
+
+/**
+ * Get the index of a weekday
+ * 
+ * @param {number|string} weekday the day of the week (0 = Sunday, 6 = Saturday), either a string or number.
+ * 
+ * Return the index of the weekday as a number.
+ */
+function getWeekdayIndex(weekday) {
     var days = {sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6};
     
     var dayIndex;
@@ -85,6 +151,19 @@ function getNextDateForWeekday(weekday, offset) {
     } else {
         dayIndex = weekday;
     }
+    return dayIndex;
+}
+
+/**
+ * Get the next requested weekday considering the given offset
+ * 
+ * @param {number|string} weekday the day of the week (0 = Sunday, 6 = Monday), either a string or number.
+ * @param {number} offset number of days to disconsider since 'now'.
+ * 
+ * Return the date string, in ISO format, of the next weekday.
+ */
+function getNextDateForWeekday(weekday, offset) {
+    var dayIndex = getWeekdayIndex(weekday);
     
     var returnDate = new Date();
     returnDate.setDate(returnDate.getDate() + offset);
@@ -154,24 +233,75 @@ function getMorePrioritizedDateAndTime(bookedDateAndTime, bookingPreferenceDateA
  * </p>
  * 
  * @param {string} bookedDateAndTime string of the booked session. If no time zone is provided, it is considered local.
- * @param {array} bookingPreferenceTime array of strings of the booking preference time.
- * If no time zone is provided, it is considered local.
+ * @param {array} bookingPreferenceTime array of strings of the booking preference time or time window, see
+ * getTimeWindow. If no time zone is provided, it is considered local.
  * 
- * Return a new array.
+ * Return a new array, with the preferences before the first one the booked session starts in.
  */
 function getMorePrioritizedTime(bookedDateAndTime, bookingPreferenceTime) {
     return getMorePrioritized(bookedDateAndTime, bookingPreferenceTime, (book, bookedDateAndTime) => {
-        let bookDateAndTime = datePlusTimeToDateAndTime(bookedDateAndTime, book);
-        return new Date(bookDateAndTime).toISOString() === new Date(bookedDateAndTime).toISOString();
+        return isInTimeWindow(bookedDateAndTime, book);
     });
 }
 
+/**
+ * Check whether an activity name is the given activity
+ * 
+ * <p>The site and the settings may not write the names the same way, so the case is ignored.
+ * 
+ * @param {string} activityName name of the activity, e.g. as shown in a booking.
+ * @param {string} activity name of the activity, e.g. as given in the settings.
+ * 
+ * Return true if both are the same activity.
+ */
+function isSameActivity(activityName, activity) {
+    return String(activityName).toLowerCase() === String(activity).toLowerCase();
+}
+
+/**
+ * Load a state kept in a JSON file
+ * 
+ * @param {string} stateFile path of the state file.
+ * @param {Object} empty the state to start with if the file does not exist yet.
+ * 
+ * Return the state read from the file, or the empty one.
+ */
+function loadStateFile(stateFile, empty) {
+    if (!fs.existsSync(stateFile)) {
+        return empty;
+    }
+    return JSON.parse(fs.readFileSync(stateFile));
+}
+
+/**
+ * Save a state to a JSON file
+ * 
+ * <p>The file is replaced at once, so that a crash while saving does not corrupt it.
+ * 
+ * @param {string} stateFile path of the state file, created with its directory if needed.
+ * @param {Object} state the state to save.
+ * @param {number} mode optional permissions of the file, e.g. 0o600 for a file only readable by its owner.
+ */
+function saveStateFile(stateFile, state, mode) {
+    fs.mkdirSync(path.dirname(stateFile), {recursive: true});
+    fs.writeFileSync(stateFile + '.tmp', JSON.stringify(state, null, 4), mode === undefined ? {} : {mode: mode});
+    fs.renameSync(stateFile + '.tmp', stateFile);
+}
+
 module.exports = {
     dateAndTimeOrDateToDate: dateAndTimeOrDateToDate,
     localOrISOToISO: localOrISOToISO,
     isoToLocal: isoToLocal,
     datePlusTimeToDateAndTime: datePlusTimeToDateAndTime,
+    addMinutes: addMinutes,
+    getTimeWindow: getTimeWindow,
+    isInTimeWindow: isInTimeWindow,
+    getMinutesBetween: getMinutesBetween,
+    getWeekdayIndex: getWeekdayIndex,
     getNextDateForWeekday: getNextDateForWeekday,
     getMorePrioritizedDateAndTime: getMorePrioritizedDateAndTime,
-    getMorePrioritizedTime: getMorePrioritizedTime
+    getMorePrioritizedTime: getMorePrioritizedTime,
+    isSameActivity: isSameActivity,
+    loadStateFile: loadStateFile,
+    saveStateFile: saveStateFile
 }
\ No newline at end of file
@@ -0,0 +1,212 @@
+const async = require('async');
+const log = require('simple-node-logger').createSimpleLogger('footbooker.log');
+
+const connection = require('./connection.js');
+const errors = require('./errors.js');
+const core = require('./strategy-core.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+// Defaults of the settings of watchOrder, in milliseconds
+const watchDefaults = {
+    interval: 600000,
+    maxInterval: 3600000,
+    stopBefore: 7200000
+};
+
+/**
+ * Perform watchOrder strategy
+ * 
+ * <p>Instead of trying hard around a release, the availability of the dates of the preferences is checked every
+ * 'interval' milliseconds, for hours or days, to catch the sessions freed up by cancellations. As soon as a
+ * preferred session is available it is booked, and later on a more preferred one replaces it, the previous one
+ * being cancelled. 'booked', 'upgraded' and 'cancelFailed' are emitted each time, with 'watching' set to true,
+ * and with the bookings left behind since the previous one, if any, see core.finishStrategy.
+ * Once watching stops, the booking held is emitted once more as 'booked' with 'stoppedWatching' set to true, see
+ * core.finishStrategy.
+ * 
+ * <p>A single request per date is sent at each check. After failures other than a taken session, e.g. the site
+ * being down, the interval is doubled each time, up to 'maxInterval'. Watching stops once:
+ * <ul>
+ *     <li>the first preference is booked,</li>
+ *     <li>the preferences more preferred than the booking, if any, all start in less than 'stopBefore'
+ *     milliseconds,</li>
+ *     <li>or 'until' is reached, if given.</li>
+ * </ul>
+ * 
+ * <p>A booking already held which matches the preferences is watched from, emitted as 'booked' with 'alreadyHeld'
+ * set to true, see core.findHeldBooking.
+ * 
+ * <p>'timeout' does not apply, since watching lasts much longer. In a dry run, the availability is checked once.
+ * 
+ * @param {Object} settings object in expected structure:
+ * {
+ *      credentials: {
+ *          login: 'email@host.com',
+ *          password: 'password'
+ *      },
+ *      hostname: 'the.site.co.uk',
+ *      activity: 'Football',
+ *      reasonToCancel: 'Any reason',
+ *      watchOrder: {
+ *          bookingPreference: [
+ *              '2017-10-11T20:00:00.0000000',
+ *              '2017-10-12T20:00:00.0000000',
+ *              '2017-10-11T19:00:00.0000000'
+ *          ],
+ *          interval: 600000,
+ *          maxInterval: 3600000,
+ *          stopBefore: 7200000,
+ *          until: '2017-10-10T23:00:00'
+ *      }
+ * }
+ * 
+ * Return the final booking information, in the format returned by connection.queryBookInformation. If nothing
+ * could be booked before stopping, the error is emitted as 'timeout' with the kind of the last failure.
+ */
+function watchOrder(settings, callback) {
+    let run = core.startStrategy('watchOrder', settings);
+    let watchSettings = Object.assign({}, watchDefaults, settings.watchOrder);
+    let bookingPreference = watchSettings.bookingPreference;
+    let until = watchSettings.until ? new Date(utils.localOrISOToISO(watchSettings.until)).getTime() : undefined;
+    let activityId;
+    let booking;
+    let lastError;
+    let failures = 0;
+    let checks = 0;
+
+    // Preferences still worth watching: more preferred than the booking and not starting too soon
+    let getWatchedPreferences = () => {
+        let preferences = booking ?
+            utils.getMorePrioritizedDateAndTime(booking.StartDateTime, bookingPreference) : bookingPreference;
+        return preferences.filter((dateAndTime) => {
+            return new Date(utils.localOrISOToISO(dateAndTime)).getTime() - watchSettings.stopBefore > Date.now();
+        });
+    };
+
+    let emitBooking = (previousBooking, cancelErr, alreadyHeld) => {
+        // Left behind since the last booking emitted, so that they are reported once
+        let notCancelled = run.notCancelled.splice(0);
+        let event = !previousBooking ? 'booked' : (cancelErr ? 'cancelFailed' : 'upgraded');
+        if (notCancelled.length) {
+            previousBooking = cancelErr ? previousBooking : undefined;
+            event = 'cancelFailed';
+        }
+        log.log('info', 'Watching: ' + (alreadyHeld ? 'already held' : event) + ' ' + booking.StartDateTime);
+        core.events.emit(event, {
+            strategy: 'watchOrder',
+            booking: booking,
+            previousBooking: previousBooking,
+            notCancelled: notCancelled.length ? notCancelled : undefined,
+            alreadyHeld: alreadyHeld,
+            watching: true
+        });
+    };
+
+    // Check the availability once, booking a better session if any. Done once there is nothing left to watch.
+    let check = (callback) => {
+        let preferences = getWatchedPreferences();
+        if (preferences.length === 0) {
+            return callback(null, true);
+        }
+
+        checks++;
+        log.log('info', 'Watching ' + preferences.join(', '));
+        return async.waterfall([
+            (callback) => {
+                return core.tryToBookInOrderListingOnce(preferences, activityId, core.getBookingOptions(settings, run),
+                    callback);
+            },
+            connection.queryBookInformation,
+            (bookingInformation, callback) => {
+                let previousBooking = booking;
+                booking = bookingInformation;
+                if (!previousBooking) {
+                    emitBooking();
+                    return callback();
+                }
+
+                return connection.cancelBooking(previousBooking.Guid, settings.reasonToCancel, (err) => {
+                    if (err) {
+                        log.log('warn', 'Better spot booked but could not cancel previous one, please cancel manually');
+                    }
+                    emitBooking(previousBooking, err);
+                    return callback();
+                });
+            }
+        ], (err) => {
+            if (err) {
+                lastError = err;
+                let kind = errors.kindOf(err);
+                if (kind === errors.kinds.InvalidParameters || kind === errors.kinds.AuthFailed) {
+                    log.log('error', 'Giving up, retrying would fail the same way: ' + err.message);
+                    return callback(err);
+                }
+                failures = kind === errors.kinds.SlotTaken ? 0 : failures + 1;
+                log.log('info', 'Nothing booked while watching: ' + err.message);
+                return callback(null, false);
+            }
+
+            failures = 0;
+            return callback(null, false);
+        });
+    };
+
+    let watch = (callback) => {
+        return check((err, done) => {
+            if (err || done || settings.dryRun) {
+                return callback(err);
+            }
+
+            let wait = Math.min(watchSettings.interval * Math.pow(2, failures), watchSettings.maxInterval);
+            if (until !== undefined && Date.now() + wait > until) {
+                log.log('info', 'Stopping watching, ' + watchSettings.until + ' reached');
+                return callback();
+            }
+            return setTimeout(() => watch(callback), wait);
+        });
+    };
+
+    let finish = core.finishStrategy(run, callback, {stoppedWatching: true});
+    return async.waterfall([
+        (callback) => {
+            return core.login(settings.credentials, callback);
+        },
+        (callback) => {
+            return connection.getActivityTypeId(settings.activity || core.defaultActivity, callback);
+        },
+        (id, callback) => {
+            activityId = id;
+            return core.findHeldBooking(settings, run, (booking) => {
+                let morePrioritized = utils.getMorePrioritizedDateAndTime(booking.StartDateTime, bookingPreference);
+                return core.getPreferenceRank(morePrioritized, bookingPreference);
+            }, callback);
+        },
+        (heldBooking, bookings, callback) => {
+            if (heldBooking) {
+                booking = heldBooking;
+                emitBooking(undefined, undefined, true);
+            }
+            return watch(callback);
+        }
+    ], (err) => {
+        if (err || !booking) {
+            if (!err) {
+                // Of the kind of the last failure, e.g. SlotTaken if the sessions were all taken
+                err = errors.combine(checks ? 'Stopped watching before being able to make a booking' :
+                    'Nothing to watch, all the preferences start in less than ' + watchSettings.stopBefore +
+                    ' milliseconds', lastError ? [lastError] : []);
+                err.timedOut = true;
+            }
+            return finish(err);
+        }
+
+        log.log('info', 'Stopped watching, keeping ' + booking.Guid + ' at ' + booking.StartDateTime);
+        return finish(null, booking);
+    });
+}
+
+module.exports = {
+    watchOrder: watchOrder
+}
@@ -0,0 +1,145 @@
+const async = require('async');
+
+const connection = require('./connection.js');
+const release = require('./release.js');
+const core = require('./strategy-core.js');
+const utils = require('./utils.js');
+
+'use-strict';
+
+/**
+ * Perform weekdayAndTimeOrder strategy
+ * 
+ * <p>A 'date' can also be given in weekdayAndTimeOrder to book it instead of the date found from the weekday.
+ * 
+ * <p>A time preference can be a time window, e.g. '19:00-21:30', to book any session starting inside it, earliest
+ * first. 'minDuration' leaves out the sessions lasting less than that many minutes.
+ * 
+ * <p>'rule' is only set by multiWeekdayOrder, to the name of the rule being booked, and added to the events.
+ * 
+ * @param {Object} settings object in expected structure:
+ * {
+ *      credentials: {
+ *          login: 'email@host.com',
+ *          password: 'password'
+ *      },
+ *      hostname: 'the.site.co.uk',
+ *      activity: 'Football',
+ *      reasonToCancel: 'Any reason',
+ *      weekdayAndTimeOrder: {
+ *          weekday: 'Wednesday',
+ *          offset: 3,
+ *          timePreference: [
+ *              '20:00',
+ *              '19:00-21:30',
+ *              '18:00'
+ *          ],
+ *          minDuration: 45
+ *      },
+ *      release: {
+ *          time: '00:00',
+ *          daysAhead: 7
+ *      },
+ *      retryTimeout: 3,
+ *      timeout: 180000
+ * }
+ * 
+ * Return the final booking information, in the format returned by connection.queryBookInformation.
+ */
+function weekdayAndTimeOrder(settings, callback) {
+    return runWeekdayAndTimeOrder(settings, undefined, callback);
+}
+
+/**
+ * Perform weekdayAndTimeOrder strategy as part of another run
+ * 
+ * @param {Object} settings the settings given to the strategy, see weekdayAndTimeOrder.
+ * @param {Object} parentRun optional run the strategy is part of, e.g. the one of multiWeekdayOrder, see
+ * core.createRun.
+ * 
+ * Return the final booking information, as weekdayAndTimeOrder.
+ */
+function runWeekdayAndTimeOrder(settings, parentRun, callback) {
+    let run = core.startStrategy('weekdayAndTimeOrder', settings, parentRun);
+    let deadline = settings.timeout ? Date.now() + settings.timeout : undefined;
+    let activityId;
+    let rebooking = {};
+    let fixedDate = core.getFixedDate(settings.weekdayAndTimeOrder);
+    let releasedDate = fixedDate;
+    let targetDate;
+    let options = Object.assign(core.getBookingOptions(settings, run), {
+        minDuration: settings.weekdayAndTimeOrder.minDuration
+    });
+    let bookWeekday = (timePreference, callback) => {
+        if (releasedDate) {
+            return core.tryToBookInOrderSameDate(releasedDate, timePreference, activityId, options, callback);
+        }
+        return core.tryToBookInOrderWeekday(settings.weekdayAndTimeOrder.weekday,
+            settings.weekdayAndTimeOrder.offset,
+            timePreference,
+            activityId,
+            options,
+            callback);
+    };
+    return async.waterfall([
+        (callback) => {
+            return core.login(settings.credentials, callback);
+        },
+        (callback) => {
+            return connection.getActivityTypeId(settings.activity || core.defaultActivity, callback);
+        },
+        (id, callback) => {
+            activityId = id;
+            targetDate = core.getTargetDate(settings.weekdayAndTimeOrder, settings.release);
+            return core.findHeldBooking(settings, run, (booking) => {
+                let minDuration = settings.weekdayAndTimeOrder.minDuration;
+                if (!core.isOnDate(booking.StartDateTime, targetDate) || (minDuration !== undefined &&
+                    utils.getMinutesBetween(booking.StartDateTime, booking.EndDateTime) < minDuration)) {
+                    return undefined;
+                }
+                return core.getPreferenceRank(utils.getMorePrioritizedTime(booking.StartDateTime,
+                    settings.weekdayAndTimeOrder.timePreference), settings.weekdayAndTimeOrder.timePreference);
+            }, callback);
+        },
+        (heldBooking, bookings, callback) => {
+            if (heldBooking) {
+                rebooking.alreadyHeld = true;
+                // Upgrades are tried on the date of the booking held
+                releasedDate = targetDate;
+                return callback(null, heldBooking.Guid);
+            }
+            return async.waterfall([
+                (callback) => {
+                    return core.waitForRelease(settings, () => {
+                        let weekday = settings.weekdayAndTimeOrder.weekday;
+                        releasedDate = fixedDate || release.getNextReleasedDateForWeekday(weekday, settings.release);
+                        return core.getReleaseInstantOrWarn(releasedDate, weekday, settings.release);
+                    }, callback);
+                },
+                (schedule, callback) => {
+                    return core.keepTryingToBook((callback) => {
+                        return bookWeekday(settings.weekdayAndTimeOrder.timePreference, callback);
+                    }, schedule, deadline, callback);
+                }
+            ], callback);
+        },
+        connection.queryBookInformation,
+        (bookingInformation, callback) => {
+            let getMorePrioritized = (bookingInformation) => {
+                return utils.getMorePrioritizedTime(bookingInformation.StartDateTime,
+                    settings.weekdayAndTimeOrder.timePreference);
+            };
+            return core.tryToRebookBetterOne((bookingInformation, callback) => {
+                return bookWeekday(getMorePrioritized(bookingInformation), callback);
+            }, bookingInformation, core.getUpgradeOptions(settings, deadline, (bookingInformation) => {
+                return getMorePrioritized(bookingInformation).length === 0;
+            }), rebooking, callback);
+        },
+        connection.queryBookInformation
+    ], core.finishStrategy(run, callback, rebooking));
+}
+
+module.exports = {
+    weekdayAndTimeOrder: weekdayAndTimeOrder,
+    runWeekdayAndTimeOrder: runWeekdayAndTimeOrder
+}
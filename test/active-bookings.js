@@ -0,0 +1,124 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('bookings already held and maxActiveBookings', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    function bookFirst(dateAndTime) {
+        return helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            dateAndTimeOrder: {bookingPreference: [dateAndTime]}
+        }));
+    }
+
+    it('does not book again a session already held', async () => {
+        let preference = day(2) + 'T20:00:00Z';
+        await bookFirst(preference);
+
+        let events = await helpers.recordEvents(async () => {
+            await bookFirst(preference);
+        });
+
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 1);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preference).toISOString()]);
+        let booked = events.find((recorded) => recorded.event === 'booked');
+        assert.strictEqual(booked.details.alreadyHeld, true);
+    });
+
+    it('fails with LimitReached once the account holds maxActiveBookings', async () => {
+        await bookFirst(day(3) + 'T20:00:00Z');
+
+        await assert.rejects(helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            maxActiveBookings: 1,
+            dateAndTimeOrder: {bookingPreference: [day(2) + 'T20:00:00Z']}
+        })), (err) => errors.kindOf(err) === errors.kinds.LimitReached);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(3) + 'T20:00:00.000Z']);
+    });
+
+    it('upgrades a booking held once the account holds maxActiveBookings', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        mock.takeSession(preferences[0]);
+        await bookFirst(preferences[1]);
+        mock.freeSession(preferences[0]);
+
+        await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            maxActiveBookings: 1,
+            upgradeTimeout: 500,
+            dateAndTimeOrder: {bookingPreference: preferences}
+        }));
+
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[0]).toISOString()]);
+    });
+
+    it('does not exceed maxActiveBookings with rules booked at the same time', async () => {
+        let outcomes = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'multiWeekdayOrder',
+            maxActiveBookings: 1,
+            multiWeekdayOrder: {
+                rules: [
+                    {name: 'first', weekday: helpers.weekdayOf(day(4)), offset: 0, date: day(4),
+                        timePreference: ['20:00Z']},
+                    {name: 'second', weekday: helpers.weekdayOf(day(5)), offset: 0, date: day(5),
+                        timePreference: ['20:00Z']}
+                ]
+            }
+        }));
+
+        assert.strictEqual(helpers.activeBookings(mock).length, 1);
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 1);
+        let failed = outcomes.filter((outcome) => outcome.ErrorKind);
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].ErrorKind, errors.kinds.LimitReached);
+    });
+
+    it('counts maxActiveBookings for each run on its own', async () => {
+        let limited = helpers.run(helpers.settingsFor(mock, {
+            strategy: 'multiWeekdayOrder',
+            maxActiveBookings: 1,
+            multiWeekdayOrder: {
+                rules: [
+                    {name: 'first', weekday: helpers.weekdayOf(day(4)), offset: 0, date: day(4),
+                        timePreference: ['20:00Z']},
+                    {name: 'second', weekday: helpers.weekdayOf(day(5)), offset: 0, date: day(5),
+                        timePreference: ['20:00Z']}
+                ]
+            }
+        }));
+        let unlimited = bookFirst(day(6) + 'T20:00:00Z');
+
+        let outcomes = (await Promise.all([limited, unlimited]))[0];
+
+        assert.strictEqual(outcomes.filter((outcome) => outcome.ErrorKind).length, 1);
+        assert.strictEqual(helpers.activeBookings(mock).length, 2);
+    });
+
+    it('finds the bookings held whatever the case of the activity', async () => {
+        let preference = day(2) + 'T20:00:00Z';
+        await bookFirst(preference);
+
+        await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            activity: 'football',
+            dateAndTimeOrder: {bookingPreference: [preference]}
+        }));
+
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 1);
+    });
+});
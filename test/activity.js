@@ -0,0 +1,67 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('activity', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    function activitySettings(activity, preferences) {
+        return helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            activity: activity,
+            timeout: 300,
+            dateAndTimeOrder: {bookingPreference: preferences}
+        });
+    }
+
+    it('books the activity given in the settings', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z');
+
+        let booking = await helpers.run(activitySettings('Netball', [day(2) + 'T20:00:00Z']));
+
+        assert.strictEqual(booking.ActivityName, 'Netball');
+        assert.deepStrictEqual(mock.bookings().map((booked) => booked.ActivityName), ['Netball']);
+    });
+
+    it('only books the sessions available for the activity', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z', 'Netball');
+
+        await assert.rejects(helpers.run(activitySettings('Netball', [day(2) + 'T20:00:00Z'])),
+            (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+        assert.deepStrictEqual(helpers.activeBookings(mock), []);
+    });
+
+    it('finds the activity whatever its case', async () => {
+        let booking = await helpers.run(activitySettings('football HALF court', [day(2) + 'T20:00:00Z']));
+
+        assert.strictEqual(booking.ActivityName, 'Football half court');
+    });
+
+    it('books Football when no activity is given', async () => {
+        let booking = await helpers.run(activitySettings(undefined, [day(2) + 'T20:00:00Z']));
+
+        assert.strictEqual(booking.ActivityName, 'Football');
+    });
+
+    it('fails with the valid activities when the activity is unknown', async () => {
+        await assert.rejects(helpers.run(activitySettings('Tennis', [day(2) + 'T20:00:00Z'])), (err) => {
+            return errors.kindOf(err) === errors.kinds.InvalidParameters && /"Tennis"/.test(err.message) &&
+                /"Netball half court \(8 or less players\)"/.test(err.message);
+        });
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 0);
+    });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const fs = require('fs');
+
+const calendar = require('../src/calendar.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+/**
+ * Build a booking in the format of connection.listBookedSessions
+ */
+function booking(guid, date, time) {
+    return {
+        Guid: guid,
+        StartDateTime: date + 'T' + time + ':00.0000000Z',
+        EndDateTime: date + 'T' + time.substr(0, 3) + '45:00.0000000Z',
+        ActivityName: 'Football',
+        Description: 'user@footbooker.test'
+    };
+}
+
+describe('calendar', () => {
+    describe('formatCalendar', () => {
+        it('builds an event per booking', () => {
+            let content = calendar.formatCalendar([booking('guid', '2017-10-11', '20:00')], {name: 'Team; Monday'});
+
+            assert.ok(/\r\n$/.test(content));
+            let lines = content.split('\r\n');
+            ['BEGIN:VCALENDAR', 'X-WR-CALNAME:Team\\; Monday', 'BEGIN:VEVENT', 'UID:guid@footbooker',
+                'DTSTART:20171011T200000Z', 'DTEND:20171011T204500Z', 'SUMMARY:Football', 'STATUS:CONFIRMED',
+                'SEQUENCE:0', 'DESCRIPTION:user@footbooker.test', 'END:VEVENT', 'END:VCALENDAR'].forEach((line) => {
+                assert.ok(lines.indexOf(line) >= 0, 'expected ' + line + ' in\n' + content);
+            });
+        });
+
+        it('marks the cancelled bookings', () => {
+            let cancelled = Object.assign(booking('guid', '2017-10-11', '20:00'), {
+                cancelled: true,
+                cancelledAt: '2017-10-09T08:30:00.000Z'
+            });
+
+            let lines = calendar.formatCalendar([cancelled]).split('\r\n');
+
+            ['STATUS:CANCELLED', 'SEQUENCE:1', 'LAST-MODIFIED:20171009T083000Z'].forEach((line) => {
+                assert.ok(lines.indexOf(line) >= 0, 'expected ' + line);
+            });
+        });
+
+        it('folds the lines longer than 75 octets', () => {
+            let content = calendar.formatCalendar([Object.assign(booking('guid', '2017-10-11', '20:00'), {
+                Description: 'é'.repeat(60)
+            })]);
+
+            content.split('\r\n').forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+            assert.ok(content.indexOf('DESCRIPTION:' + 'é'.repeat(31) + '\r\n ' + 'é'.repeat(29)) >= 0);
+        });
+    });
+
+    describe('addCancelledBookings', () => {
+        let options;
+
+        beforeEach(() => {
+            options = {
+                stateFile: helpers.tempFile('calendar_state.json'),
+                ledgerFile: helpers.tempFile('ledger.jsonl')
+            };
+        });
+
+        it('adds the upcoming bookings not listed anymore as cancelled', () => {
+            let kept = booking('kept', day(2), '20:00');
+            let dropped = booking('dropped', day(3), '20:00');
+            let played = booking('played', day(-1), '20:00');
+            calendar.addCancelledBookings([kept, dropped, played], options);
+
+            let bookings = calendar.addCancelledBookings([kept], options);
+
+            assert.deepStrictEqual(bookings.map((booking) => booking.Guid + (booking.cancelled ? ' cancelled' : '')),
+                ['played', 'kept', 'dropped cancelled']);
+            assert.ok(bookings[2].cancelledAt);
+        });
+
+        it('adds the bookings replaced by a better one from the ledger', () => {
+            let better = booking('better', day(2), '20:00');
+            let previous = booking('previous', day(2), '19:00');
+            fs.writeFileSync(options.ledgerFile, JSON.stringify({
+                finishedAt: '2017-10-09T08:30:00.000Z',
+                outcome: 'upgraded',
+                booking: better,
+                previousBooking: previous,
+                previousCancelled: true
+            }) + '\n');
+
+            let bookings = calendar.addCancelledBookings([better], options);
+
+            assert.deepStrictEqual(bookings.map((booking) => booking.Guid), ['previous', 'better']);
+            assert.strictEqual(bookings[0].cancelled, true);
+            assert.strictEqual(bookings[0].cancelledAt, '2017-10-09T08:30:00.000Z');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const assert = require('assert');
+
+const cancellation = require('../src/cancellation.js');
+const footbooker = require('../src/footbooker.js');
+const utils = require('../src/utils.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('cancellation', () => {
+    describe('selectBookings', () => {
+        // Sunday 1st of October 2017, local time
+        const now = new Date('2017-10-01T12:00:00').getTime();
+        const bookings = [
+            {Guid: 'past', StartDateTime: '2017-10-01T10:00:00', ActivityName: 'Football'},
+            {Guid: 'wednesday', StartDateTime: '2017-10-04T20:00:00', ActivityName: 'Football'},
+            {Guid: 'monday', StartDateTime: '2017-10-02T20:00:00', ActivityName: 'Football'},
+            {Guid: 'netball', StartDateTime: '2017-10-03T19:00:00', ActivityName: 'Netball'},
+            {Guid: 'next monday', StartDateTime: '2017-10-09T20:00:00', ActivityName: 'Football'}
+        ];
+
+        function select(filter) {
+            return cancellation.selectBookings(bookings, filter, now).map((booking) => booking.Guid);
+        }
+
+        it('selects every upcoming booking without filter, earliest first', () => {
+            assert.deepStrictEqual(select({}), ['monday', 'netball', 'wednesday', 'next monday']);
+        });
+
+        it('selects the bookings of whole days between from and to', () => {
+            assert.deepStrictEqual(select({from: '2017-10-03T23:00:00', to: '2017-10-04'}), ['netball', 'wednesday']);
+            assert.deepStrictEqual(select({to: '2017-10-02'}), ['monday']);
+        });
+
+        it('selects the bookings of a weekday', () => {
+            assert.deepStrictEqual(select({weekday: 'monday'}), ['monday', 'next monday']);
+        });
+
+        it('selects the bookings of an activity whatever its case', () => {
+            assert.deepStrictEqual(select({activity: 'netball'}), ['netball']);
+        });
+
+        it('keeps the next bookings matching the rest of the filter', () => {
+            assert.deepStrictEqual(select({weekday: 'Monday', exceptNext: 1}), ['next monday']);
+            assert.deepStrictEqual(select({exceptNext: 5}), []);
+        });
+    });
+
+    describe('cancelDue against the mock site', function () {
+        this.timeout(10000);
+        const cancelBy = 3 * 86400000;
+        let mock;
+        let client;
+        let stateFile;
+
+        beforeEach(async () => {
+            mock = await helpers.startMock();
+            client = new footbooker.BookingClient({hostname: mock.url});
+            await client.login(helpers.login, helpers.password);
+            stateFile = helpers.tempFile('cancellation_state.json');
+        });
+
+        afterEach(async () => {
+            await helpers.stopMock(mock);
+        });
+
+        function options(dryRun) {
+            return {stateFile: stateFile, cancelBy: cancelBy, reason: 'Test', dryRun: dryRun};
+        }
+
+        it('cancels the unwanted bookings once their deadline has come', async () => {
+            let soon = await client.book(day(2) + 'T20:00:00Z');
+            let later = await client.book(day(5) + 'T20:00:00Z');
+            cancellation.markUnwanted(stateFile, [soon, later]);
+
+            let results = await cancellation.cancelDue(client, options());
+
+            assert.deepStrictEqual(results.map((result) => result.booking.Guid), [soon.Guid]);
+            assert.deepStrictEqual(helpers.activeBookings(mock), [day(5) + 'T20:00:00.000Z']);
+            assert.deepStrictEqual(Object.keys(cancellation.loadState(stateFile).unwanted), [later.Guid]);
+        });
+
+        it('only finds the bookings due in a dry run', async () => {
+            let soon = await client.book(day(2) + 'T20:00:00Z');
+            cancellation.markUnwanted(stateFile, [soon]);
+
+            let results = await cancellation.cancelDue(client, options(true));
+
+            assert.deepStrictEqual(results.map((result) => result.booking.Guid), [soon.Guid]);
+            assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+            assert.deepStrictEqual(Object.keys(cancellation.loadState(stateFile).unwanted), [soon.Guid]);
+        });
+
+        it('forgets the unwanted bookings not booked anymore', async () => {
+            let soon = await client.book(day(2) + 'T20:00:00Z');
+            cancellation.markUnwanted(stateFile, [soon]);
+            await client.cancel(soon.Guid, 'Test');
+
+            let results = await cancellation.cancelDue(client, options());
+
+            assert.deepStrictEqual(results, []);
+            assert.deepStrictEqual(utils.loadStateFile(stateFile, {}), {unwanted: {}});
+        });
+    });
+});
@@ -0,0 +1,264 @@
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const cancellation = require('../src/cancellation.js');
+const cli = require('../src/cli.js');
+const footbooker = require('../src/footbooker.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+const day = helpers.day;
+const execFile = util.promisify(childProcess.execFile);
+
+/**
+ * Start a command of the command line which serves until stopped
+ *
+ * @param {array} args the arguments of the command line.
+ *
+ * Resolve with {child, url} once it prints the url it serves.
+ */
+function startServing(args) {
+    return new Promise((resolve, reject) => {
+        let child = childProcess.spawn(process.execPath, [cliPath].concat(args), {cwd: path.dirname(args[2])});
+        let out = '';
+        child.stdout.on('data', (chunk) => {
+            out += chunk;
+            let match = /served on (http:\/\/\S+?)[,\s]/.exec(out);
+            if (match) {
+                resolve({child: child, url: match[1]});
+            }
+        });
+        child.on('exit', (code) => reject(new Error('Exited with ' + code + ': ' + out)));
+    });
+}
+
+/**
+ * Find the JSON printed by a command run with --json
+ *
+ * <p>The log is printed too, around the JSON.
+ *
+ * Return the parsed JSON.
+ */
+function printedJson(stdout) {
+    let lines = stdout.split('\n');
+    let start = lines.findIndex((line) => line === '[' || line === '{');
+    let end = lines.indexOf(lines[start] === '[' ? ']' : '}', start);
+    return JSON.parse(lines.slice(start, end + 1).join('\n'));
+}
+
+describe('parseArguments', () => {
+    it('finds the command, the positional arguments and the options', () => {
+        let parsed = cli.parseArguments(['cancel', 'guid', '--reason', 'Rain', '--json', '--settings=a.json']);
+
+        assert.deepStrictEqual(parsed, {
+            command: 'cancel',
+            args: ['guid'],
+            options: {reason: 'Rain', json: true, settings: 'a.json'}
+        });
+    });
+
+    it('fails when an option misses its value', () => {
+        assert.throws(() => cli.parseArguments(['book', '--settings']), /--settings requires a value/);
+    });
+});
+
+describe('formatTable', () => {
+    it('aligns the columns, titles first', () => {
+        let table = cli.formatTable([{name: 'Football', count: 12}, {name: 'Netball', count: 3}], [
+            {title: 'Activity', value: (row) => row.name},
+            {title: 'Sessions', value: (row) => row.count}
+        ]);
+
+        assert.strictEqual(table, 'Activity  Sessions\nFootball  12\nNetball   3');
+    });
+});
+
+describe('command line servers', function () {
+    this.timeout(10000);
+    let settingsFile;
+    let serving;
+
+    beforeEach(() => {
+        settingsFile = helpers.tempFile('settings.json');
+        fs.writeFileSync(settingsFile, JSON.stringify({
+            hostname: 'http://localhost:1',
+            credentials: {login: helpers.login, password: helpers.password},
+            roster: {players: ['Alice'], quorum: 1}
+        }));
+    });
+
+    afterEach(() => {
+        if (serving) {
+            serving.child.kill();
+            serving = undefined;
+        }
+    });
+
+    ['feed', 'roster-serve'].forEach((command) => {
+        it(command + ' listens only on the local host by default', async () => {
+            serving = await startServing([command, '--settings', settingsFile, '--port', '0']);
+
+            assert.ok(/^http:\/\/127\.0\.0\.1:\d+\//.test(serving.url), serving.url);
+        });
+
+        it(command + ' listens on the host given', async () => {
+            serving = await startServing([command, '--settings', settingsFile, '--port', '0', '--host', '0.0.0.0']);
+
+            assert.ok(/^http:\/\/0\.0\.0\.0:\d+\//.test(serving.url), serving.url);
+        });
+    });
+});
+
+describe('cancel-bookings command', function () {
+    this.timeout(10000);
+    let mock;
+    let client;
+    let settingsFile;
+    let stateFile;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+        client = new footbooker.BookingClient({hostname: mock.url});
+        await client.login(helpers.login, helpers.password);
+        settingsFile = helpers.tempFile('settings.json');
+        stateFile = helpers.tempFile('cancellation_state.json');
+        fs.writeFileSync(settingsFile, JSON.stringify({
+            hostname: mock.url,
+            credentials: {login: helpers.login, password: helpers.password},
+            reasonToCancel: 'Test',
+            cancellation: {stateFile: stateFile, cancelBy: 86400000}
+        }));
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    /**
+     * Run the command line, without a terminal
+     *
+     * Resolve with what it printed, or reject with the error, with what it printed in 'stdout' and 'stderr'.
+     */
+    function runCli(args) {
+        return execFile(process.execPath, [cliPath, 'cancel-bookings', '--settings', settingsFile].concat(args));
+    }
+
+    function guids(output) {
+        return printedJson(output.stdout).map((row) => (row.booking || row).Guid);
+    }
+
+    it('cancels the bookings matching the filters once confirmed', async () => {
+        await client.book(day(2) + 'T20:00:00Z');
+        let second = await client.book(day(2) + 'T21:00:00Z');
+        await client.book(day(3) + 'T20:00:00Z');
+
+        let output = await runCli(['--weekday', helpers.weekdayOf(day(2)), '--except-next', '1', '--yes', '--json']);
+
+        assert.deepStrictEqual(guids(output), [second.Guid]);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z', day(3) + 'T20:00:00.000Z']);
+    });
+
+    it('cancels nothing when it cannot ask for confirmation', async () => {
+        await client.book(day(2) + 'T20:00:00Z');
+
+        await assert.rejects(runCli(['--from', day(2), '--to', day(2)]), (err) => {
+            return /not running in a terminal/.test(err.stderr);
+        });
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+    });
+
+    it('only lists the bookings in a dry run', async () => {
+        let booking = await client.book(day(3) + 'T20:00:00Z');
+        await client.book(day(2) + 'T20:00:00Z');
+
+        let output = await runCli(['--from', day(3), '--activity', 'football', '--dry-run', '--json']);
+
+        assert.deepStrictEqual(guids(output), [booking.Guid]);
+        assert.strictEqual(helpers.activeBookings(mock).length, 2);
+    });
+
+    it('marks the bookings as unwanted until their cancelBy deadline', async () => {
+        let booking = await client.book(day(3) + 'T20:00:00Z');
+
+        let output = await runCli(['--from', day(3), '--mark']);
+
+        assert.ok(output.stdout.indexOf(booking.Guid) >= 0, output.stdout);
+        assert.ok(output.stdout.indexOf(new Date(Date.parse(day(2) + 'T20:00:00Z')).toLocaleString()) >= 0,
+            output.stdout);
+        assert.deepStrictEqual(Object.keys(cancellation.loadState(stateFile).unwanted), [booking.Guid]);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(3) + 'T20:00:00.000Z']);
+    });
+});
+
+describe('booking commands', function () {
+    this.timeout(10000);
+    let mock;
+    let client;
+    let settingsFile;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+        client = new footbooker.BookingClient({hostname: mock.url});
+        await client.login(helpers.login, helpers.password);
+        settingsFile = helpers.tempFile('settings.json');
+        fs.writeFileSync(settingsFile, JSON.stringify({
+            hostname: mock.url,
+            credentials: {login: helpers.login, password: helpers.password},
+            reasonToCancel: 'Test'
+        }));
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    function runCli(args) {
+        return execFile(process.execPath, [cliPath].concat(args, ['--settings', settingsFile]));
+    }
+
+    it('lists the sessions available in a date', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z');
+
+        let output = await runCli(['available', day(2), '--json']);
+
+        assert.strictEqual(printedJson(output.stdout).length, 13);
+    });
+
+    it('books a session of the activity given', async () => {
+        let output = await runCli(['book', day(2) + 'T20:00:00Z', '--activity', 'Netball', '--json']);
+
+        assert.strictEqual(printedJson(output.stdout).ActivityName, 'Netball');
+        assert.deepStrictEqual(mock.bookings().map((booking) => booking.ActivityName), ['Netball']);
+    });
+
+    it('lists the bookings and shows one of them', async () => {
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+
+        let listed = await runCli(['bookings']);
+        let info = await runCli(['info', booking.Guid, '--json']);
+
+        assert.ok(/Guid\s+Start\s+End\s+Activity/.test(listed.stdout), listed.stdout);
+        assert.ok(listed.stdout.indexOf(booking.Guid) >= 0, listed.stdout);
+        assert.strictEqual(printedJson(info.stdout).Guid, booking.Guid);
+    });
+
+    it('cancels a booking with the reason given', async () => {
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+
+        await runCli(['cancel', booking.Guid, '--reason', 'Rain']);
+
+        assert.deepStrictEqual(helpers.activeBookings(mock), []);
+        assert.strictEqual(mock.bookings()[0].cancelReason, 'Rain');
+    });
+
+    it('fails with the usage for an unknown command', async () => {
+        await assert.rejects(runCli(['bok']), (err) => {
+            return err.code === 1 && /Unknown command "bok"/.test(err.stderr) && /Usage: footbooker/.test(err.stdout);
+        });
+    });
+});
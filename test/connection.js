@@ -0,0 +1,163 @@
+const assert = require('assert');
+const fs = require('fs');
+const promisify = require('util').promisify;
+
+const connection = require('../src/connection.js');
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('sessions kept in the cookie file', function () {
+    this.timeout(10000);
+    const other = {login: 'other@footbooker.test', password: 'other password'};
+    let mock;
+    let cookieFile;
+
+    beforeEach(async () => {
+        let accounts = {};
+        accounts[helpers.login] = helpers.password;
+        accounts[other.login] = other.password;
+        mock = await helpers.startMock({accounts: accounts});
+        cookieFile = helpers.tempFile('cookies.json');
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    function book(dateAndTime, credentials) {
+        return helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            cookieFile: cookieFile,
+            credentials: credentials || {login: helpers.login, password: helpers.password},
+            dateAndTimeOrder: {bookingPreference: [dateAndTime]}
+        }));
+    }
+
+    it('reuses the session of the same account', async () => {
+        await book(day(2) + 'T20:00:00Z');
+        await book(day(3) + 'T20:00:00Z');
+
+        assert.strictEqual(helpers.countRequests(mock, 'validatelogin.json'), 1);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(cookieFile)).accounts, {localhost: helpers.login});
+    });
+
+    it('logs in again instead of reusing the session of another account', async () => {
+        await book(day(2) + 'T20:00:00Z');
+        await book(day(3) + 'T20:00:00Z', other);
+
+        assert.strictEqual(helpers.countRequests(mock, 'validatelogin.json'), 2);
+        let accounts = mock.bookings().map((booking) => booking.account);
+        assert.deepStrictEqual(accounts, [helpers.login, other.login]);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(cookieFile)).accounts, {localhost: other.login});
+    });
+
+    it('logs in again with a cookie file saved without the account', async () => {
+        await book(day(2) + 'T20:00:00Z');
+        let saved = JSON.parse(fs.readFileSync(cookieFile));
+        delete saved.accounts;
+        fs.writeFileSync(cookieFile, JSON.stringify(saved));
+
+        await book(day(3) + 'T20:00:00Z');
+
+        assert.strictEqual(helpers.countRequests(mock, 'validatelogin.json'), 2);
+    });
+});
+
+describe('dry run', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+        connection.setHostname(mock.url);
+        connection.setDryRun(true);
+        await promisify(connection.ensureLoggedIn)(helpers.login, helpers.password);
+    });
+
+    afterEach(async () => {
+        connection.setDryRun(false);
+        await helpers.stopMock(mock);
+    });
+
+    it('does not list the sessions simulated as booked as available', async () => {
+        let dateString = day(2) + 'T00:00:00.000Z';
+        let activityId = await promisify(connection.getActivityTypeId)('Football');
+        let available = await promisify(connection.listAvailableBookings)(dateString, activityId);
+        let session = available[0];
+
+        let guid = await promisify(connection.sendBookRequest)(dateString, session.guid, activityId);
+
+        assert.strictEqual(guid, 'dry-run-' + session.guid);
+        let listed = await promisify(connection.listAvailableBookings)(dateString, activityId);
+        let guids = (sessions) => sessions.map((available) => available.guid);
+        assert.deepStrictEqual(guids(listed), guids(available.slice(1)));
+        await assert.rejects(promisify(connection.sendBookRequest)(dateString, session.guid, activityId),
+            (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+        let booked = await promisify(connection.listBookedSessions)();
+        assert.deepStrictEqual(booked.map((booking) => booking.Guid), [guid]);
+        assert.deepStrictEqual(mock.bookings(), []);
+    });
+
+    it('lists the session again once the simulated booking is cancelled', async () => {
+        let dateString = day(2) + 'T00:00:00.000Z';
+        let activityId = await promisify(connection.getActivityTypeId)('Football');
+        let available = await promisify(connection.listAvailableBookings)(dateString, activityId);
+        let guid = await promisify(connection.sendBookRequest)(dateString, available[0].guid, activityId);
+
+        await promisify(connection.cancelBooking)(guid, 'Test');
+
+        let listed = await promisify(connection.listAvailableBookings)(dateString, activityId);
+        assert.strictEqual(listed.length, available.length);
+    });
+});
+
+describe('book requests without response', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('keeps the booking made by a book request which timed out instead of booking another session', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        mock.delayResponses('AddBooking.json', [1000]);
+
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            requestTimeout: 300,
+            dateAndTimeOrder: {bookingPreference: preferences}
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preferences[0]).toISOString());
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[0]).toISOString()]);
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 1);
+    });
+
+    it('fails with the timeout when the book request made no booking', async () => {
+        let dateString = day(2) + 'T00:00:00.000Z';
+        connection.setHostname(mock.url);
+        connection.setRequestTimeout(300);
+        await promisify(connection.ensureLoggedIn)(helpers.login, helpers.password);
+        let activityId = await promisify(connection.getActivityTypeId)('Football');
+        let available = await promisify(connection.listAvailableBookings)(dateString, activityId);
+        mock.scriptResponses('AddBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+        mock.delayResponses('AddBooking.json', [1000]);
+
+        try {
+            await assert.rejects(promisify(connection.sendBookRequest)(dateString, available[0].guid, activityId),
+                (err) => errors.kindOf(err) === errors.kinds.Transport);
+        } finally {
+            connection.setRequestTimeout(undefined);
+        }
+        assert.deepStrictEqual(mock.bookings(), []);
+    });
+});
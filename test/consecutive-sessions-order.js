@@ -0,0 +1,91 @@
+const assert = require('assert');
+
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('consecutiveSessionsOrder', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    function blockSettings(settings, timePreference) {
+        return helpers.settingsFor(mock, Object.assign({
+            strategy: 'consecutiveSessionsOrder',
+            consecutiveSessionsOrder: {
+                weekday: helpers.weekdayOf(day(4)),
+                offset: 0,
+                date: day(4),
+                sessions: 2,
+                interval: 60,
+                timePreference: timePreference
+            }
+        }, settings));
+    }
+
+    it('books the first block with all of its sessions available', async () => {
+        mock.takeSession(day(4) + 'T18:00:00Z');
+
+        let block = await helpers.run(blockSettings({}, ['18:00Z', '19:00Z']));
+
+        assert.strictEqual(block.Guids.length, 2);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(4) + 'T19:00:00.000Z', day(4) + 'T20:00:00.000Z']);
+    });
+
+    it('cancels a block only partially booked and tries again', async () => {
+        mock.scriptResponses('AddBooking.json', [null, {Code: 500, Message: 'Sorry, There is no space left'}]);
+
+        let block = await helpers.run(blockSettings({}, ['20:00Z']));
+
+        assert.strictEqual(block.Guids.length, 2);
+        assert.strictEqual(block.NotCancelled, undefined);
+        assert.strictEqual(mock.bookings().filter((booking) => booking.cancelled).length, 1);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(4) + 'T20:00:00.000Z', day(4) + 'T21:00:00.000Z']);
+    });
+
+    it('reports the sessions of a partial block it could not cancel', async () => {
+        mock.scriptResponses('AddBooking.json', [null, {Code: 500, Message: 'Sorry, There is no space left'}]);
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown error'}]);
+
+        let block;
+        let events = await helpers.recordEvents(async () => {
+            block = await helpers.run(blockSettings({}, ['20:00Z', '18:00Z']));
+        });
+
+        assert.deepStrictEqual(block.NotCancelled.map((booking) => booking.StartDateTime), [day(4) + 'T20:00:00.000Z']);
+        let finished = events.filter((recorded) => recorded.event !== 'started' && recorded.event !== 'attempt');
+        assert.deepStrictEqual(finished.map((recorded) => recorded.event), ['cancelFailed']);
+        assert.strictEqual(finished[0].details.booking, block);
+        assert.deepStrictEqual(finished[0].details.notCancelled, block.NotCancelled);
+        assert.deepStrictEqual(helpers.activeBookings(mock),
+            [day(4) + 'T18:00:00.000Z', day(4) + 'T19:00:00.000Z', day(4) + 'T20:00:00.000Z']);
+    });
+
+    it('gives the sessions it could not cancel with the error when nothing is booked', async () => {
+        mock.scriptResponses('AddBooking.json', [null, {Code: 500, Message: 'Sorry, There is no space left'}]);
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown error'}]);
+
+        let error;
+        let events = await helpers.recordEvents(async () => {
+            await assert.rejects(helpers.run(blockSettings({timeout: 300}, ['20:00Z'])), (err) => {
+                error = err;
+                return true;
+            });
+        });
+
+        assert.deepStrictEqual(error.notCancelled.map((booking) => booking.StartDateTime), [day(4) + 'T20:00:00.000Z']);
+        let cancelFailed = events.find((recorded) => recorded.event === 'cancelFailed');
+        assert.strictEqual(cancelFailed.details.error, error);
+        assert.strictEqual(events.filter((recorded) => recorded.event === 'failed' ||
+            recorded.event === 'timeout').length, 0);
+    });
+});
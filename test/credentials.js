@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const stream = require('stream');
+const util = require('util');
+
+const credentials = require('../src/credentials.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+/**
+ * Create a stand-in of the terminal
+ *
+ * Return an object in format {input, output, written()}, 'written' returning what was shown in the terminal.
+ */
+function createTerminal() {
+    let written = '';
+    let input = new stream.PassThrough();
+    input.isTTY = true;
+    let output = new stream.Writable({
+        write: (chunk, encoding, callback) => {
+            written += chunk;
+            return callback();
+        }
+    });
+    output.columns = 80;
+    return {input: input, output: output, written: () => written};
+}
+
+function ask(question, options, typed) {
+    return new Promise((resolve, reject) => {
+        credentials.prompt(question, options, (err, answer) => err ? reject(err) : resolve(answer));
+        if (typed !== undefined) {
+            options.input.write(typed);
+        }
+    });
+}
+
+describe('credentials prompt', () => {
+    it('shows the question but none of the typed characters of a hidden answer', async () => {
+        let terminal = createTerminal();
+
+        let answer = await ask('Password: ', Object.assign({hidden: true}, terminal), 's3cret\r');
+
+        assert.strictEqual(answer, 's3cret');
+        assert.strictEqual(terminal.written(), 'Password: \n');
+    });
+
+    it('echoes an answer which is not hidden', async () => {
+        let terminal = createTerminal();
+
+        let answer = await ask('Login: ', terminal, 'user@footbooker.test\r');
+
+        assert.strictEqual(answer, 'user@footbooker.test');
+        let written = terminal.written();
+        assert.ok(written.indexOf('Login: ') >= 0, written);
+        assert.ok(written.indexOf('user@footbooker.test') > written.indexOf('Login: '), written);
+    });
+
+    it('fails when not running in a terminal', async () => {
+        let terminal = createTerminal();
+        terminal.input.isTTY = false;
+
+        await assert.rejects(ask('Password: ', Object.assign({hidden: true}, terminal)), /not running in a terminal/);
+    });
+});
+
+describe('resolveCredentials', () => {
+    const resolve = util.promisify(credentials.resolveCredentials);
+    let secretsFile;
+
+    beforeEach(() => {
+        secretsFile = helpers.tempFile('secrets.json');
+        fs.writeFileSync(secretsFile, JSON.stringify({password: 'from file', other: 'other key'}), {mode: 0o600});
+        process.env.FOOTBOOKER_TEST_PASSWORD = 'from env';
+    });
+
+    afterEach(() => {
+        delete process.env.FOOTBOOKER_TEST_PASSWORD;
+    });
+
+    it('takes the values given in the settings', async () => {
+        assert.deepStrictEqual(await resolve({login: 'user@footbooker.test', password: 'password'}),
+            {login: 'user@footbooker.test', password: 'password'});
+    });
+
+    it('takes the environment variable first, then the secrets file', async () => {
+        let sources = {env: 'FOOTBOOKER_TEST_PASSWORD', file: secretsFile};
+
+        assert.strictEqual((await resolve({login: 'user', password: sources})).password, 'from env');
+        delete process.env.FOOTBOOKER_TEST_PASSWORD;
+        assert.strictEqual((await resolve({login: 'user', password: sources})).password, 'from file');
+        assert.strictEqual((await resolve({login: 'user', password: {file: secretsFile, key: 'other'}})).password,
+            'other key');
+    });
+
+    it('fails when no source has the credential', async () => {
+        delete process.env.FOOTBOOKER_TEST_PASSWORD;
+
+        await assert.rejects(resolve({login: 'user', password: {env: 'FOOTBOOKER_TEST_PASSWORD'}}),
+            /Credential password could not be found, environment variable FOOTBOOKER_TEST_PASSWORD is not set/);
+        await assert.rejects(resolve({login: 'user', password: {file: secretsFile, key: 'missing'}}),
+            /has no missing/);
+        await assert.rejects(resolve({password: 'password'}), /Credential login is missing/);
+    });
+
+    if (process.platform !== 'win32') {
+        it('refuses a secrets file other users can read', async () => {
+            fs.chmodSync(secretsFile, 0o644);
+
+            await assert.rejects(resolve({login: 'user', password: {file: secretsFile}}), /run "chmod 600 /);
+        });
+    }
+});
@@ -0,0 +1,161 @@
+const assert = require('assert');
+
+const daemon = require('../src/daemon.js');
+const footbooker = require('../src/footbooker.js');
+const utils = require('../src/utils.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+/**
+ * Get the current local time, as the release settings use it
+ *
+ * Return a time like '20:05', so that the release of today already happened.
+ */
+function currentTime() {
+    let now = new Date();
+    return ('0' + now.getHours()).substr(-2) + ':' + ('0' + now.getMinutes()).substr(-2);
+}
+
+describe('daemon', function () {
+    this.timeout(10000);
+    let mock;
+    let stopDaemon;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        if (stopDaemon) {
+            stopDaemon();
+            stopDaemon = undefined;
+        }
+        await helpers.stopMock(mock);
+    });
+
+    function settingsWith(daemonSettings, settings) {
+        let date = day(2);
+        return helpers.settingsFor(mock, Object.assign({
+            ledgerFile: helpers.tempFile('ledger.jsonl'),
+            timeout: 5000,
+            release: {time: currentTime(), daysAhead: 2, clockSamples: 1},
+            daemon: Object.assign({
+                stateFile: helpers.tempFile('daemon_state.json'),
+                startBefore: 0,
+                rules: [{
+                    name: 'rule',
+                    strategy: 'weekdayAndTimeOrder',
+                    weekdayAndTimeOrder: {weekday: helpers.weekdayOf(date), timePreference: ['20:00Z']}
+                }]
+            }, daemonSettings)
+        }, settings));
+    }
+
+    async function waitForRule(stateFile, name) {
+        let deadline = Date.now() + 8000;
+        for (;;) {
+            let ruleState = utils.loadStateFile(stateFile, {rules: {}}).rules[name];
+            if (ruleState && ruleState.status !== 'started') {
+                return ruleState;
+            }
+            if (Date.now() > deadline) {
+                throw new Error('Rule ' + name + ' did not finish');
+            }
+            await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+    }
+
+    it('books the date opened by a release just missed', async () => {
+        let settings = settingsWith();
+
+        stopDaemon = daemon.runDaemon(settings);
+        let ruleState = await waitForRule(settings.daemon.stateFile, 'rule');
+
+        assert.strictEqual(ruleState.status, 'done');
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+    });
+
+    it('runs again a rule interrupted while running its release', async () => {
+        let settings = settingsWith();
+        let rule = settings.daemon.rules[0];
+        let release = daemon.getNextRelease(daemon.getRuleSettings(settings, rule), undefined, Date.now() - 60000);
+        utils.saveStateFile(settings.daemon.stateFile, {rules: {rule: {
+            lastRelease: release.instant.toISOString(),
+            date: release.date,
+            status: 'started',
+            startedAt: new Date().toISOString()
+        }}});
+
+        stopDaemon = daemon.runDaemon(settings);
+        let ruleState = await waitForRule(settings.daemon.stateFile, 'rule');
+
+        assert.strictEqual(ruleState.status, 'done');
+        assert.strictEqual(ruleState.lastRelease, release.instant.toISOString());
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+    });
+
+    it('does not run again a rule which finished its release', async () => {
+        let settings = settingsWith({checkInterval: 100});
+        let rule = settings.daemon.rules[0];
+        let release = daemon.getNextRelease(daemon.getRuleSettings(settings, rule), undefined, Date.now() - 60000);
+        let ruleState = {
+            lastRelease: release.instant.toISOString(),
+            date: release.date,
+            status: 'done',
+            startedAt: new Date().toISOString(),
+            finishedAt: new Date().toISOString()
+        };
+        utils.saveStateFile(settings.daemon.stateFile, {rules: {rule: ruleState}});
+
+        stopDaemon = daemon.runDaemon(settings);
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        assert.deepStrictEqual(utils.loadStateFile(settings.daemon.stateFile, {rules: {}}).rules.rule, ruleState);
+        assert.deepStrictEqual(helpers.activeBookings(mock), []);
+    });
+
+    it('stops a rule after maxRunTime even without timeout', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z');
+        let settings = settingsWith({maxRunTime: 1500}, {timeout: undefined});
+        let startedAt = Date.now();
+
+        stopDaemon = daemon.runDaemon(settings);
+        let ruleState = await waitForRule(settings.daemon.stateFile, 'rule');
+
+        assert.strictEqual(ruleState.status, 'failed');
+        assert.ok(Date.now() - startedAt < 4000, 'expected the rule to stop after maxRunTime');
+    });
+
+    it('goes on with the other rules once a hung run reaches maxRunTime', async () => {
+        mock.delayResponses('validatelogin.json', [2500]);
+        let weekday = helpers.weekdayOf(day(2));
+        let settings = settingsWith({
+            maxRunTime: 1000,
+            rules: [
+                {name: 'hung', strategy: 'weekdayAndTimeOrder', weekdayAndTimeOrder: {weekday: weekday, timePreference: ['20:00Z']}},
+                {name: 'next', strategy: 'weekdayAndTimeOrder', weekdayAndTimeOrder: {weekday: weekday, timePreference: ['21:00Z']}}
+            ]
+        });
+
+        // Listened from the start, so that the hung run can end before the mock site stops
+        let hungRunEnded = new Promise((resolve) => footbooker.events.once('timeout', resolve));
+
+        stopDaemon = daemon.runDaemon(settings);
+        let hungState = await waitForRule(settings.daemon.stateFile, 'hung');
+        let nextState = await waitForRule(settings.daemon.stateFile, 'next');
+
+        assert.strictEqual(hungState.status, 'failed');
+        assert.ok(/maxRunTime/.test(hungState.result));
+        assert.strictEqual(nextState.status, 'done');
+        assert.ok(helpers.activeBookings(mock).indexOf(day(2) + 'T21:00:00.000Z') >= 0);
+        await hungRunEnded;
+    });
+
+    it('rejects a maxRunTime not longer than startBefore', () => {
+        assert.throws(() => daemon.runDaemon(settingsWith({maxRunTime: 1000, startBefore: 1000})),
+            /daemon\.maxRunTime/);
+    });
+});
@@ -0,0 +1,46 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('dateAndTimeOrder', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('books the first available preference', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z', day(2) + 'T18:00:00Z'];
+        mock.takeSession(preferences[0]);
+
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            dateAndTimeOrder: {bookingPreference: preferences}
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preferences[1]).toISOString());
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[1]).toISOString()]);
+    });
+
+    it('fails with SlotTaken when every preference is taken', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        preferences.forEach((preference) => mock.takeSession(preference));
+
+        await assert.rejects(helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            timeout: 300,
+            dateAndTimeOrder: {bookingPreference: preferences}
+        })), (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+        assert.deepStrictEqual(helpers.activeBookings(mock), []);
+    });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+
+const dryRun = require('../src/dry-run.js');
+const errors = require('../src/errors.js');
+const footbooker = require('../src/footbooker.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('dry run report', () => {
+    const preferences = {bookingPreference: ['2017-10-11T20:00:00Z', '2017-10-11T19:00:00Z']};
+
+    function booking(time) {
+        return {Guid: 'guid', StartDateTime: '2017-10-11T' + time + ':00Z', ActivityName: 'Football'};
+    }
+
+    describe('formatReport', () => {
+        it('tells what would be booked, its choice and whether it would upgrade', () => {
+            let lines = dryRun.formatReport('booked', {strategy: 'dateAndTimeOrder', booking: booking('19:00')},
+                preferences);
+
+            assert.strictEqual(lines.length, 2);
+            assert.ok(/^Dry run of dateAndTimeOrder: would book Football on .* \(choice 2 of 2\)$/.test(lines[0]),
+                lines[0]);
+            assert.strictEqual(lines[1], 'No more preferred session is available right now, so it would not upgrade');
+        });
+
+        it('tells the upgrade it would make', () => {
+            let lines = dryRun.formatReport('upgraded', {
+                strategy: 'dateAndTimeOrder',
+                rule: 'monday',
+                booking: booking('20:00'),
+                previousBooking: booking('19:00')
+            }, preferences);
+
+            assert.ok(/^Dry run of dateAndTimeOrder \(rule monday\): would book .*\(choice 2 of 2\)$/.test(lines[0]),
+                lines[0]);
+            assert.ok(/^It would then upgrade to .*\(choice 1 of 2\) and cancel the first one$/.test(lines[1]),
+                lines[1]);
+        });
+
+        it('tells why nothing would be booked, one line per failure', () => {
+            let error = errors.combine('None of the bookings was successful', [
+                new errors.SlotTakenError('taken'),
+                new errors.NotYetOpenError('not open')
+            ]);
+
+            assert.deepStrictEqual(dryRun.formatReport('failed', {strategy: 'dateAndTimeOrder', error: error}), [
+                'Dry run of dateAndTimeOrder: would not book anything:',
+                '  - SlotTaken: taken',
+                '  - NotYetOpen: not open'
+            ]);
+        });
+    });
+
+    describe('subscribe', () => {
+        it('only reports the dry runs', () => {
+            let emitter = new EventEmitter();
+            let lines = [];
+            let unsubscribe = dryRun.subscribe(emitter, (line) => lines.push(line));
+
+            emitter.emit('started', {strategy: 'dateAndTimeOrder', preferences: preferences, dryRun: false});
+            emitter.emit('booked', {strategy: 'dateAndTimeOrder', booking: booking('20:00')});
+            emitter.emit('started', {strategy: 'dateAndTimeOrder', preferences: preferences, dryRun: true});
+            emitter.emit('booked', {strategy: 'dateAndTimeOrder', booking: booking('20:00')});
+            unsubscribe();
+
+            assert.strictEqual(lines.length, 1);
+            assert.ok(/would book .*\(choice 1 of 2\)$/.test(lines[0]), lines[0]);
+            assert.strictEqual(emitter.listenerCount('started'), 0);
+        });
+    });
+
+    describe('against the mock site', function () {
+        this.timeout(10000);
+        let mock;
+
+        beforeEach(async () => {
+            mock = await helpers.startMock();
+        });
+
+        afterEach(async () => {
+            await helpers.stopMock(mock);
+        });
+
+        it('reports the session it would book without booking it', async () => {
+            let bookingPreference = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+            mock.takeSession(bookingPreference[0]);
+            let lines = [];
+            let unsubscribe = dryRun.subscribe(footbooker.events, (line) => lines.push(line));
+
+            try {
+                await helpers.run(helpers.settingsFor(mock, {
+                    strategy: 'dateAndTimeOrder',
+                    dryRun: true,
+                    dateAndTimeOrder: {bookingPreference: bookingPreference}
+                }));
+            } finally {
+                unsubscribe();
+            }
+
+            assert.deepStrictEqual(mock.bookings(), []);
+            assert.strictEqual(lines.length, 2);
+            assert.ok(/would book Football on .* \(choice 2 of 2\)$/.test(lines[0]), lines[0]);
+        });
+    });
+});
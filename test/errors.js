@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+
+'use-strict';
+
+describe('errors', () => {
+    describe('fromResponse', () => {
+        it('finds the kind of the failure from the response of the site', () => {
+            let cases = [
+                [{Code: 401, Message: 'Email or password was not recognised'}, errors.kinds.AuthFailed],
+                [{Code: 500, Message: 'Sorry, There is no space left to complete the booking. Please refresh the ' +
+                    'page and try again'}, errors.kinds.SlotTaken],
+                [{Code: 500, Message: 'The parameters specified are not valid'}, errors.kinds.InvalidParameters],
+                [{Code: 500, Message: 'Unknown Error Occurred'}, errors.kinds.Unexpected],
+                [{Code: 500, Message: 'Something else'}, errors.kinds.Unexpected],
+                [undefined, errors.kinds.Unexpected]
+            ];
+
+            cases.forEach((testCase) => {
+                let err = errors.fromResponse('Operation failed', testCase[0]);
+                assert.ok(err instanceof errors.BookingError);
+                assert.strictEqual(errors.kindOf(err), testCase[1], JSON.stringify(testCase[0]));
+            });
+        });
+
+        it('gives the unknown errors the kind of the operation', () => {
+            let err = errors.fromResponse('List available sessions failed', {Code: 500,
+                Message: 'Unknown Error Occurred'}, errors.kinds.NotYetOpen);
+
+            assert.ok(err instanceof errors.NotYetOpenError);
+            assert.strictEqual(err.name, 'NotYetOpenError');
+        });
+
+        it('keeps the response in the error', () => {
+            let response = {Code: 500, Message: 'The parameters specified are not valid'};
+
+            let err = errors.fromResponse('Send book request failed', response);
+
+            assert.strictEqual(err.message, 'Send book request failed: ' + JSON.stringify(response));
+            assert.strictEqual(err.response, response);
+        });
+    });
+
+    describe('kindOf', () => {
+        it('is Unexpected for the errors which are not booking errors', () => {
+            assert.strictEqual(errors.kindOf(new Error('any')), errors.kinds.Unexpected);
+            assert.strictEqual(errors.kindOf(undefined), errors.kinds.Unexpected);
+        });
+    });
+
+    describe('combine', () => {
+        it('takes the kind most worth retrying', () => {
+            let causes = [
+                new errors.SlotTakenError('taken'),
+                new errors.NotYetOpenError('not open'),
+                new errors.AuthFailedError('auth')
+            ];
+
+            let err = errors.combine('None of the bookings was successful', causes);
+
+            assert.ok(err instanceof errors.NotYetOpenError);
+            assert.strictEqual(err.message, 'None of the bookings was successful');
+            assert.strictEqual(err.causes, causes);
+        });
+
+        it('prefers any failure to retry over the rejections', () => {
+            assert.strictEqual(errors.kindOf(errors.combine('failed', [
+                new errors.InvalidParametersError('invalid'),
+                new Error('unknown'),
+                new errors.SlotTakenError('taken')
+            ])), errors.kinds.Unexpected);
+            assert.ok(errors.combine('failed', [
+                new errors.SlotTakenError('taken'),
+                new errors.TransportError('refused', Object.assign(new Error('refused'), {code: 'ECONNREFUSED'}))
+            ]) instanceof errors.TransportError);
+        });
+
+        it('is Unexpected without causes', () => {
+            assert.strictEqual(errors.kindOf(errors.combine('failed', [])), errors.kinds.Unexpected);
+        });
+    });
+});
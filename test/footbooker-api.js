@@ -0,0 +1,99 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const footbooker = require('../src/footbooker.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('footbooker API', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    let wrongPasswordSettings = () => helpers.settingsFor(mock, {
+        strategy: 'dateAndTimeOrder',
+        credentials: {login: helpers.login, password: 'wrong'},
+        dateAndTimeOrder: {bookingPreference: [day(2) + 'T20:00:00Z']}
+    });
+
+    it('passes the result to the callback', (done) => {
+        footbooker.dateAndTimeOrder(helpers.settingsFor(mock, {
+            dateAndTimeOrder: {bookingPreference: [day(2) + 'T20:00:00Z']}
+        }), (err, booking) => {
+            assert.ifError(err);
+            assert.strictEqual(new Date(booking.StartDateTime).toISOString(), day(2) + 'T20:00:00.000Z');
+            done();
+        });
+    });
+
+    it('does not return a promise when called without a callback', (done) => {
+        let unhandled = (reason) => done(new Error('Unhandled rejection: ' + reason));
+        process.once('unhandledRejection', unhandled);
+        footbooker.events.once('failed', (details) => {
+            assert.strictEqual(errors.kindOf(details.error), errors.kinds.AuthFailed);
+            // Gives an unhandled rejection the time to be reported
+            setTimeout(() => {
+                process.removeListener('unhandledRejection', unhandled);
+                done();
+            }, 50);
+        });
+
+        assert.strictEqual(footbooker.dateAndTimeOrder(wrongPasswordSettings()), undefined);
+    });
+
+    it('rejects the promise of the promise API', async () => {
+        await assert.rejects(footbooker.promises.run(wrongPasswordSettings()),
+            (err) => errors.kindOf(err) === errors.kinds.AuthFailed);
+        await assert.rejects(footbooker.promises.run({strategy: 'unknown'}), /Invalid strategy "unknown"/);
+    });
+});
+
+describe('BookingClient', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('books for real after a dry run of a strategy', async () => {
+        await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            dryRun: true,
+            dateAndTimeOrder: {bookingPreference: [day(2) + 'T20:00:00Z']}
+        }));
+        let client = await new footbooker.BookingClient({hostname: mock.url}).login(helpers.login, helpers.password);
+
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+
+        assert.ok(!booking.DryRun);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+    });
+
+    it('only simulates the bookings and cancellations in a dry run', async () => {
+        let real = await new footbooker.BookingClient({hostname: mock.url}).login(helpers.login, helpers.password);
+        let held = await real.book(day(2) + 'T19:00:00Z');
+        let client = await new footbooker.BookingClient({hostname: mock.url, dryRun: true})
+            .login(helpers.login, helpers.password);
+
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+        await client.cancel(held.Guid, 'Test');
+
+        assert.strictEqual(booking.DryRun, true);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T19:00:00.000Z']);
+    });
+});
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+
+const ledger = require('../src/ledger.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+describe('ledger', () => {
+    /**
+     * Build a run as recorded by ledger.subscribe, with only what the statistics use
+     */
+    function run(weekday, time, rank) {
+        return {
+            firstChoice: {weekday: weekday, time: time},
+            booking: rank === undefined ? undefined : {Guid: 'guid'},
+            rank: rank
+        };
+    }
+
+    describe('computeStats', () => {
+        it('counts the runs booked and getting the first choice', () => {
+            let stats = ledger.computeStats([
+                run('Wednesday', '20:00', 0),
+                run('Wednesday', '20:00', 1),
+                run('Monday', '19:00', 0),
+                run('Monday', '20:00')
+            ]);
+
+            assert.deepStrictEqual(stats.total, {runs: 4, booked: 3, firstChoice: 2});
+            assert.deepStrictEqual(stats.perWeekday, [
+                {key: 'Monday', runs: 2, booked: 1, firstChoice: 1},
+                {key: 'Wednesday', runs: 2, booked: 2, firstChoice: 1}
+            ]);
+            assert.deepStrictEqual(stats.perTime, [
+                {key: '19:00', runs: 1, booked: 1, firstChoice: 1},
+                {key: '20:00', runs: 3, booked: 2, firstChoice: 1}
+            ]);
+        });
+
+        it('sorts the weekdays from Sunday and the ranks as numbers', () => {
+            let stats = ledger.computeStats([
+                run('Saturday', '20:00', 9),
+                run('Tuesday', '20:00', 1),
+                run('Sunday', '20:00', 0),
+                run('Tuesday', '20:00', 1)
+            ]);
+
+            assert.deepStrictEqual(stats.perWeekday.map((group) => group.key), ['Sunday', 'Tuesday', 'Saturday']);
+            assert.deepStrictEqual(stats.perRank, [{key: '1', runs: 1}, {key: '2', runs: 2}, {key: '10', runs: 1}]);
+        });
+
+        it('leaves the runs without first choice out of the groups', () => {
+            let stats = ledger.computeStats([{rank: undefined}]);
+
+            assert.deepStrictEqual(stats, {
+                total: {runs: 1, booked: 0, firstChoice: 0},
+                perWeekday: [],
+                perTime: [],
+                perRank: []
+            });
+        });
+    });
+
+    describe('readRuns', () => {
+        it('skips the lines which cannot be parsed', () => {
+            let ledgerFile = helpers.tempFile('ledger.jsonl');
+            fs.writeFileSync(ledgerFile, JSON.stringify({outcome: 'booked'}) + '\n{"outcome": "fai\n\n' +
+                JSON.stringify({outcome: 'failed'}) + '\n');
+
+            assert.deepStrictEqual(ledger.readRuns(ledgerFile), [{outcome: 'booked'}, {outcome: 'failed'}]);
+        });
+
+        it('is empty when the ledger does not exist yet', () => {
+            assert.deepStrictEqual(ledger.readRuns(helpers.tempFile('missing.jsonl')), []);
+        });
+    });
+
+    describe('getChoiceRank', () => {
+        it('finds the position of the booking in the preferences', () => {
+            let preferences = {weekday: 'Wednesday', timePreference: ['20:00Z', '19:00Z-21:00Z']};
+
+            assert.strictEqual(ledger.getChoiceRank('weekdayAndTimeOrder', preferences,
+                {StartDateTime: '2017-10-11T20:00:00Z'}), 0);
+            assert.strictEqual(ledger.getChoiceRank('weekdayAndTimeOrder', preferences,
+                {StartDateTime: '2017-10-11T19:00:00Z'}), 1);
+            assert.strictEqual(ledger.getChoiceRank('weekdayAndTimeOrder', preferences,
+                {StartDateTime: '2017-10-11T08:00:00Z'}), undefined);
+            assert.strictEqual(ledger.getChoiceRank('dateAndTimeOrder', {
+                bookingPreference: ['2017-10-11T20:00:00Z', '2017-10-12T20:00:00Z']
+            }, {StartDateTime: '2017-10-12T20:00:00Z'}), 1);
+        });
+    });
+});
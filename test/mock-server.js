@@ -0,0 +1,107 @@
+const assert = require('assert');
+const http = require('http');
+
+const errors = require('../src/errors.js');
+const footbooker = require('../src/footbooker.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+/**
+ * Post a JSON body to an endpoint of the mock, without logging in
+ *
+ * Resolve with the parsed response.
+ */
+function post(mock, path, body) {
+    return new Promise((resolve, reject) => {
+        let req = http.request(mock.url + '/Services/Commercial/api' + path, {method: 'POST'}, (res) => {
+            let chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve(JSON.parse(Buffer.concat(chunks).toString())));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+describe('mock booking site', function () {
+    this.timeout(10000);
+    let mock;
+    let client;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+        client = new footbooker.BookingClient({hostname: mock.url});
+        await client.login(helpers.login, helpers.password);
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('only logs in the accounts it knows', async () => {
+        await assert.rejects(client.login('nobody@footbooker.test', helpers.password),
+            (err) => errors.kindOf(err) === errors.kinds.AuthFailed);
+    });
+
+    it('answers the calls made without logging in as unauthorised', async () => {
+        assert.deepStrictEqual(await post(mock, '/muga/list.json', {}), {Code: 401, Message: 'Unauthorised'});
+    });
+
+    it('lists the sessions of the open dates with their availability', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z');
+
+        let sessions = await client.listAvailable(day(2));
+
+        assert.strictEqual(sessions.length, 13);
+        assert.ok(sessions.every((session) => {
+            return new Date(session.startTime).toISOString() !== day(2) + 'T20:00:00.000Z';
+        }));
+        await assert.rejects(client.listAvailable(day(10)), (err) => errors.kindOf(err) === errors.kinds.NotYetOpen);
+    });
+
+    it('books a session only once until it is cancelled', async () => {
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+
+        await assert.rejects(client.book(day(2) + 'T20:00:00Z'),
+            (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+        assert.deepStrictEqual((await client.listBookings()).map((listed) => listed.Guid), [booking.Guid]);
+
+        await client.cancel(booking.Guid, 'Test');
+
+        assert.deepStrictEqual(await client.listBookings(), []);
+        assert.strictEqual(mock.bookings()[0].cancelReason, 'Test');
+        await client.book(day(2) + 'T20:00:00Z');
+    });
+
+    it('books the sessions freed up by someone else', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z');
+        await assert.rejects(client.book(day(2) + 'T20:00:00Z'),
+            (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+
+        mock.freeSession(day(2) + 'T20:00:00Z');
+
+        await client.book(day(2) + 'T20:00:00Z');
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+    });
+
+    it('opens the dates at the release time of its clock', async () => {
+        mock.setNow(day(2) + 'T23:59:00Z');
+        await assert.rejects(client.listAvailable(day(10)), (err) => errors.kindOf(err) === errors.kinds.NotYetOpen);
+
+        mock.advance(60000);
+
+        assert.strictEqual((await client.listAvailable(day(10))).length, 14);
+    });
+
+    it('answers with the scripted responses first', async () => {
+        mock.scriptResponses('AddBooking.json', [{Code: 500, Message: 'The parameters specified are not valid'}, null]);
+
+        await assert.rejects(client.book(day(2) + 'T20:00:00Z'),
+            (err) => errors.kindOf(err) === errors.kinds.InvalidParameters);
+        await client.book(day(2) + 'T20:00:00Z');
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 2);
+    });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+
+const connection = require('../src/connection.js');
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('multiWeekdayOrder', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    function rules() {
+        return [
+            {name: 'first', weekday: helpers.weekdayOf(day(4)), offset: 0, date: day(4), timePreference: ['20:00Z']},
+            {name: 'second', weekday: helpers.weekdayOf(day(5)), offset: 0, date: day(5), timePreference: ['20:00Z']}
+        ];
+    }
+
+    it('books each rule on its own and reports the rules which failed', async () => {
+        mock.takeSession(day(5) + 'T20:00:00Z');
+
+        let outcomes = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'multiWeekdayOrder',
+            timeout: 300,
+            multiWeekdayOrder: {rules: rules()}
+        }));
+
+        assert.strictEqual(outcomes[0].Rule, 'first');
+        assert.strictEqual(new Date(outcomes[0].StartDateTime).toISOString(), day(4) + 'T20:00:00.000Z');
+        assert.strictEqual(outcomes[1].Rule, 'second');
+        assert.strictEqual(outcomes[1].ErrorKind, errors.kinds.SlotTaken);
+    });
+
+    it('loads the cookie file once for all the rules', async () => {
+        let useCookieFile = connection.useCookieFile;
+        let loaded = 0;
+        connection.useCookieFile = (file) => {
+            loaded++;
+            return useCookieFile(file);
+        };
+
+        try {
+            await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'multiWeekdayOrder',
+                cookieFile: helpers.tempFile('cookies.json'),
+                multiWeekdayOrder: {rules: rules()}
+            }));
+        } finally {
+            connection.useCookieFile = useCookieFile;
+        }
+
+        assert.strictEqual(loaded, 1);
+        assert.strictEqual(helpers.activeBookings(mock).length, 2);
+        assert.strictEqual(helpers.countRequests(mock, 'validatelogin.json'), 1);
+    });
+});
@@ -0,0 +1,272 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const footbooker = require('../src/footbooker.js');
+const mockNotifications = require('../src/mock-notifications.js');
+const notifier = require('../src/notifier.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+/**
+ * Start a stand-in webhook receiver
+ *
+ * Resolve with the receiver, its url set as 'url'.
+ */
+function startWebhook(options) {
+    let webhook = mockNotifications.createWebhookServer(options);
+    return new Promise((resolve, reject) => {
+        webhook.listen(0, (err, url) => {
+            if (err) {
+                return reject(err);
+            }
+            webhook.url = url;
+            return resolve(webhook);
+        });
+    });
+}
+
+/**
+ * Run a strategy with its events notified, as the cli does
+ *
+ * Resolve with {result, error} once the strategy is done.
+ */
+async function runNotified(settings) {
+    let unsubscribe = notifier.subscribe(footbooker.events, settings.notifications);
+    try {
+        return {result: await helpers.run(settings)};
+    } catch (err) {
+        return {error: err};
+    } finally {
+        unsubscribe();
+    }
+}
+
+/**
+ * Wait until a stand-in received a number of notifications
+ *
+ * Resolve with the ones received, or reject after 'timeout' milliseconds.
+ */
+async function waitForReceived(receiver, count, timeout) {
+    let deadline = Date.now() + (timeout || 3000);
+    while (receiver.received().length < count) {
+        if (Date.now() > deadline) {
+            throw new Error('Received ' + receiver.received().length + ' notifications, expected ' + count);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return receiver.received();
+}
+
+describe('notifier', function () {
+    this.timeout(10000);
+    let mock;
+    let webhook;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+        if (webhook) {
+            await new Promise((resolve) => webhook.close(resolve));
+            webhook = undefined;
+        }
+    });
+
+    describe('webhook', () => {
+        it('posts the booking when booked', async () => {
+            webhook = await startWebhook();
+            let preference = day(2) + 'T20:00:00Z';
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                dateAndTimeOrder: {bookingPreference: [preference]},
+                notifications: {webhook: {url: webhook.url, headers: {'Authorization': 'Bearer token'}}}
+            }));
+
+            assert.ok(outcome.result);
+            let received = (await waitForReceived(webhook, 1))[0];
+            assert.strictEqual(received.headers.authorization, 'Bearer token');
+            assert.strictEqual(received.body.event, 'booked');
+            assert.strictEqual(received.body.strategy, 'dateAndTimeOrder');
+            assert.ok(received.body.message.indexOf('Booked ') === 0, received.body.message);
+            assert.strictEqual(received.body.booking.Guid, outcome.result.Guid);
+            assert.strictEqual(new Date(received.body.booking.StartDateTime).toISOString(),
+                new Date(preference).toISOString());
+            assert.ok(received.body.booking.LocalStartDateTime);
+            assert.ok(!isNaN(new Date(received.body.time).getTime()));
+        });
+
+        it('posts the error and its kind when failed', async () => {
+            webhook = await startWebhook();
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                activity: 'Curling',
+                dateAndTimeOrder: {bookingPreference: [day(2) + 'T20:00:00Z']},
+                notifications: {webhook: {url: webhook.url}}
+            }));
+
+            assert.strictEqual(errors.kindOf(outcome.error), errors.kinds.InvalidParameters);
+            let failed = (await waitForReceived(webhook, 1)).find((received) => received.body.event === 'failed');
+            assert.ok(failed, 'expected a failed notification');
+            assert.strictEqual(failed.body.error, outcome.error.message);
+            assert.strictEqual(failed.body.errorKind, errors.kinds.InvalidParameters);
+            assert.strictEqual(failed.body.message, 'Could not make a booking: ' + outcome.error.message);
+            assert.strictEqual(failed.body.booking, undefined);
+        });
+
+        it('posts both bookings when the previous one could not be cancelled', async () => {
+            webhook = await startWebhook();
+            let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+            mock.takeSession(preferences[0]);
+            setTimeout(() => mock.freeSession(preferences[0]), 200);
+            mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                upgradeTimeout: 1500,
+                dateAndTimeOrder: {bookingPreference: preferences},
+                notifications: {webhook: {url: webhook.url}, events: ['cancelFailed']}
+            }));
+
+            assert.ok(outcome.result);
+            let cancelFailed = (await waitForReceived(webhook, 1))[0].body;
+            assert.strictEqual(cancelFailed.event, 'cancelFailed');
+            assert.ok(cancelFailed.message.indexOf('please cancel it manually') > 0, cancelFailed.message);
+            assert.strictEqual(new Date(cancelFailed.booking.StartDateTime).toISOString(),
+                new Date(preferences[0]).toISOString());
+            assert.strictEqual(new Date(cancelFailed.previousBooking.StartDateTime).toISOString(),
+                new Date(preferences[1]).toISOString());
+            assert.ok(cancelFailed.previousBooking.LocalStartDateTime);
+        });
+
+        it('posts the bookings a strategy left behind', async () => {
+            webhook = await startWebhook();
+            mock.scriptResponses('AddBooking.json', [null, {Code: 500, Message: 'Sorry, There is no space left'}]);
+            mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'consecutiveSessionsOrder',
+                timeout: 300,
+                consecutiveSessionsOrder: {
+                    weekday: helpers.weekdayOf(day(4)),
+                    offset: 0,
+                    date: day(4),
+                    sessions: 2,
+                    timePreference: ['20:00Z']
+                },
+                notifications: {webhook: {url: webhook.url}}
+            }));
+
+            assert.ok(outcome.error);
+            let cancelFailed = (await waitForReceived(webhook, 1))[0].body;
+            assert.strictEqual(cancelFailed.event, 'cancelFailed');
+            assert.ok(cancelFailed.message.indexOf('Could not make a booking but could not cancel') === 0,
+                cancelFailed.message);
+            assert.strictEqual(cancelFailed.errorKind, errors.kinds.SlotTaken);
+            assert.strictEqual(cancelFailed.notCancelled.length, 1);
+            assert.strictEqual(new Date(cancelFailed.notCancelled[0].StartDateTime).toISOString(),
+                day(4) + 'T20:00:00.000Z');
+            assert.ok(cancelFailed.notCancelled[0].LocalStartDateTime);
+        });
+
+        it('does not affect the booking when the webhook answers with an error', async () => {
+            webhook = await startWebhook({status: 500});
+            let preference = day(2) + 'T20:00:00Z';
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                dateAndTimeOrder: {bookingPreference: [preference]},
+                notifications: {webhook: {url: webhook.url}}
+            }));
+
+            assert.strictEqual(outcome.error, undefined);
+            assert.strictEqual(new Date(outcome.result.StartDateTime).toISOString(), new Date(preference).toISOString());
+            assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preference).toISOString()]);
+            await waitForReceived(webhook, 1);
+            // Logged, but never passed to the callback
+            await new Promise((resolve, reject) => {
+                notifier.notify({webhook: {url: webhook.url}}, 'booked', {booking: outcome.result}, (err) => {
+                    return err ? reject(err) : resolve();
+                });
+            });
+        });
+
+        it('does not affect the booking when the webhook does not answer in time', async () => {
+            webhook = await startWebhook({delay: 2000});
+            let preference = day(2) + 'T20:00:00Z';
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                dateAndTimeOrder: {bookingPreference: [preference]},
+                notifications: {webhook: {url: webhook.url, timeout: 200}}
+            }));
+
+            assert.strictEqual(outcome.error, undefined);
+            assert.strictEqual(new Date(outcome.result.StartDateTime).toISOString(), new Date(preference).toISOString());
+            assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preference).toISOString()]);
+            await waitForReceived(webhook, 1);
+            let startedAt = Date.now();
+            await new Promise((resolve, reject) => {
+                let notifications = {webhook: {url: webhook.url, timeout: 200}};
+                notifier.notify(notifications, 'booked', {booking: outcome.result}, (err) => {
+                    return err ? reject(err) : resolve();
+                });
+            });
+            assert.ok(Date.now() - startedAt < 2000, 'expected the webhook to time out');
+        });
+    });
+
+    describe('email', () => {
+        let smtp;
+
+        afterEach(async () => {
+            await new Promise((resolve) => smtp.close(resolve));
+        });
+
+        it('sends the notification as a message', async () => {
+            smtp = mockNotifications.createSmtpServer();
+            let port = await new Promise((resolve) => smtp.listen(0, (err, port) => resolve(port)));
+            let preference = day(2) + 'T20:00:00Z';
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                dateAndTimeOrder: {bookingPreference: [preference]},
+                notifications: {
+                    email: {host: '127.0.0.1', port: port, secure: false, from: 'footbooker@footbooker.test',
+                        to: 'player@footbooker.test'}
+                }
+            }));
+
+            assert.ok(outcome.result);
+            let message = (await waitForReceived(smtp, 1))[0];
+            assert.strictEqual(message.from, 'footbooker@footbooker.test');
+            assert.deepStrictEqual(message.to, ['player@footbooker.test']);
+            assert.ok(/Subject: \[footbooker\] Booked /.test(message.data), message.data);
+            assert.ok(message.data.indexOf('Strategy: dateAndTimeOrder') >= 0, message.data);
+        });
+
+        it('does not affect the booking when the server cannot be reached', async () => {
+            smtp = mockNotifications.createSmtpServer();
+            let port = await new Promise((resolve) => smtp.listen(0, (err, port) => resolve(port)));
+            await new Promise((resolve) => smtp.close(resolve));
+            smtp = {close: (callback) => callback()};
+            let preference = day(2) + 'T20:00:00Z';
+
+            let outcome = await runNotified(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                dateAndTimeOrder: {bookingPreference: [preference]},
+                notifications: {email: {host: '127.0.0.1', port: port, secure: false, timeout: 500,
+                    from: 'footbooker@footbooker.test', to: 'player@footbooker.test'}}
+            }));
+
+            assert.strictEqual(outcome.error, undefined);
+            assert.strictEqual(new Date(outcome.result.StartDateTime).toISOString(), new Date(preference).toISOString());
+        });
+    });
+});
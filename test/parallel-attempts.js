@@ -0,0 +1,125 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('parallelAttempts', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('keeps the most preferred booking and releases the others', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z', day(2) + 'T18:00:00Z'];
+
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            parallelAttempts: 2,
+            dateAndTimeOrder: {bookingPreference: preferences}
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preferences[0]).toISOString());
+        assert.strictEqual(helpers.countRequests(mock, 'AddBooking.json'), 2);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[0]).toISOString()]);
+    });
+
+    it('books an open date when another date of the preferences is not open yet', async () => {
+        let preferences = [day(20) + 'T20:00:00Z', day(2) + 'T20:00:00Z'];
+
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            parallelAttempts: 2,
+            dateAndTimeOrder: {bookingPreference: preferences}
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preferences[1]).toISOString());
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[1]).toISOString()]);
+    });
+
+    it('fails as not open yet when none of the dates is open', async () => {
+        await assert.rejects(helpers.run(helpers.settingsFor(mock, {
+            strategy: 'dateAndTimeOrder',
+            parallelAttempts: 2,
+            timeout: 300,
+            dateAndTimeOrder: {bookingPreference: [day(20) + 'T20:00:00Z', day(21) + 'T20:00:00Z']}
+        })), (err) => errors.kindOf(err) === errors.kinds.NotYetOpen);
+        assert.deepStrictEqual(helpers.activeBookings(mock), []);
+    });
+
+    it('reports the extra bookings it could not release', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+
+        let booking;
+        let events = await helpers.recordEvents(async () => {
+            booking = await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                parallelAttempts: 2,
+                dateAndTimeOrder: {bookingPreference: preferences}
+            }));
+        });
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preferences[0]).toISOString());
+        assert.deepStrictEqual(booking.NotCancelled.map((notCancelled) => notCancelled.StartDateTime),
+            [new Date(preferences[1]).toISOString()]);
+        let finished = events.filter((recorded) => recorded.event !== 'started');
+        assert.deepStrictEqual(finished.map((recorded) => recorded.event), ['cancelFailed']);
+        assert.deepStrictEqual(finished[0].details.notCancelled, booking.NotCancelled);
+    });
+
+    it('reports the extra bookings it could not release while watching once', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+
+        let events = await helpers.recordEvents(async () => {
+            await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'watchOrder',
+                parallelAttempts: 2,
+                watchOrder: {bookingPreference: preferences, interval: 50, maxInterval: 50, stopBefore: 0}
+            }));
+        });
+
+        let finished = events.filter((recorded) => recorded.event !== 'started');
+        assert.deepStrictEqual(finished.map((recorded) => recorded.event), ['cancelFailed', 'booked']);
+        assert.strictEqual(finished[0].details.watching, true);
+        assert.deepStrictEqual(finished[0].details.notCancelled.map((notCancelled) => notCancelled.StartDateTime),
+            [new Date(preferences[1]).toISOString()]);
+        assert.strictEqual(finished[1].details.notCancelled, undefined);
+    });
+
+    it('counts the extra bookings it could not release against maxActiveBookings', async () => {
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+        // The second rule lists the sessions once the first one is booked
+        mock.delayResponses('ListAvailableSessions.json', [0, 500]);
+
+        let outcomes = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'multiWeekdayOrder',
+            parallelAttempts: 2,
+            maxActiveBookings: 2,
+            multiWeekdayOrder: {
+                rules: [
+                    {name: 'first', weekday: helpers.weekdayOf(day(4)), offset: 0, date: day(4),
+                        timePreference: ['20:00Z', '19:00Z']},
+                    {name: 'second', weekday: helpers.weekdayOf(day(5)), offset: 0, date: day(5),
+                        timePreference: ['20:00Z', '19:00Z']}
+                ]
+            }
+        }));
+
+        assert.strictEqual(helpers.activeBookings(mock).length, 2);
+        let failed = outcomes.filter((outcome) => outcome.ErrorKind);
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].ErrorKind, errors.kinds.LimitReached);
+        assert.strictEqual(outcomes.filter((outcome) => outcome.NotCancelled).length, 1);
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+
+const release = require('../src/release.js');
+const serverClock = require('../src/server-clock.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('release', () => {
+    describe('getReleaseInstant', () => {
+        it('is daysAhead days before the date, at the local release time', () => {
+            let instant = release.getReleaseInstant('2017-10-11T00:00:00.000Z', {time: '07:30', daysAhead: 2});
+
+            assert.strictEqual(instant.getTime(), new Date(2017, 9, 9, 7, 30).getTime());
+        });
+
+        it('is midnight a week before the date by default', () => {
+            assert.strictEqual(release.getReleaseInstant('2017-10-11T00:00:00.000Z').getTime(),
+                new Date(2017, 9, 4).getTime());
+        });
+    });
+
+    describe('getReleasedDate', () => {
+        it('is the date daysAhead days after the release instant', () => {
+            assert.strictEqual(release.getReleasedDate(new Date(2017, 9, 9, 7, 30), {daysAhead: 2}),
+                '2017-10-11T00:00:00.000Z');
+        });
+
+        it('opens the date of getReleaseInstant', () => {
+            let settings = {time: '23:30', daysAhead: 3};
+
+            assert.strictEqual(release.getReleasedDate(release.getReleaseInstant('2017-12-31T00:00:00.000Z',
+                settings), settings), '2017-12-31T00:00:00.000Z');
+        });
+    });
+
+    describe('getNextReleaseInstant', () => {
+        it('is the release of today until burstDuration after it', () => {
+            let today = new Date(2017, 9, 9, 7, 30).getTime();
+
+            assert.strictEqual(release.getNextReleaseInstant({time: '07:30'}, today + 10000).getTime(), today);
+            assert.strictEqual(release.getNextReleaseInstant({time: '07:30'}, today + 10001).getTime(),
+                new Date(2017, 9, 10, 7, 30).getTime());
+        });
+    });
+
+    describe('getRetryTimeout', () => {
+        const settings = {burstBefore: 200, burstDuration: 1000, burstInterval: 50};
+
+        it('shortens the timeouts so that the burst is not missed', () => {
+            let retryTimeout = release.getRetryTimeout(new Date(serverClock.now() + 10200), settings);
+
+            let timeout = retryTimeout(60000);
+
+            assert.ok(timeout <= 10000 && timeout > 9000, String(timeout));
+            assert.strictEqual(retryTimeout(500), 500);
+        });
+
+        it('retries every burstInterval during the burst', () => {
+            assert.strictEqual(release.getRetryTimeout(new Date(serverClock.now() + 100), settings)(60000), 50);
+            assert.strictEqual(release.getRetryTimeout(new Date(serverClock.now() - 900), settings)(60000), 50);
+        });
+
+        it('keeps the timeouts once the burst is over', () => {
+            assert.strictEqual(release.getRetryTimeout(new Date(serverClock.now() - 2000), settings)(60000), 60000);
+        });
+    });
+
+    describe('against the mock site', function () {
+        this.timeout(10000);
+        let mock;
+
+        afterEach(async () => {
+            await helpers.stopMock(mock);
+        });
+
+        it('waits for the release in the clock of the site before booking', async () => {
+            let preference = day(9) + 'T20:00:00Z';
+            let instant = release.getReleaseInstant(day(9) + 'T00:00:00.000Z', {time: '00:00', daysAhead: 7});
+            // Open the date at the same instant in the mock, which releases in UTC
+            mock = await helpers.startMock({
+                releaseTime: instant.toISOString().substr(11, 5),
+                daysAhead: (new Date(day(9)).getTime() - new Date(instant.toISOString().substr(0, 10)).getTime()) /
+                    86400000
+            });
+            mock.setNow(instant.getTime() - 1500);
+            let startedAt = Date.now();
+
+            let booking = await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                release: {time: '00:00', daysAhead: 7, clockSamples: 1},
+                dateAndTimeOrder: {bookingPreference: [preference]}
+            }));
+
+            assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preference).toISOString());
+            assert.ok(Date.now() - startedAt >= 500);
+            assert.ok(mock.now().getTime() >= instant.getTime());
+        });
+
+        it('books the date given by the offset when the next release opens another weekday', async () => {
+            mock = await helpers.startMock();
+
+            let booking = await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'weekdayAndTimeOrder',
+                release: {time: '00:00', daysAhead: 2, clockSamples: 1},
+                weekdayAndTimeOrder: {weekday: helpers.weekdayOf(day(5)), offset: 4, timePreference: ['20:00Z']}
+            }));
+
+            assert.strictEqual(new Date(booking.StartDateTime).toISOString(), day(5) + 'T20:00:00.000Z');
+        });
+    });
+});
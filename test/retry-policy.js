@@ -0,0 +1,50 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const retryPolicy = require('../src/retry-policy.js');
+
+'use-strict';
+
+describe('retry policy', () => {
+    const taken = new errors.SlotTakenError('taken');
+
+    function intervals(schedule, errs) {
+        return errs.map((err) => schedule(err));
+    }
+
+    it('retries every retryTimeout by default, without backing off', () => {
+        let schedule = retryPolicy.createSchedule({retryTimeout: 100});
+
+        assert.deepStrictEqual(intervals(schedule, [undefined, taken, taken, taken, taken]), [100, 100, 100, 100, 100]);
+    });
+
+    it('backs off after each failure up to maxInterval once set', () => {
+        let schedule = retryPolicy.createSchedule({
+            retryTimeout: 100,
+            retryPolicy: {afterRelease: {multiplier: 2, maxInterval: 500}}
+        });
+
+        assert.deepStrictEqual(intervals(schedule, [undefined, taken, taken, taken, taken]), [100, 200, 400, 500, 500]);
+    });
+
+    it('retries the sessions not open yet at the base interval', () => {
+        let schedule = retryPolicy.createSchedule({retryTimeout: 100, retryPolicy: {afterRelease: {multiplier: 2}}});
+        let notYetOpen = new errors.NotYetOpenError('not open');
+
+        assert.deepStrictEqual(intervals(schedule, [taken, taken, notYetOpen, taken]), [200, 400, 100, 200]);
+    });
+
+    it('stops after maxAttempts', () => {
+        let schedule = retryPolicy.createSchedule({retryTimeout: 100, retryPolicy: {afterRelease: {maxAttempts: 2}}});
+
+        assert.deepStrictEqual(intervals(schedule, [undefined, taken, taken]), [100, 100, undefined]);
+    });
+
+    it('spreads the interval by the jitter', () => {
+        let policy = retryPolicy.withDefaults({afterRelease: {jitter: 0.2}}, 100).afterRelease;
+
+        assert.strictEqual(retryPolicy.getInterval(policy, 0, 0), 80);
+        assert.strictEqual(retryPolicy.getInterval(policy, 0, 0.5), 100);
+        assert.strictEqual(retryPolicy.getInterval(policy, 0, 1), 120);
+    });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+
+const footbooker = require('../src/footbooker.js');
+const roster = require('../src/roster.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('roster against the mock site', function () {
+    this.timeout(10000);
+    let mock;
+    let client;
+    let options;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+        client = new footbooker.BookingClient({hostname: mock.url});
+        await client.login(helpers.login, helpers.password);
+        options = {
+            players: ['Alice', 'Bob', 'Carol'],
+            quorum: 2,
+            quorumBy: 3 * 86400000,
+            stateFile: helpers.tempFile('roster_state.json'),
+            reason: 'Test'
+        };
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    async function answer(booking, players, reply) {
+        let bookings = await client.listBookings();
+        players.forEach((player) => roster.rsvp(options, bookings, booking.Guid, player, reply));
+    }
+
+    function outcomes(decisions) {
+        return decisions.map((decision) => decision.booking.Guid + ' ' + decision.outcome);
+    }
+
+    it('confirms the bookings which reached the quorum and releases the others by their deadline', async () => {
+        let reached = await client.book(day(2) + 'T20:00:00Z');
+        let notReached = await client.book(day(2) + 'T21:00:00Z');
+        await answer(reached, ['alice', 'Bob'], 'yes');
+        await answer(notReached, ['Alice'], 'yes');
+        await answer(notReached, ['Bob', 'Carol'], 'no');
+
+        let decisions = await roster.checkQuorum(client, options);
+
+        assert.deepStrictEqual(outcomes(decisions), [reached.Guid + ' confirmed', notReached.Guid + ' released']);
+        assert.deepStrictEqual(decisions[1].going, ['Alice']);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+        assert.strictEqual(mock.bookings().find((booking) => booking.Guid === notReached.Guid).cancelReason, 'Test');
+        assert.throws(() => roster.rsvp(options, [notReached], notReached.Guid, 'Carol', 'yes'), /already released/);
+    });
+
+    it('does not decide the bookings before their deadline', async () => {
+        await client.book(day(5) + 'T20:00:00Z');
+
+        assert.deepStrictEqual(await roster.checkQuorum(client, options), []);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(5) + 'T20:00:00.000Z']);
+        assert.strictEqual(roster.isCheckDue(options), false);
+    });
+
+    it('reports the bookings which could not be released', async () => {
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+
+        let decisions = await roster.checkQuorum(client, options);
+
+        assert.deepStrictEqual(outcomes(decisions), [booking.Guid + ' releaseFailed']);
+        assert.ok(decisions[0].error);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+    });
+
+    it('does not decide a booking again', async () => {
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+        mock.scriptResponses('cancelBooking.json', [{Code: 500, Message: 'Unknown Error Occurred'}]);
+        await roster.checkQuorum(client, options);
+
+        assert.deepStrictEqual(await roster.checkQuorum(client, options), []);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+        assert.strictEqual(roster.loadState(options.stateFile).sessions[booking.Guid].outcome, 'releaseFailed');
+    });
+
+    it('only finds the decisions in a dry run', async () => {
+        let booking = await client.book(day(2) + 'T20:00:00Z');
+
+        let decisions = await roster.checkQuorum(client, Object.assign({dryRun: true}, options));
+
+        assert.deepStrictEqual(outcomes(decisions), [booking.Guid + ' released']);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [day(2) + 'T20:00:00.000Z']);
+        assert.deepStrictEqual(roster.loadState(options.stateFile), {sessions: {}});
+    });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('scoredOrder', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('books the available session with the highest score', async () => {
+        mock.takeSession(day(3) + 'T20:00:00Z');
+
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'scoredOrder',
+            scoredOrder: {
+                dates: [day(2), day(3)],
+                time: '18:00Z-21:00Z',
+                rules: [
+                    {weekday: helpers.weekdayOf(day(3)), score: 10},
+                    {time: '20:00Z', score: 2},
+                    {time: '19:00Z', score: 1}
+                ]
+            }
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), day(3) + 'T19:00:00.000Z');
+    });
+
+    it('only books the sessions in its time window', async () => {
+        mock.takeSession(day(2) + 'T20:00:00Z');
+        mock.takeSession(day(2) + 'T21:00:00Z');
+
+        await assert.rejects(helpers.run(helpers.settingsFor(mock, {
+            strategy: 'scoredOrder',
+            timeout: 300,
+            scoredOrder: {
+                dates: [day(2)],
+                time: '20:00Z-21:00Z',
+                rules: [{time: '19:00Z', score: 10}]
+            }
+        })), (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+        assert.deepStrictEqual(helpers.activeBookings(mock), []);
+    });
+});
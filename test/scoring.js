@@ -0,0 +1,92 @@
+const assert = require('assert');
+
+const scoring = require('../src/scoring.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('scoring', () => {
+    describe('getBestReachableScore', () => {
+        it('does not add up the rules no session can match at once', () => {
+            let preferences = {
+                rules: [
+                    {weekday: helpers.weekdayOf(day(2)), score: 10},
+                    {weekday: helpers.weekdayOf(day(3)), score: 5},
+                    {time: '20:00Z', score: 2}
+                ]
+            };
+
+            assert.strictEqual(scoring.getBestReachableScore([day(2), day(3)], preferences), 12);
+            assert.strictEqual(scoring.getBestReachableScore([day(3)], preferences), 7);
+        });
+
+        it('only considers the sessions inside the time window', () => {
+            let preferences = {
+                time: '18:00Z-19:30Z',
+                rules: [
+                    {time: '20:00Z-21:00Z', score: 8},
+                    {time: '19:00Z-22:00Z', score: 3},
+                    {time: '18:00Z-18:59Z', score: -1}
+                ]
+            };
+
+            assert.strictEqual(scoring.getBestReachableScore([day(2)], preferences), 3);
+        });
+
+        it('is undefined when there are no dates', () => {
+            assert.strictEqual(scoring.getBestReachableScore([], {rules: [{score: 1}]}), undefined);
+        });
+    });
+
+    describe('rankSessions', () => {
+        /**
+         * Build an available session as listed by connection.listAvailableBookings
+         */
+        function session(date, time, minutes) {
+            let start = new Date(date + 'T' + time + ':00Z');
+            return {
+                guid: date + ' ' + time,
+                startTime: start.toISOString(),
+                endTime: new Date(start.getTime() + (minutes || 45) * 60000).toISOString()
+            };
+        }
+
+        function rank(sessions, preferences) {
+            return scoring.rankSessions(sessions, preferences).map((ranked) => ranked.guid + ' ' + ranked.score);
+        }
+
+        it('ranks the sessions by score, then by start', () => {
+            let sessions = [session(day(3), '19:00'), session(day(2), '20:00'), session(day(2), '19:00')];
+
+            assert.deepStrictEqual(rank(sessions, {rules: [{time: '19:00Z', score: 2}]}),
+                [day(2) + ' 19:00 2', day(3) + ' 19:00 2', day(2) + ' 20:00 0']);
+        });
+
+        it('leaves out the sessions out of the time window, too short or below minScore', () => {
+            let sessions = [
+                session(day(2), '18:00'),
+                session(day(2), '19:00', 30),
+                session(day(2), '20:00'),
+                session(day(2), '21:00'),
+                session(day(2), '22:00')
+            ];
+
+            assert.deepStrictEqual(rank(sessions, {
+                time: '19:00Z-21:00Z',
+                minDuration: 45,
+                minScore: 1,
+                rules: [{time: '20:00Z', score: 1}, {time: '21:00Z', score: 3}]
+            }), [day(2) + ' 21:00 3', day(2) + ' 20:00 1']);
+        });
+
+        it('does not change the sessions given', () => {
+            let sessions = [session(day(2), '20:00')];
+
+            scoring.rankSessions(sessions, {rules: []});
+
+            assert.strictEqual(sessions[0].score, undefined);
+        });
+    });
+});
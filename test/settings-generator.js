@@ -0,0 +1,60 @@
+const assert = require('assert');
+const fs = require('fs');
+
+const settingsGenerator = require('../src/settings-generator.js');
+const settingsValidator = require('../src/settings-validator.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const strategies = ['dateAndTimeOrder', 'weekdayAndTimeOrder', 'consecutiveSessionsOrder', 'scoredOrder',
+    'multiWeekdayOrder', 'watchOrder'];
+
+describe('settings generator', () => {
+    let settingsFile;
+
+    beforeEach(() => {
+        settingsFile = helpers.tempFile('foot_booker_settings.json');
+    });
+
+    function generated() {
+        return JSON.parse(fs.readFileSync(settingsFile));
+    }
+
+    it('creates a settings file valid with any of the strategies', () => {
+        settingsGenerator.generateSettings(settingsFile);
+
+        let settings = generated();
+        strategies.forEach((strategy) => {
+            assert.ok(settings[strategy], 'expected ' + strategy + ' in the template');
+            let problems = settingsValidator.validateSettings(Object.assign({}, settings, {strategy: strategy}));
+            assert.deepStrictEqual(problems, [], strategy + ': ' + settingsValidator.formatProblems(problems));
+        });
+    });
+
+    it('does not turn any feature on', () => {
+        settingsGenerator.generateSettings(settingsFile);
+
+        let settings = generated();
+        assert.deepStrictEqual(Object.keys(settings).filter((key) => strategies.indexOf(key) < 0),
+            ['credentials', 'hostname', 'activity', 'reasonToCancel', 'strategy']);
+    });
+
+    it('adds the missing settings to an existing settings file, keeping the existing ones', () => {
+        fs.writeFileSync(settingsFile, JSON.stringify({
+            strategy: 'weekdayAndTimeOrder',
+            credentials: {login: 'me@host.com'},
+            weekdayAndTimeOrder: {weekday: 'Monday', timePreference: ['19:00']},
+            daemon: {rules: []}
+        }));
+
+        settingsGenerator.generateSettings(settingsFile);
+
+        let settings = generated();
+        assert.strictEqual(settings.strategy, 'weekdayAndTimeOrder');
+        assert.deepStrictEqual(settings.credentials, {login: 'me@host.com', password: 'password'});
+        assert.deepStrictEqual(settings.weekdayAndTimeOrder, {weekday: 'Monday', timePreference: ['19:00'], offset: 3});
+        assert.deepStrictEqual(settings.consecutiveSessionsOrder, settingsGenerator.template.consecutiveSessionsOrder);
+        assert.deepStrictEqual(settings.daemon, {rules: []});
+    });
+});
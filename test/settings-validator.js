@@ -0,0 +1,135 @@
+const assert = require('assert');
+
+const settingsValidator = require('../src/settings-validator.js');
+
+'use-strict';
+
+/**
+ * Build valid settings, with the given ones added or replaced
+ */
+function settingsWith(settings) {
+    return Object.assign({
+        credentials: {login: 'me@host.com', password: {env: 'FOOTBOOKER_PASSWORD'}},
+        hostname: 'the.site.co.uk',
+        strategy: 'weekdayAndTimeOrder',
+        weekdayAndTimeOrder: {weekday: 'Wednesday', offset: 3, timePreference: ['20:00', '19:00-21:30']}
+    }, settings);
+}
+
+/**
+ * Build a valid rule of the daemon, with the given properties added or replaced
+ */
+function daemonRule(rule) {
+    return Object.assign({name: 'rule', strategy: 'weekdayAndTimeOrder', weekdayAndTimeOrder: {weekday: 3}}, rule);
+}
+
+function problemPaths(settings, options) {
+    return settingsValidator.validateSettings(settings, options).map((problem) => problem.path);
+}
+
+describe('settings validator', () => {
+    it('accepts valid settings', () => {
+        assert.deepStrictEqual(settingsValidator.validateSettings(settingsWith({
+            release: {time: '00:00', daysAhead: 3},
+            retryPolicy: {afterRelease: {multiplier: 2, maxInterval: 5000}},
+            notifications: {events: ['booked'], webhook: {url: 'https://host.com/hook'}},
+            daemon: {rules: [daemonRule({timeout: 60000})]}
+        })), []);
+    });
+
+    it('rejects settings which are not an object', () => {
+        assert.deepStrictEqual(problemPaths([]), ['']);
+    });
+
+    it('reports the unknown settings at any depth', () => {
+        assert.deepStrictEqual(problemPaths(settingsWith({
+            timout: 1000,
+            credentials: {login: 'me@host.com', password: 'secret', pasword: 'secret'},
+            weekdayAndTimeOrder: {weekday: 'Wednesday', offset: 3, timePreference: ['20:00'], timePrefs: []},
+            release: {time: '00:00', daysAhaed: 3},
+            retryPolicy: {afterRelease: {multiplyer: 2}},
+            notifications: {email: {host: 'smtp.host.com', from: 'a@host.com', to: 'b@host.com', auth: {user: 'a',
+                pass: 'b', password: 'b'}}, webhok: {}},
+            multiWeekdayOrder: {rules: [{name: 'early', weekday: 'Monday', offset: 0, timePreference: ['19:00'],
+                tme: '19:00'}]},
+            daemon: {rules: [daemonRule({startBefore: 1000})]}
+        })), [
+            'timout',
+            'credentials.pasword',
+            'weekdayAndTimeOrder.timePrefs',
+            'multiWeekdayOrder.rules[0].tme',
+            'release.daysAhaed',
+            'retryPolicy.afterRelease.multiplyer',
+            'daemon.rules[0].startBefore',
+            'daemon.rules[0].weekdayAndTimeOrder.timePrefs',
+            'notifications.webhok',
+            'notifications.email.auth.password'
+        ]);
+    });
+
+    it('reports the invalid values with their path', () => {
+        let cases = [
+            [{hostname: 'http://the.site.co.uk/path'}, 'hostname'],
+            [{hostname: 'the site'}, 'hostname'],
+            [{activity: ''}, 'activity'],
+            [{timeout: 0}, 'timeout'],
+            [{parallelAttempts: 1.5}, 'parallelAttempts'],
+            [{dryRun: 'yes'}, 'dryRun'],
+            [{credentials: {login: 'me@host.com', password: {key: 'password'}}}, 'credentials.password'],
+            [{credentials: {login: 'me@host.com', password: {web: 'x', env: 'X'}}}, 'credentials.password.web'],
+            [{strategy: 'fastestOrder'}, 'strategy'],
+            [{strategy: 'dateAndTimeOrder'}, 'dateAndTimeOrder'],
+            [{weekdayAndTimeOrder: {weekday: 'Wed', offset: 3, timePreference: ['20:00']}},
+                'weekdayAndTimeOrder.weekday'],
+            [{weekdayAndTimeOrder: {weekday: 3, timePreference: ['20:00']}}, 'weekdayAndTimeOrder.offset'],
+            [{weekdayAndTimeOrder: {weekday: 3, offset: 3, timePreference: ['8pm']}},
+                'weekdayAndTimeOrder.timePreference[0]'],
+            [{weekdayAndTimeOrder: {weekday: 3, offset: 3, timePreference: ['21:00-19:00']}},
+                'weekdayAndTimeOrder.timePreference[0]'],
+            [{weekdayAndTimeOrder: {weekday: 3, offset: 3, timePreference: []}}, 'weekdayAndTimeOrder.timePreference'],
+            [{dateAndTimeOrder: {bookingPreference: ['2017-10-11']}}, 'dateAndTimeOrder.bookingPreference[0]'],
+            [{consecutiveSessionsOrder: {weekday: 3, offset: 3, timePreference: ['20:00'], sessions: 0}},
+                'consecutiveSessionsOrder.sessions'],
+            [{scoredOrder: {time: '19:00-21:00'}}, 'scoredOrder'],
+            [{scoredOrder: {dates: ['2017-10-11'], rules: [{hour: 20, score: 1}]}}, 'scoredOrder.rules[0].hour'],
+            [{scoredOrder: {dates: ['2017-10-11'], rules: [{time: '20:00'}]}}, 'scoredOrder.rules[0].score'],
+            [{multiWeekdayOrder: {rules: [{weekday: 1, offset: 0, timePreference: ['20:00']},
+                {weekday: 1, offset: 0, timePreference: ['21:00']}]}}, 'multiWeekdayOrder.rules[1].name'],
+            [{watchOrder: {bookingPreference: ['2017-10-11T20:00:00'], interval: 1000}}, 'watchOrder.interval'],
+            [{release: {time: '24:00'}}, 'release.time'],
+            [{retryPolicy: {duringRelease: {}}}, 'retryPolicy.duringRelease'],
+            [{retryPolicy: {afterRelease: {jitter: 2}}}, 'retryPolicy.afterRelease.jitter'],
+            [{notifications: {events: ['cancelled']}}, 'notifications.events[0]'],
+            [{notifications: {webhook: {url: 'ftp://host.com'}}}, 'notifications.webhook.url'],
+            [{notifications: {email: {host: 'smtp.host.com', from: 'a@host.com'}}}, 'notifications.email.to'],
+            [{calendar: {port: -1}}, 'calendar.port'],
+            [{cancellation: {cancelBy: -1}}, 'cancellation.cancelBy'],
+            [{roster: {players: ['Ann', 'ann'], quorum: 1}}, 'roster.players[1]'],
+            [{roster: {players: ['Ann'], quorum: 2}}, 'roster.quorum'],
+            [{daemon: {rules: []}}, 'daemon.rules'],
+            [{daemon: {maxRunTime: 0, rules: [daemonRule()]}}, 'daemon.maxRunTime'],
+            [{daemon: {rules: [daemonRule({strategy: 'dateAndTimeOrder'})]}}, 'daemon.rules[0].strategy'],
+            [{daemon: {rules: [daemonRule(), daemonRule()]}}, 'daemon.rules[1].name'],
+            [{daemon: {rules: [daemonRule({weekdayAndTimeOrder: {weekday: 'Wed'}})]}},
+                'daemon.rules[0].weekdayAndTimeOrder.weekday']
+        ];
+
+        cases.forEach((testCase) => {
+            assert.deepStrictEqual(problemPaths(settingsWith(testCase[0])), [testCase[1]], JSON.stringify(testCase[0]));
+        });
+    });
+
+    it('does not require a strategy when told so', () => {
+        let settings = settingsWith({strategy: undefined});
+
+        assert.deepStrictEqual(problemPaths(settings), ['strategy']);
+        assert.deepStrictEqual(problemPaths(settings, {requireStrategy: false}), []);
+    });
+
+    it('formats one problem per line', () => {
+        assert.strictEqual(settingsValidator.formatProblems([
+            {path: '', message: 'expected an object'},
+            {path: 'timeout', message: 'expected a number'}
+        ]), '(settings): expected an object\ntimeout: expected a number');
+    });
+});
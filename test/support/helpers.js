@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const footbooker = require('../../src/footbooker.js');
+const mockServer = require('../../src/mock-server.js');
+
+'use-strict';
+
+const login = 'user@footbooker.test';
+const password = 'password';
+
+/**
+ * Start a mock booking site, see mock-server.createMockServer
+ *
+ * @param {Object} options optional options of the mock.
+ *
+ * Resolve with the mock, with its url in 'url'.
+ */
+function startMock(options) {
+    let mock = mockServer.createMockServer(options);
+    return new Promise((resolve, reject) => {
+        mock.listen(0, (err, url) => {
+            if (err) {
+                return reject(err);
+            }
+            mock.url = url;
+            return resolve(mock);
+        });
+    });
+}
+
+/**
+ * Stop a mock started by startMock
+ */
+function stopMock(mock) {
+    return new Promise((resolve) => mock.close(() => resolve()));
+}
+
+/**
+ * Get a date some days from today, in UTC
+ *
+ * @param {number} days number of days from today.
+ *
+ * Return a date string like '2017-10-11'.
+ */
+function day(days) {
+    return new Date(Date.now() + days * 86400000).toISOString().substr(0, 10);
+}
+
+/**
+ * Get the weekday of a date returned by day
+ *
+ * Return the name of the weekday, e.g. 'Wednesday'.
+ */
+function weekdayOf(date) {
+    return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][new Date(date).getUTCDay()];
+}
+
+/**
+ * Build the settings of a strategy run against a mock
+ *
+ * <p>Retries are fast and no upgrade is tried after the first booking, so that the runs take little time.
+ *
+ * @param {Object} mock the mock, as resolved by startMock.
+ * @param {Object} settings the settings to add, e.g. the strategy and its preferences.
+ *
+ * Return the settings.
+ */
+function settingsFor(mock, settings) {
+    return Object.assign({
+        hostname: mock.url,
+        credentials: {login: login, password: password},
+        reasonToCancel: 'Test',
+        retryTimeout: 50,
+        timeout: 2000,
+        upgradeTimeout: 0,
+        retryPolicy: {afterRelease: {interval: 50, multiplier: 1, jitter: 0}}
+    }, settings);
+}
+
+/**
+ * Run a strategy, see footbooker.promises.run
+ *
+ * Resolve with the final booking information, or reject with the error of the strategy.
+ */
+function run(settings) {
+    return footbooker.promises.run(settings);
+}
+
+/**
+ * Record the events emitted by the strategies while a function runs
+ *
+ * @param {function} fn async function to run.
+ *
+ * Resolve with an array of the events in format {event: 'booked', details: {...}}.
+ */
+async function recordEvents(fn) {
+    let recorded = [];
+    let listeners = {};
+    ['started', 'booked', 'upgraded', 'cancelFailed', 'timeout', 'failed'].forEach((event) => {
+        listeners[event] = (details) => recorded.push({event: event, details: details});
+        footbooker.events.on(event, listeners[event]);
+    });
+    try {
+        await fn();
+    } finally {
+        Object.keys(listeners).forEach((event) => footbooker.events.removeListener(event, listeners[event]));
+    }
+    return recorded;
+}
+
+/**
+ * Get the active bookings of the mock, earliest first
+ *
+ * Return an array of the start of the bookings, in ISO format.
+ */
+function activeBookings(mock) {
+    return mock.bookings().filter((booking) => !booking.cancelled).map((booking) => {
+        return booking.StartDateTime.toISOString();
+    }).sort();
+}
+
+/**
+ * Count the requests received by the mock for an endpoint
+ *
+ * @param {string} endpoint endpoint name, e.g. 'AddBooking.json'.
+ */
+function countRequests(mock, endpoint) {
+    return mock.requests().filter((request) => request.path.endsWith('/' + endpoint)).length;
+}
+
+/**
+ * Get the path of a file in a new temporary directory
+ *
+ * @param {string} name name of the file, not created.
+ *
+ * Return the path.
+ */
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'footbooker-test-')), name);
+}
+
+module.exports = {
+    login: login,
+    password: password,
+    startMock: startMock,
+    stopMock: stopMock,
+    day: day,
+    weekdayOf: weekdayOf,
+    settingsFor: settingsFor,
+    run: run,
+    recordEvents: recordEvents,
+    activeBookings: activeBookings,
+    countRequests: countRequests,
+    tempFile: tempFile
+}
@@ -0,0 +1,93 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const utils = require('../src/utils.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('time windows', () => {
+    describe('getTimeWindow', () => {
+        it('gives the bounds of a window in the date', () => {
+            assert.deepStrictEqual(utils.getTimeWindow('2017-10-11T12:00', '19:00Z-21:30Z'), {
+                start: '2017-10-11T19:00:00.000Z',
+                end: '2017-10-11T21:30:00.000Z'
+            });
+        });
+
+        it('gives the same bounds for a single time', () => {
+            assert.deepStrictEqual(utils.getTimeWindow('2017-10-11T12:00', '20:00Z'), {
+                start: '2017-10-11T20:00:00.000Z',
+                end: '2017-10-11T20:00:00.000Z'
+            });
+        });
+    });
+
+    describe('isInTimeWindow', () => {
+        it('includes both ends of the window', () => {
+            ['19:00', '20:15', '21:30'].forEach((time) => {
+                assert.ok(utils.isInTimeWindow('2017-10-11T' + time + 'Z', '19:00Z-21:30Z'), time);
+            });
+            ['18:59', '21:31'].forEach((time) => {
+                assert.ok(!utils.isInTimeWindow('2017-10-11T' + time + 'Z', '19:00Z-21:30Z'), time);
+            });
+        });
+
+        it('only matches the time itself for a single time', () => {
+            assert.ok(utils.isInTimeWindow('2017-10-11T20:00Z', '20:00Z'));
+            assert.ok(!utils.isInTimeWindow('2017-10-11T20:01Z', '20:00Z'));
+        });
+    });
+
+    describe('getMinutesBetween', () => {
+        it('gives the duration of a session', () => {
+            assert.strictEqual(utils.getMinutesBetween('2017-10-11T20:00:00Z', '2017-10-11T20:45:00Z'), 45);
+            assert.strictEqual(utils.getMinutesBetween('2017-10-11T20:45:00Z', '2017-10-11T20:00:00Z'), -45);
+        });
+    });
+
+    describe('weekdayAndTimeOrder against the mock site', function () {
+        this.timeout(10000);
+        let mock;
+
+        afterEach(async () => {
+            await helpers.stopMock(mock);
+        });
+
+        function windowSettings(timePreference, minDuration) {
+            return helpers.settingsFor(mock, {
+                strategy: 'weekdayAndTimeOrder',
+                timeout: 300,
+                weekdayAndTimeOrder: {
+                    weekday: helpers.weekdayOf(day(3)),
+                    offset: 0,
+                    date: day(3),
+                    timePreference: timePreference,
+                    minDuration: minDuration
+                }
+            });
+        }
+
+        it('books the first time preference available on the date', async () => {
+            mock = await helpers.startMock();
+            mock.takeSession(day(3) + 'T19:00:00Z');
+
+            let booking = await helpers.run(windowSettings(['19:00Z', '18:00Z-21:00Z']));
+
+            assert.strictEqual(new Date(booking.StartDateTime).toISOString(), day(3) + 'T18:00:00.000Z');
+        });
+
+        it('only books the sessions lasting at least minDuration', async () => {
+            mock = await helpers.startMock({sessionDuration: 45});
+
+            await assert.rejects(helpers.run(windowSettings(['18:00Z-21:00Z'], 60)),
+                (err) => errors.kindOf(err) === errors.kinds.SlotTaken);
+            assert.deepStrictEqual(helpers.activeBookings(mock), []);
+            let booking = await helpers.run(windowSettings(['18:00Z-21:00Z'], 45));
+
+            assert.strictEqual(new Date(booking.StartDateTime).toISOString(), day(3) + 'T18:00:00.000Z');
+        });
+    });
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('upgrade loop', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('upgrades to a more preferred session freed up after booking', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        mock.takeSession(preferences[0]);
+        setTimeout(() => mock.freeSession(preferences[0]), 200);
+
+        let events = await helpers.recordEvents(async () => {
+            await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'dateAndTimeOrder',
+                upgradeTimeout: 1500,
+                dateAndTimeOrder: {bookingPreference: preferences}
+            }));
+        });
+
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[0]).toISOString()]);
+        let upgraded = events.find((recorded) => recorded.event === 'upgraded');
+        assert.ok(upgraded, 'expected an upgraded event');
+        assert.strictEqual(new Date(upgraded.details.previousBooking.StartDateTime).toISOString(),
+            new Date(preferences[1]).toISOString());
+    });
+
+    it('stops upgrading a scoredOrder booking no session of its dates could beat', async () => {
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'scoredOrder',
+            upgradeTimeout: 1500,
+            scoredOrder: {
+                dates: [day(2), day(3)],
+                time: '18:00Z-21:00Z',
+                rules: [
+                    {weekday: helpers.weekdayOf(day(2)), score: 10},
+                    {weekday: helpers.weekdayOf(day(3)), score: 5},
+                    {time: '20:00Z', score: 2}
+                ]
+            }
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), day(2) + 'T20:00:00.000Z');
+        // Listed once per date to book, never again to upgrade
+        assert.strictEqual(helpers.countRequests(mock, 'ListAvailableSessions.json'), 2);
+    });
+});
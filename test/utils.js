@@ -0,0 +1,35 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const utils = require('../src/utils.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+describe('state files', () => {
+    it('starts with the empty state when the file does not exist', () => {
+        assert.deepStrictEqual(utils.loadStateFile(helpers.tempFile('state.json'), {rules: {}}), {rules: {}});
+    });
+
+    it('saves the state creating its directory and loads it back', () => {
+        let stateFile = path.join(path.dirname(helpers.tempFile('state.json')), 'missing', 'state.json');
+
+        utils.saveStateFile(stateFile, {rules: {monday: {status: 'booked'}}});
+
+        assert.deepStrictEqual(utils.loadStateFile(stateFile, {rules: {}}), {rules: {monday: {status: 'booked'}}});
+        assert.ok(!fs.existsSync(stateFile + '.tmp'));
+    });
+
+    it('replaces the file with the given permissions', () => {
+        let stateFile = helpers.tempFile('cookies.json');
+        utils.saveStateFile(stateFile, {cookies: []});
+
+        utils.saveStateFile(stateFile, {cookies: [{name: 'session'}]}, 0o600);
+
+        assert.deepStrictEqual(utils.loadStateFile(stateFile, {}), {cookies: [{name: 'session'}]});
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(stateFile).mode & 0o777, 0o600);
+        }
+    });
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+
+const errors = require('../src/errors.js');
+const footbooker = require('../src/footbooker.js');
+const ledger = require('../src/ledger.js');
+const helpers = require('./support/helpers.js');
+
+'use-strict';
+
+const day = helpers.day;
+
+describe('watchOrder', function () {
+    this.timeout(10000);
+    let mock;
+
+    beforeEach(async () => {
+        mock = await helpers.startMock();
+    });
+
+    afterEach(async () => {
+        await helpers.stopMock(mock);
+    });
+
+    it('books a session freed up while watching and upgrades to the first choice', async () => {
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        preferences.forEach((preference) => mock.takeSession(preference));
+        setTimeout(() => mock.freeSession(preferences[1]), 150);
+        setTimeout(() => mock.freeSession(preferences[0]), 400);
+
+        let events = await helpers.recordEvents(async () => {
+            let booking = await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'watchOrder',
+                watchOrder: {
+                    bookingPreference: preferences,
+                    interval: 50,
+                    maxInterval: 50,
+                    stopBefore: 0,
+                    until: new Date(Date.now() + 3000).toISOString()
+                }
+            }));
+            assert.strictEqual(new Date(booking.StartDateTime).toISOString(),
+                new Date(preferences[0]).toISOString());
+        });
+
+        assert.deepStrictEqual(events.filter((recorded) => recorded.event !== 'started').map((recorded) => {
+            return recorded.event + (recorded.details.stoppedWatching ? ' (stopped watching)' : '');
+        }), ['booked', 'upgraded', 'booked (stopped watching)']);
+        assert.deepStrictEqual(helpers.activeBookings(mock), [new Date(preferences[0]).toISOString()]);
+    });
+
+    it('books an open date while another date of the preferences is not open yet', async () => {
+        let preferences = [day(20) + 'T20:00:00Z', day(2) + 'T20:00:00Z'];
+        mock.takeSession(preferences[1]);
+        setTimeout(() => mock.freeSession(preferences[1]), 150);
+
+        let booking = await helpers.run(helpers.settingsFor(mock, {
+            strategy: 'watchOrder',
+            watchOrder: {
+                bookingPreference: preferences,
+                interval: 50,
+                maxInterval: 50,
+                stopBefore: 0,
+                until: new Date(Date.now() + 500).toISOString()
+            }
+        }));
+
+        assert.strictEqual(new Date(booking.StartDateTime).toISOString(), new Date(preferences[1]).toISOString());
+    });
+
+    it('records each booking in the ledger once', async () => {
+        let ledgerFile = helpers.tempFile('ledger.jsonl');
+        let unsubscribe = ledger.subscribe(footbooker.events, ledgerFile);
+        let preferences = [day(2) + 'T20:00:00Z', day(2) + 'T19:00:00Z'];
+        mock.takeSession(preferences[0]);
+        setTimeout(() => mock.freeSession(preferences[0]), 150);
+
+        try {
+            await helpers.run(helpers.settingsFor(mock, {
+                strategy: 'watchOrder',
+                watchOrder: {
+                    bookingPreference: preferences,
+                    interval: 50,
+                    maxInterval: 50,
+                    stopBefore: 0
+                }
+            }));
+        } finally {
+            unsubscribe();
+        }
+
+        assert.deepStrictEqual(ledger.readRuns(ledgerFile).map((run) => run.outcome), ['booked', 'upgraded']);
+    });
+
+    it('stops at the given time when nothing frees up', async () => {
+        let preferences = [day(2) + 'T20:00:00Z'];
+        mock.takeSession(preferences[0]);
+
+        await assert.rejects(helpers.run(helpers.settingsFor(mock, {
+            strategy: 'watchOrder',
+            watchOrder: {
+                bookingPreference: preferences,
+                interval: 50,
+                maxInterval: 50,
+                stopBefore: 0,
+                until: new Date(Date.now() + 300).toISOString()
+            }
+        })), (err) => err.timedOut && errors.kindOf(err) === errors.kinds.SlotTaken);
+    });
+});